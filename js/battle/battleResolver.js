@@ -0,0 +1,220 @@
+/**
+ * Battle Resolver
+ * Works out the result of each battle turn: move order, hits, damage and fainting
+ */
+class BattleResolver {
+    /**
+     * Create a new battle resolver
+     *
+     * @param {Object} scene - The scene whose data manager holds the move definitions
+     */
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * Get a move definition
+     *
+     * @param {string} moveId - Move ID
+     * @returns {Object|null} Move definition or null if not found
+     */
+    getMove(moveId) {
+        const dataManager = this.scene ? this.scene.dataManager : null;
+        return dataManager && dataManager.moves[moveId] ? dataManager.moves[moveId] : null;
+    }
+
+    /**
+     * Get a random number between 0 (inclusive) and 1 (exclusive)
+     *
+     * @returns {number} Random number
+     */
+    random() {
+        return Math.random();
+    }
+
+    /**
+     * Calculate the damage a move does
+     *
+     * @param {Creature} attacker - Creature using the move
+     * @param {Creature} defender - Creature hit by the move
+     * @param {Object} move - Move definition
+     * @returns {Object} Result ({damage, multiplier})
+     */
+    calculateDamage(attacker, defender, move) {
+        const multiplier = TypeChart.getMultiplier(move.type, defender.types);
+
+        if (!move.power || multiplier === 0) {
+            return { damage: 0, multiplier: multiplier };
+        }
+
+        // Base damage from level, power and the attack/defense ratio
+        const ratio = attacker.stats.attack / defender.stats.defense;
+        const base = ((2 * attacker.level / 5 + 2) * move.power * ratio) / 50 + 2;
+
+        // Same-type bonus, type effectiveness and a random spread
+        const sameType = attacker.types.includes(move.type) ? CONFIG.game.battle.sameTypeBonus : 1;
+        const minRoll = CONFIG.game.battle.minDamageRoll;
+        const spread = minRoll + this.random() * (1 - minRoll);
+
+        return {
+            damage: Math.max(1, Math.floor(base * sameType * multiplier * spread)),
+            multiplier: multiplier
+        };
+    }
+
+    /**
+     * Check if a move hits
+     *
+     * @param {Object} move - Move definition
+     * @returns {boolean} Whether the move hits
+     */
+    rollHit(move) {
+        const accuracy = move.accuracy !== undefined ? move.accuracy : 100;
+        return this.random() * 100 < accuracy;
+    }
+
+    /**
+     * Pick a move for a computer-controlled creature
+     *
+     * @param {Creature} creature - Creature choosing a move
+     * @returns {Object} Battle action ({type: 'move', moveId})
+     */
+    chooseAction(creature) {
+        const usable = creature.moves.filter(moveId => this.getMove(moveId));
+        const moveId = usable.length > 0
+            ? usable[Math.floor(this.random() * usable.length)]
+            : CONFIG.game.battle.fallbackMove;
+
+        return { type: 'move', moveId: moveId };
+    }
+
+    /**
+     * Order two sides by speed, breaking ties randomly
+     *
+     * @param {Object} first - First side ({creature, action, side})
+     * @param {Object} second - Second side ({creature, action, side})
+     * @returns {Array<Object>} Sides in the order they act
+     */
+    getTurnOrder(first, second) {
+        const speedA = first.creature.stats.speed;
+        const speedB = second.creature.stats.speed;
+
+        if (speedA === speedB) {
+            return this.random() < 0.5 ? [first, second] : [second, first];
+        }
+
+        return speedA > speedB ? [first, second] : [second, first];
+    }
+
+    /**
+     * Try to run away from a battle
+     *
+     * @param {Creature} runner - Creature trying to flee
+     * @param {Creature} opponent - Creature being fled from
+     * @returns {boolean} Whether the escape worked
+     */
+    rollFlee(runner, opponent) {
+        const chance = MathUtils.clamp(
+            CONFIG.game.battle.baseFleeChance * runner.stats.speed /
+                Math.max(1, opponent.stats.speed),
+            0,
+            1
+        );
+
+        return this.random() < chance;
+    }
+
+    /**
+     * Resolve one move
+     *
+     * @param {Creature} attacker - Creature using the move
+     * @param {Creature} defender - Creature targeted by the move
+     * @param {string} moveId - Move ID
+     * @param {string} side - Side of the attacker ('player' or 'enemy')
+     * @returns {Object} Turn event
+     */
+    resolveMove(attacker, defender, moveId, side) {
+        const move = this.getMove(moveId) || this.getMove(CONFIG.game.battle.fallbackMove) || {
+            id: moveId,
+            displayName: moveId,
+            type: 'normal',
+            power: 0
+        };
+
+        const event = {
+            type: 'move',
+            side: side,
+            attacker: attacker,
+            defender: defender,
+            move: move,
+            hit: this.rollHit(move),
+            damage: 0,
+            multiplier: 1,
+            fainted: false
+        };
+
+        if (event.hit) {
+            const result = this.calculateDamage(attacker, defender, move);
+            event.damage = defender.takeDamage(result.damage);
+            event.multiplier = result.multiplier;
+            event.fainted = defender.isFainted();
+        }
+
+        return event;
+    }
+
+    /**
+     * Resolve a full turn
+     *
+     * @param {Creature} playerCreature - The player's active creature
+     * @param {Object} playerAction - Player action ({type: 'move', moveId} or {type: 'run'})
+     * @param {Creature} enemyCreature - The opposing creature
+     * @param {Object} [enemyAction] - Enemy action (chosen automatically when omitted)
+     * @returns {Array<Object>} Turn events in the order they happened
+     */
+    resolveTurn(playerCreature, playerAction, enemyCreature, enemyAction) {
+        const events = [];
+        enemyAction = enemyAction || this.chooseAction(enemyCreature);
+
+        // Running happens before any moves
+        if (playerAction.type === 'run') {
+            const escaped = this.rollFlee(playerCreature, enemyCreature);
+            events.push({ type: 'run', side: 'player', success: escaped });
+
+            if (escaped) {
+                return events;
+            }
+
+            events.push(
+                this.resolveMove(enemyCreature, playerCreature, enemyAction.moveId, 'enemy'));
+            return events;
+        }
+
+        const order = this.getTurnOrder(
+            {
+                side: 'player',
+                creature: playerCreature,
+                target: enemyCreature,
+                action: playerAction
+            },
+            {
+                side: 'enemy',
+                creature: enemyCreature,
+                target: playerCreature,
+                action: enemyAction
+            }
+        );
+
+        for (const turn of order) {
+            // Fainted creatures don't get to move
+            if (turn.creature.isFainted()) {
+                continue;
+            }
+
+            events.push(
+                this.resolveMove(turn.creature, turn.target, turn.action.moveId, turn.side));
+        }
+
+        return events;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Creature class
+ * An individual creature with a level, current HP and moves, built from a creature definition
+ */
+class Creature {
+    /**
+     * Create a new creature
+     *
+     * @param {Object} scene - The scene whose data manager holds the creature definitions
+     * @param {Object} config - Creature configuration
+     * @param {string} config.creatureId - Creature definition ID
+     * @param {number} [config.level] - Level (defaults to 1)
+     * @param {number} [config.hp] - Current HP (defaults to full)
+     * @param {Array<string>} [config.moves] - Move IDs (defaults to the definition's moves)
+     * @param {string} [config.nickname] - Name shown instead of the species name
+     */
+    constructor(scene, config) {
+        this.scene = scene;
+        this.id = config.id || Helpers.generateId();
+        this.creatureId = config.creatureId;
+
+        const definition = this.getDefinition();
+
+        // Species data
+        this.speciesName = definition.displayName || this.creatureId;
+        this.nickname = config.nickname || null;
+        this.types = definition.types || ['normal'];
+        this.color = definition.color || '#FFFFFF';
+        this.shape = definition.shape || CONSTANTS.SHAPES.CIRCLE;
+        this.baseStats = definition.baseStats || {};
+
+        // Individual data
+        this.level = MathUtils.clamp(config.level || 1, 1, CONFIG.game.battle.maxLevel);
+        this.moves = [...(config.moves || definition.moves || [])];
+        this.stats = this.calculateStats();
+        this.maxHp = this.stats.hp;
+        this.hp = config.hp !== undefined ? MathUtils.clamp(config.hp, 0, this.maxHp) : this.maxHp;
+    }
+
+    /**
+     * Get the definition of this creature's species
+     *
+     * @returns {Object} Creature definition (empty if unknown)
+     */
+    getDefinition() {
+        const dataManager = this.scene ? this.scene.dataManager : null;
+        const definition = dataManager ? dataManager.creatures[this.creatureId] : null;
+
+        if (!definition) {
+            console.warn(`Creature definition not found: ${this.creatureId}`);
+            return {};
+        }
+
+        return definition;
+    }
+
+    /**
+     * Get the name shown in battle
+     *
+     * @returns {string} Nickname or species name
+     */
+    getName() {
+        return this.nickname || this.speciesName;
+    }
+
+    /**
+     * Calculate stats from base stats and level
+     *
+     * @returns {Object} Stats ({hp, attack, defense, speed})
+     */
+    calculateStats() {
+        const scale = base => Math.floor((base || 1) * this.level / 50);
+
+        return {
+            hp: scale(this.baseStats.hp) + this.level + 10,
+            attack: scale(this.baseStats.attack) + 5,
+            defense: scale(this.baseStats.defense) + 5,
+            speed: scale(this.baseStats.speed) + 5
+        };
+    }
+
+    /**
+     * Check if the creature can't fight
+     *
+     * @returns {boolean} Whether HP is zero
+     */
+    isFainted() {
+        return this.hp <= 0;
+    }
+
+    /**
+     * Lose HP
+     *
+     * @param {number} amount - Damage taken
+     * @returns {number} HP actually lost
+     */
+    takeDamage(amount) {
+        const lost = Math.min(this.hp, Math.max(0, amount));
+        this.hp -= lost;
+        return lost;
+    }
+
+    /**
+     * Restore HP
+     *
+     * @param {number} amount - HP to restore
+     * @returns {number} HP actually restored
+     */
+    heal(amount) {
+        const restored = Math.min(this.maxHp - this.hp, Math.max(0, amount));
+        this.hp += restored;
+        return restored;
+    }
+
+    /**
+     * Restore all HP
+     */
+    fullHeal() {
+        this.hp = this.maxHp;
+    }
+
+    /**
+     * Generate a serializable representation of this creature
+     *
+     * @returns {Object} Serialized creature data
+     */
+    serialize() {
+        return {
+            id: this.id,
+            creatureId: this.creatureId,
+            nickname: this.nickname,
+            level: this.level,
+            hp: this.hp,
+            moves: [...this.moves]
+        };
+    }
+}
\ No newline at end of file
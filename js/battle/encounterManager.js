@@ -0,0 +1,204 @@
+/**
+ * Encounter Manager
+ * Rolls for wild creature encounters when the player steps onto encounter tiles,
+ * using the zone's encounter tables
+ */
+class EncounterManager {
+    /**
+     * Create a new encounter manager
+     *
+     * @param {Object} scene - The game scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // Seeded so encounter sequences can be reproduced
+        this.seed = null;
+        this.random = null;
+        const configuredSeed = CONFIG.game.encounters.seed;
+        const seed = configuredSeed !== null ? configuredSeed : Date.now();
+        this.setSeed(seed);
+
+        // Steps left before the repel wears off
+        this.repelSteps = 0;
+    }
+
+    /**
+     * Restart the random number generator with a seed
+     *
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = MathUtils.createRandom(seed);
+    }
+
+    /**
+     * Get the encounter table for a tile in the current zone
+     * A table for the tile's type takes precedence over the zone's table
+     *
+     * @param {Tile} tile - Tile the player stepped onto
+     * @returns {Object|null} Encounter table ({rate, table}) or null if there is none
+     */
+    getTable(tile) {
+        const zone = this.scene.currentZone;
+        const encounters = zone ? zone.encounters : null;
+
+        if (!encounters) {
+            return null;
+        }
+
+        const tileTable = encounters.tileTypes ? encounters.tileTypes[tile.type] : null;
+        if (tileTable) {
+            return {
+                rate: tileTable.rate !== undefined ? tileTable.rate : encounters.rate,
+                table: tileTable.table
+            };
+        }
+
+        return encounters.table ? { rate: encounters.rate, table: encounters.table } : null;
+    }
+
+    /**
+     * Check if wild creatures can appear on a tile
+     * The encounter tag can be on the tile itself or on its tile definition
+     *
+     * @param {Tile} tile - Tile to check
+     * @returns {boolean} Whether the tile rolls for encounters
+     */
+    isEncounterTile(tile) {
+        if (Helpers.hasTag(tile, CONSTANTS.TAGS.ENCOUNTER)) {
+            return true;
+        }
+
+        const dataManager = this.scene.dataManager;
+        const definition = dataManager ? dataManager.tiles[tile.type] : null;
+        return !!Helpers.hasTag(definition, CONSTANTS.TAGS.ENCOUNTER);
+    }
+
+    /**
+     * Handle a player step, counting down the repel and rolling for an encounter
+     *
+     * @param {Tile} tile - Tile the player stepped onto
+     * @returns {boolean} Whether an encounter was triggered
+     */
+    onStep(tile) {
+        // A repel keeps wild creatures away until it wears off
+        if (this.repelSteps > 0) {
+            this.repelSteps--;
+
+            if (this.repelSteps === 0) {
+                this.scene.events.emit(CONSTANTS.EVENTS.REPEL_END, {});
+                this.scene.showDialog({
+                    content: 'The repel wore off.',
+                    waitForInput: true
+                });
+            }
+            return false;
+        }
+
+        if (!tile || !this.isEncounterTile(tile)) {
+            return false;
+        }
+
+        // Wild creatures leave the player alone when no creature can fight
+        const player = this.scene.player;
+        if (!player || !player.getActiveCreature()) {
+            return false;
+        }
+
+        const encounterTable = this.getTable(tile);
+        if (!encounterTable || !encounterTable.table ||
+            this.random() >= (encounterTable.rate || 0)) {
+            return false;
+        }
+
+        const entry = MathUtils.weightedPick(encounterTable.table, this.random);
+        if (!entry) {
+            return false;
+        }
+
+        return this.trigger({
+            creatureId: entry.creatureId,
+            level: this.rollLevel(entry),
+            zoneId: this.scene.currentZoneId,
+            position: { x: tile.x, y: tile.y }
+        });
+    }
+
+    /**
+     * Roll a level from a table entry's level range
+     *
+     * @param {Object} entry - Encounter table entry ({minLevel, maxLevel})
+     * @returns {number} Level
+     */
+    rollLevel(entry) {
+        const min = entry.minLevel || 1;
+        const max = entry.maxLevel !== undefined ? entry.maxLevel : min;
+
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Announce an encounter and start the battle after the screen transition
+     *
+     * @param {Object} encounter - Encounter ({creatureId, level, zoneId, position})
+     * @returns {boolean} Whether the transition started
+     */
+    trigger(encounter) {
+        console.log(`Wild encounter: ${encounter.creatureId} (level ${encounter.level})`);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.ENCOUNTER, encounter);
+
+        return this.scene.playTransition('encounter', () => {
+            this.scene.startBattle({
+                creatureId: encounter.creatureId,
+                level: encounter.level
+            });
+        });
+    }
+
+    /**
+     * Start a repel
+     *
+     * @param {number} steps - Steps the repel lasts
+     * @returns {boolean} Whether the repel was started
+     */
+    setRepel(steps) {
+        if (typeof steps !== 'number' || steps <= 0) {
+            return false;
+        }
+
+        this.repelSteps = Math.max(this.repelSteps, Math.floor(steps));
+        return true;
+    }
+
+    /**
+     * Check if a repel is active
+     *
+     * @returns {boolean} Whether wild encounters are kept away
+     */
+    isRepelActive() {
+        return this.repelSteps > 0;
+    }
+
+    /**
+     * Serialize the encounter state for saving
+     *
+     * @returns {Object} Serialized encounter state
+     */
+    serialize() {
+        return {
+            repelSteps: this.repelSteps
+        };
+    }
+
+    /**
+     * Replace the encounter state with serialized data
+     *
+     * @param {Object} [data] - Serialized encounter state
+     */
+    restore(data) {
+        this.repelSteps = data && typeof data.repelSteps === 'number' ? data.repelSteps : 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Type Chart
+ * Type effectiveness multipliers used by the battle damage formula
+ */
+const TypeChart = {
+    /**
+     * Multipliers keyed by attacking type, then defending type
+     * Pairs that aren't listed are neutral (1)
+     */
+    chart: {
+        normal: {},
+        fire: {
+            fire: 0.5,
+            water: 0.5,
+            grass: 2
+        },
+        water: {
+            fire: 2,
+            water: 0.5,
+            grass: 0.5
+        },
+        grass: {
+            fire: 0.5,
+            water: 2,
+            grass: 0.5
+        }
+    },
+
+    /**
+     * Get all known types
+     *
+     * @returns {Array<string>} Type names
+     */
+    getTypes: function() {
+        return Object.keys(this.chart);
+    },
+
+    /**
+     * Check if a type is known
+     *
+     * @param {string} type - Type name
+     * @returns {boolean} Whether the type is in the chart
+     */
+    isType: function(type) {
+        return this.chart.hasOwnProperty(type);
+    },
+
+    /**
+     * Get the multiplier of an attacking type against a defender's types
+     *
+     * @param {string} attackType - Type of the move
+     * @param {Array<string>} defenderTypes - Types of the defending creature
+     * @returns {number} Combined multiplier
+     */
+    getMultiplier: function(attackType, defenderTypes) {
+        const row = this.chart[attackType] || {};
+
+        return defenderTypes.reduce((multiplier, type) => {
+            return multiplier * (row[type] !== undefined ? row[type] : 1);
+        }, 1);
+    },
+
+    /**
+     * Get the battle message for a multiplier
+     *
+     * @param {number} multiplier - Type multiplier
+     * @returns {string} Message or an empty string for neutral hits
+     */
+    getMessage: function(multiplier) {
+        if (multiplier === 0) {
+            return 'It had no effect...';
+        }
+
+        if (multiplier > 1) {
+            return "It's super effective!";
+        }
+
+        if (multiplier < 1) {
+            return "It's not very effective...";
+        }
+
+        return '';
+    }
+};
\ No newline at end of file
@@ -15,7 +15,8 @@ const CONFIG = {
         scene: [
             BootScene,
             GameScene,
-            UIScene
+            UIScene,
+            BattleScene
         ],
         physics: {
             default: 'arcade',
@@ -27,6 +28,9 @@ const CONFIG = {
         scale: {
             mode: Phaser.Scale.FIT,
             autoCenter: Phaser.Scale.CENTER_BOTH
+        },
+        input: {
+            activePointers: 3 // Mouse plus two fingers, so the d-pad and a button can be held
         }
     },
 
@@ -35,7 +39,61 @@ const CONFIG = {
         // Player settings
         player: {
             moveSpeed: 1, // Grid cells per move
-            interactionDistance: 1 // How far the player can interact
+            interactionDistance: 1, // How far the player can interact
+            turnDelay: 90, // Hold time before a direction walks the player instead of turning in ms
+            runMultiplier: 2 // How much faster the player steps while the run action is held
+        },
+
+        // Inventory defaults (entity data can override them with
+        // the inventorySlots and inventoryMaxWeight properties)
+        inventory: {
+            maxSlots: 20,
+            maxWeight: null // No weight limit
+        },
+
+        // Entity stats defaults (entity data can override them with a stats block)
+        entityStats: {
+            maxHealth: 100
+        },
+
+        // Money settings
+        wallet: {
+            maxBalance: 99999, // Most money the player can carry
+            currencyName: 'coins'
+        },
+
+        // Shop defaults (a shop block in entity data can override them)
+        shop: {
+            buyMultiplier: 1, // Players pay the item's value
+            sellMultiplier: 0.5 // Shops pay half the item's value
+        },
+
+        // NPC settings
+        npc: {
+            sightRange: 4, // Tiles a watcher NPC can see ahead of it
+            alertDuration: 800, // How long the alert marker shows before a watcher moves in ms
+            approachStepDuration: 250, // Time between a watcher's steps towards the player in ms
+            forcedStepDuration: 200 // Time between steps of an NPC on ice or a conveyor in ms
+        },
+
+        // Movement animation settings (drawing only;
+        // collision and interaction use the grid positions)
+        animation: {
+            stepDuration: 200, // Glide time for steps that have no duration of their own in ms
+            maxStepDuration: 400, // Longest glide, so slow NPC steps don't crawl across the tile
+            bobHeight: 3 // How high entities bob halfway through a step in pixels
+        },
+
+        // Creature party settings
+        party: {
+            maxSize: 6, // Creatures that can travel with the player
+            storageSize: 30 // Creatures that fit in the storage box
+        },
+
+        // Pathfinding settings
+        pathfinding: {
+            slowCost: 2, // Movement cost of 'slow' tiles whose definition has no movementCost
+            maxSearchNodes: 2000 // Tiles a path search may expand before giving up
         },
 
         // World settings
@@ -62,6 +120,101 @@ const CONFIG = {
             defaultDuration: 3000 // Default display time in ms
         },
 
+        // Save settings
+        save: {
+            storagePrefix: 'gridworld_save_', // localStorage key prefix for save slots
+            version: 1, // Save data format version
+            quickSlot: 'quicksave' // Slot used by the quick save/load keys
+        },
+
+        // Stats and achievement settings
+        stats: {
+            storageKey: 'gridworld_stats', // localStorage key (shared by all save slots)
+            toastDuration: 3000, // How long an achievement toast stays up in ms
+            saveInterval: 10000 // How long changed stats wait before they are stored in ms
+        },
+
+        // Battle settings
+        battle: {
+            maxLevel: 100,
+            sameTypeBonus: 1.5, // Damage bonus when a move matches the user's type
+            minDamageRoll: 0.85, // Damage is multiplied by a random roll between this and 1
+            baseFleeChance: 0.5, // Escape chance against an equally fast opponent
+            fallbackMove: 'tackle' // Used by creatures with no usable moves
+        },
+
+        // Wild encounter settings (rates and tables are in zone data)
+        encounters: {
+            seed: null, // Fixed seed for reproducible encounters, or null to seed from the clock
+            transitionDuration: 400 // Length of the fade before a battle in ms
+        },
+
+        // Input settings (keys are Phaser key code names)
+        input: {
+            storageKey: 'gridworld_keymap', // localStorage key for the player's rebound keys
+            cancelKey: 'ESC', // Stops waiting for a key on the key bindings screen
+            keymap: { // Default keys for each action; the first one is shown in key hints
+                move_up: ['W', 'UP'],
+                move_down: ['S', 'DOWN'],
+                move_left: ['A', 'LEFT'],
+                move_right: ['D', 'RIGHT'],
+                run: ['SHIFT'],
+                interact: ['E', 'SPACE'],
+                cancel: ['ESC'],
+                menu: ['I'],
+                drop: ['Q'],
+                party: ['P'],
+                quick_save: ['K'],
+                quick_load: ['L'],
+                debug: ['B'],
+                keybindings: ['O']
+            },
+            gamepad: {
+                deadzone: 0.3, // How far the left stick must be pushed before it counts (0-1)
+                // localStorage key for the profile chosen for each device
+                storageKey: 'gridworld_gamepad_profiles',
+                // Button bindings (button index to action); the first profile is the fallback
+                profiles: [
+                    {
+                        id: 'standard', // Xbox-style layout in the browser's standard mapping
+                        match: [],
+                        buttons: {
+                            0: 'interact', 1: 'cancel', 2: 'drop', 3: 'party', 5: 'run',
+                            8: 'keybindings', 9: 'menu',
+                            12: 'move_up', 13: 'move_down', 14: 'move_left', 15: 'move_right'
+                        },
+                        stick: { x: 0, y: 1 } // Axes of the left stick
+                    },
+                    {
+                        id: 'nintendo', // Confirm on the right face button, cancel on the bottom
+                        match: ['Pro Controller', 'Vendor: 057e'],
+                        buttons: {
+                            1: 'interact', 0: 'cancel', 3: 'drop', 2: 'party', 5: 'run',
+                            8: 'keybindings', 9: 'menu',
+                            12: 'move_up', 13: 'move_down', 14: 'move_left', 15: 'move_right'
+                        },
+                        stick: { x: 0, y: 1 }
+                    }
+                ]
+            },
+            touch: {
+                // On-screen d-pad and buttons: 'auto' (on touch devices), true or false
+                showControls: 'auto',
+                tapToMove: true, // Tapping or clicking a tile walks the player there
+                alpha: 0.35, // Opacity of the on-screen controls
+                margin: 24, // Distance of the controls from the screen edges in pixels
+                dpadButtonSize: 52, // Size of each d-pad arrow in pixels
+                buttonRadius: 30, // Radius of the round action buttons in pixels
+                buttons: [ // Action buttons, from the bottom right corner outwards
+                    { action: 'interact', label: 'A' },
+                    { action: 'cancel', label: 'B' },
+                    { action: 'menu', label: 'Menu' },
+                    { action: 'party', label: 'Party' },
+                    { action: 'run', label: 'Run' }
+                ]
+            }
+        },
+
         // Debug settings
         debug: {
             showGrid: true,
@@ -15,14 +15,17 @@ const CONSTANTS = {
         LOADING: 'loading',
         PLAYING: 'playing',
         PAUSED: 'paused',
-        DIALOG: 'dialog'
+        DIALOG: 'dialog',
+        BATTLE: 'battle',
+        TRANSITION: 'transition'
     },
 
     // Scene keys
     SCENES: {
         BOOT: 'BootScene',
         GAME: 'GameScene',
-        UI: 'UIScene'
+        UI: 'UIScene',
+        BATTLE: 'BattleScene'
     },
 
     // Entity types
@@ -30,7 +33,8 @@ const CONSTANTS = {
         PLAYER: 'player',
         NPC: 'npc',
         ITEM: 'item',
-        FURNITURE: 'furniture'
+        FURNITURE: 'furniture',
+        CONTAINER: 'container'
     },
 
     // Tile types (just for reference, actual tiles defined in data)
@@ -39,7 +43,10 @@ const CONSTANTS = {
         FOREST: 'forest',
         WATER: 'water',
         ROCK: 'rock',
-        TELEPORTER: 'teleporter'
+        TELEPORTER: 'teleporter',
+        SWAMP: 'swamp',
+        ICE: 'ice',
+        CONVEYOR: 'conveyor'
     },
 
     // Directions
@@ -50,13 +57,22 @@ const CONSTANTS = {
         WEST: 'west'
     },
 
-    // Input keys
-    KEYS: {
-        UP: 'W',
-        DOWN: 'S',
-        LEFT: 'A',
-        RIGHT: 'D',
-        INTERACT: 'E'
+    // Input actions (the keys bound to each are in CONFIG.game.input.keymap)
+    ACTIONS: {
+        MOVE_UP: 'move_up',
+        MOVE_DOWN: 'move_down',
+        MOVE_LEFT: 'move_left',
+        MOVE_RIGHT: 'move_right',
+        RUN: 'run',
+        INTERACT: 'interact',
+        CANCEL: 'cancel',
+        MENU: 'menu',
+        DROP: 'drop',
+        PARTY: 'party',
+        QUICK_SAVE: 'quick_save',
+        QUICK_LOAD: 'quick_load',
+        DEBUG: 'debug',
+        KEYBINDINGS: 'keybindings'
     },
 
     // Tags
@@ -64,17 +80,76 @@ const CONSTANTS = {
         PASSABLE: 'passable',
         BLOCKING: 'blocking',
         INTERACTABLE: 'interactable',
-        COLLECTIBLE: 'collectible'
+        COLLECTIBLE: 'collectible',
+        ENCOUNTER: 'encounter',
+        SLOW: 'slow',
+        ICE: 'ice', // Entities slide across until they are blocked
+        CONVEYOR: 'conveyor' // Entities are pushed along the tile's direction property
     },
 
     // Events
     EVENTS: {
         PLAYER_MOVE: 'player_move',
+        PLAYER_TURN: 'player_turn',
         PLAYER_INTERACT: 'player_interact',
         DIALOG_START: 'dialog_start',
         DIALOG_END: 'dialog_end',
+        DIALOG_CHOICE: 'dialog_choice',
         ITEM_PICKUP: 'item_pickup',
-        ZONE_CHANGE: 'zone_change'
+        ZONE_CHANGE: 'zone_change',
+        GAME_SAVED: 'game_saved',
+        GAME_LOADED: 'game_loaded',
+        INVENTORY_CHANGE: 'inventory_change',
+        INVENTORY_OPEN: 'inventory_open',
+        INVENTORY_CLOSE: 'inventory_close',
+        FLAG_CHANGE: 'flag_change',
+        QUEST_START: 'quest_start',
+        QUEST_UPDATE: 'quest_update',
+        QUEST_COMPLETE: 'quest_complete',
+        ACHIEVEMENT_UNLOCKED: 'achievement_unlocked',
+        BATTLE_START: 'battle_start',
+        BATTLE_END: 'battle_end',
+        ENCOUNTER: 'encounter',
+        REPEL_END: 'repel_end',
+        PARTY_CHANGE: 'party_change',
+        PARTY_OPEN: 'party_open',
+        PARTY_CLOSE: 'party_close',
+        TRANSITION_START: 'transition_start',
+        TRANSITION_END: 'transition_end',
+        WATCHER_ALERT: 'watcher_alert',
+        WATCHER_TRIGGER: 'watcher_trigger',
+        STATS_CHANGE: 'stats_change',
+        STATUS_START: 'status_start',
+        STATUS_END: 'status_end',
+        ENTITY_FAINT: 'entity_faint',
+        PLAYER_RESPAWN: 'player_respawn',
+        WALLET_CHANGE: 'wallet_change',
+        SHOP_OPEN: 'shop_open',
+        SHOP_CLOSE: 'shop_close',
+        SHOP_TRANSACTION: 'shop_transaction',
+        CONTAINER_OPEN: 'container_open',
+        CONTAINER_CLOSE: 'container_close',
+        CONTAINER_CHANGE: 'container_change',
+        INTERACTION_MENU_OPEN: 'interaction_menu_open',
+        INTERACTION_MENU_CLOSE: 'interaction_menu_close',
+        KEYBINDINGS_OPEN: 'keybindings_open',
+        KEYBINDINGS_CLOSE: 'keybindings_close',
+        KEYMAP_CHANGE: 'keymap_change',
+        GAMEPAD_CONNECTED: 'gamepad_connected',
+        GAMEPAD_DISCONNECTED: 'gamepad_disconnected'
+    },
+
+    // Status effect types
+    STATUS_EFFECTS: {
+        POISON: 'poison', // Loses health every step
+        SPEED: 'speed' // Moves faster (or slower)
+    },
+
+    // What an effect acts on
+    EFFECT_TARGETS: {
+        SELF: 'self', // Entity using the item
+        FACING: 'facing', // Entity in front of the user
+        TILE: 'tile' // Tile in front of the user
     },
 
     // Shape types
@@ -89,6 +164,50 @@ const CONSTANTS = {
         TILES: 'data/tiles/',
         ENTITIES: 'data/entities/',
         ZONES: 'data/zones/',
-        INTERACTIONS: 'data/interactions/'
+        INTERACTIONS: 'data/interactions/',
+        QUESTS: 'data/quests/',
+        ACHIEVEMENTS: 'data/achievements/',
+        CREATURES: 'data/creatures/',
+        MOVES: 'data/moves/'
+    },
+
+    // Quest states
+    QUEST_STATUS: {
+        INACTIVE: 'inactive',
+        ACTIVE: 'active',
+        COMPLETED: 'completed'
+    },
+
+    // Quest objective types and the events that drive them
+    QUEST_OBJECTIVES: {
+        COLLECT_ITEM: 'collectItem', // item_pickup
+        TALK_TO: 'talkTo',           // player_interact
+        ENTER_ZONE: 'enterZone',     // zone_change
+        REACH_TILE: 'reachTile'      // player_move
+    },
+
+    // Where an item added to the inventory came from, sent with the item pickup event
+    ITEM_SOURCES: {
+        PICKUP: 'pickup',       // Picked up from the ground
+        CONTAINER: 'container', // Taken out of a container
+        REWARD: 'reward',       // Quest reward
+        GIFT: 'gift',           // Given in a dialog
+        EFFECT: 'effect'        // Given by an item's use effect
+    },
+
+    // Play statistics recorded by the stats tracker
+    STATS: {
+        STEPS: 'steps',
+        ZONES_VISITED: 'zonesVisited',
+        ITEMS_PICKED_UP: 'itemsPickedUp',
+        NPCS_TALKED_TO: 'npcsTalkedTo',
+        DIALOG_PAGES: 'dialogPages'
+    },
+
+    // Battle outcomes reported with the battle end event
+    BATTLE_OUTCOMES: {
+        WIN: 'win',
+        LOSE: 'lose',
+        FLEE: 'flee'
     }
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Flag Store
+ * Global game flags and variables (booleans, counters and strings) shared by all systems
+ */
+class FlagStore {
+    /**
+     * Create a new flag store
+     *
+     * @param {Object} scene - The scene whose event system receives change events
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.flags = {};
+    }
+
+    /**
+     * Check if a value can be stored as a flag
+     *
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether the value is a boolean, number or string
+     */
+    isValidValue(value) {
+        return typeof value === 'boolean' ||
+            (typeof value === 'number' && !isNaN(value)) ||
+            typeof value === 'string';
+    }
+
+    /**
+     * Get the value of a flag
+     *
+     * @param {string} key - Flag name
+     * @param {*} [defaultValue] - Value returned when the flag is not set
+     * @returns {*} Flag value
+     */
+    get(key, defaultValue = undefined) {
+        return this.has(key) ? this.flags[key] : defaultValue;
+    }
+
+    /**
+     * Check if a flag has a value
+     *
+     * @param {string} key - Flag name
+     * @returns {boolean} Whether the flag exists
+     */
+    has(key) {
+        return this.flags.hasOwnProperty(key);
+    }
+
+    /**
+     * Check if a flag is set to a truthy value
+     *
+     * @param {string} key - Flag name
+     * @returns {boolean} Whether the flag is set
+     */
+    isSet(key) {
+        return !!this.flags[key];
+    }
+
+    /**
+     * Set the value of a flag
+     *
+     * @param {string} key - Flag name
+     * @param {boolean|number|string} [value=true] - New value
+     * @returns {boolean} Whether the value was stored
+     */
+    set(key, value = true) {
+        if (!key || typeof key !== 'string') {
+            console.warn('FlagStore.set: Flag name must be a non-empty string');
+            return false;
+        }
+
+        if (!this.isValidValue(value)) {
+            console.warn(`FlagStore.set: Invalid value for flag ${key}:`, value);
+            return false;
+        }
+
+        const previous = this.flags[key];
+        if (previous === value) {
+            return true;
+        }
+
+        this.flags[key] = value;
+        this.emitChange(key, value, previous);
+        return true;
+    }
+
+    /**
+     * Add to a counter flag
+     *
+     * @param {string} key - Flag name
+     * @param {number} [amount=1] - Amount to add
+     * @returns {number} New counter value
+     */
+    increment(key, amount = 1) {
+        const current = this.get(key, 0);
+        const base = typeof current === 'number' ? current : 0;
+
+        this.set(key, base + amount);
+        return this.get(key);
+    }
+
+    /**
+     * Remove a flag
+     *
+     * @param {string} key - Flag name
+     * @returns {boolean} Whether the flag existed
+     */
+    remove(key) {
+        if (!this.has(key)) {
+            return false;
+        }
+
+        const previous = this.flags[key];
+        delete this.flags[key];
+        this.emitChange(key, undefined, previous);
+        return true;
+    }
+
+    /**
+     * Check a flag against a test
+     *
+     * @param {string} key - Flag name
+     * @param {Object} [test] - Test to apply
+     * @param {*} [test.value] - Exact value required (missing flags only match false)
+     * @param {number} [test.min] - Minimum counter value
+     * @param {number} [test.max] - Maximum counter value
+     * @returns {boolean} Whether the flag passes the test
+     */
+    matches(key, test = {}) {
+        const value = this.get(key);
+
+        if (test.min !== undefined || test.max !== undefined) {
+            const number = typeof value === 'number' ? value : 0;
+            return (test.min === undefined || number >= test.min) &&
+                (test.max === undefined || number <= test.max);
+        }
+
+        if (test.value !== undefined) {
+            return value === undefined ? test.value === false : value === test.value;
+        }
+
+        return this.isSet(key);
+    }
+
+    /**
+     * Get a copy of all flags
+     *
+     * @returns {Object} Flag values keyed by name
+     */
+    getAll() {
+        return { ...this.flags };
+    }
+
+    /**
+     * Remove all flags without emitting change events
+     */
+    clear() {
+        this.flags = {};
+    }
+
+    /**
+     * Emit a flag change event
+     *
+     * @param {string} key - Flag name
+     * @param {*} value - New value (undefined if removed)
+     * @param {*} previous - Previous value (undefined if new)
+     */
+    emitChange(key, value, previous) {
+        this.scene.events.emit(CONSTANTS.EVENTS.FLAG_CHANGE, {
+            key: key,
+            value: value,
+            previous: previous
+        });
+    }
+
+    /**
+     * Generate a serializable representation of all flags
+     *
+     * @returns {Object} Flag values keyed by name
+     */
+    serialize() {
+        return this.getAll();
+    }
+
+    /**
+     * Replace all flags with serialized data
+     *
+     * @param {Object} flags - Flag values keyed by name (see serialize)
+     */
+    restore(flags) {
+        this.clear();
+
+        for (const key in flags || {}) {
+            if (this.isValidValue(flags[key])) {
+                this.flags[key] = flags[key];
+            }
+        }
+    }
+}
\ No newline at end of file
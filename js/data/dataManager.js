@@ -17,6 +17,10 @@ class DataManager {
         this.entities = {};
         this.zones = {};
         this.interactions = {};
+        this.quests = {};
+        this.achievements = {};
+        this.creatures = {};
+        this.moves = {};
 
         // Register validators
         this.registerValidators();
@@ -31,6 +35,10 @@ class DataManager {
         this.loader.registerValidator('entity', Validator.validateEntity);
         this.loader.registerValidator('zone', Validator.validateZone);
         this.loader.registerValidator('interaction', Validator.validateInteraction);
+        this.loader.registerValidator('quest', Validator.validateQuest);
+        this.loader.registerValidator('achievement', Validator.validateAchievement);
+        this.loader.registerValidator('creature', Validator.validateCreature);
+        this.loader.registerValidator('move', Validator.validateMove);
     }
 
     /**
@@ -44,7 +52,11 @@ class DataManager {
             this.loadTiles(),
             this.loadEntities(),
             this.loadZones(),
-            this.loadInteractions()
+            this.loadInteractions(),
+            this.loadQuests(),
+            this.loadAchievements(),
+            this.loadCreatures(),
+            this.loadMoves()
         ]).then(() => {
             // Debug: Log what's in the data caches
             console.log("LOADED DATA SUMMARY:");
@@ -52,13 +64,21 @@ class DataManager {
             console.log("Entities:", Object.keys(this.entities));
             console.log("Zones:", Object.keys(this.zones));
             console.log("Interactions:", Object.keys(this.interactions));
+            console.log("Quests:", Object.keys(this.quests));
+            console.log("Achievements:", Object.keys(this.achievements));
+            console.log("Creatures:", Object.keys(this.creatures));
+            console.log("Moves:", Object.keys(this.moves));
 
             // Return the loaded data
             return {
                 tiles: this.tiles,
                 entities: this.entities,
                 zones: this.zones,
-                interactions: this.interactions
+                interactions: this.interactions,
+                quests: this.quests,
+                achievements: this.achievements,
+                creatures: this.creatures,
+                moves: this.moves
             };
         });
     }
@@ -103,6 +123,47 @@ class DataManager {
         return this.loadDataFiles(CONSTANTS.DATA_PATHS.INTERACTIONS, 'interaction', this.interactions);
     }
 
+    /**
+     * Load all quest definitions
+     *
+     * @returns {Promise} Promise that resolves when quests are loaded
+     */
+    loadQuests() {
+        console.log("Loading quests from path:", CONSTANTS.DATA_PATHS.QUESTS);
+        return this.loadDataFiles(CONSTANTS.DATA_PATHS.QUESTS, 'quest', this.quests);
+    }
+
+    /**
+     * Load all achievement definitions
+     *
+     * @returns {Promise} Promise that resolves when achievements are loaded
+     */
+    loadAchievements() {
+        console.log("Loading achievements from path:", CONSTANTS.DATA_PATHS.ACHIEVEMENTS);
+        return this.loadDataFiles(CONSTANTS.DATA_PATHS.ACHIEVEMENTS, 'achievement',
+            this.achievements);
+    }
+
+    /**
+     * Load all creature definitions
+     *
+     * @returns {Promise} Promise that resolves when creatures are loaded
+     */
+    loadCreatures() {
+        console.log("Loading creatures from path:", CONSTANTS.DATA_PATHS.CREATURES);
+        return this.loadDataFiles(CONSTANTS.DATA_PATHS.CREATURES, 'creature', this.creatures);
+    }
+
+    /**
+     * Load all move definitions
+     *
+     * @returns {Promise} Promise that resolves when moves are loaded
+     */
+    loadMoves() {
+        console.log("Loading moves from path:", CONSTANTS.DATA_PATHS.MOVES);
+        return this.loadDataFiles(CONSTANTS.DATA_PATHS.MOVES, 'move', this.moves);
+    }
+
     /**
      * Helper method to load data files of a specific type
      *
@@ -240,6 +301,64 @@ class DataManager {
         return interaction;
     }
 
+    /**
+     * Get a quest definition by ID
+     *
+     * @param {string} id - Quest ID
+     * @returns {Object|null} Quest definition or null if not found
+     */
+    getQuest(id) {
+        const quest = this.quests[id] || null;
+        if (!quest) {
+            console.warn(`Quest not found: ${id}. Available quests:`, Object.keys(this.quests));
+        }
+        return quest;
+    }
+
+    /**
+     * Get an achievement definition by ID
+     *
+     * @param {string} id - Achievement ID
+     * @returns {Object|null} Achievement definition or null if not found
+     */
+    getAchievement(id) {
+        const achievement = this.achievements[id] || null;
+        if (!achievement) {
+            console.warn(`Achievement not found: ${id}. Available achievements:`,
+                Object.keys(this.achievements));
+        }
+        return achievement;
+    }
+
+    /**
+     * Get a creature definition by ID
+     *
+     * @param {string} id - Creature ID
+     * @returns {Object|null} Creature definition or null if not found
+     */
+    getCreature(id) {
+        const creature = this.creatures[id] || null;
+        if (!creature) {
+            console.warn(`Creature not found: ${id}. Available creatures:`,
+                Object.keys(this.creatures));
+        }
+        return creature;
+    }
+
+    /**
+     * Get a move definition by ID
+     *
+     * @param {string} id - Move ID
+     * @returns {Object|null} Move definition or null if not found
+     */
+    getMove(id) {
+        const move = this.moves[id] || null;
+        if (!move) {
+            console.warn(`Move not found: ${id}. Available moves:`, Object.keys(this.moves));
+        }
+        return move;
+    }
+
     /**
      * Get all tiles
      *
@@ -276,6 +395,42 @@ class DataManager {
         return {...this.interactions};
     }
 
+    /**
+     * Get all quests
+     *
+     * @returns {Object} All quest definitions
+     */
+    getAllQuests() {
+        return {...this.quests};
+    }
+
+    /**
+     * Get all achievements
+     *
+     * @returns {Object} All achievement definitions
+     */
+    getAllAchievements() {
+        return {...this.achievements};
+    }
+
+    /**
+     * Get all creatures
+     *
+     * @returns {Object} All creature definitions
+     */
+    getAllCreatures() {
+        return {...this.creatures};
+    }
+
+    /**
+     * Get all moves
+     *
+     * @returns {Object} All move definitions
+     */
+    getAllMoves() {
+        return {...this.moves};
+    }
+
     /**
      * Create a new instance of a zone from definition
      *
@@ -338,6 +493,10 @@ class DataManager {
         console.log("Entities:", this.entities);
         console.log("Zones:", this.zones);
         console.log("Interactions:", this.interactions);
+        console.log("Quests:", this.quests);
+        console.log("Achievements:", this.achievements);
+        console.log("Creatures:", this.creatures);
+        console.log("Moves:", this.moves);
         console.log("=========================");
     }
 }
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * Save Manager
+ * Writes snapshots of the game to localStorage slots and restores them
+ */
+class SaveManager {
+    /**
+     * Create a new save manager
+     *
+     * @param {Object} scene - The game scene to save and restore
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.storagePrefix = CONFIG.game.save.storagePrefix;
+        this.version = CONFIG.game.save.version;
+    }
+
+    /**
+     * Get the localStorage key for a slot
+     *
+     * @param {string} slot - Slot name
+     * @returns {string} Storage key
+     */
+    getStorageKey(slot) {
+        return `${this.storagePrefix}${slot}`;
+    }
+
+    /**
+     * Check if localStorage can be used
+     *
+     * @returns {boolean} Whether localStorage is available
+     */
+    isStorageAvailable() {
+        try {
+            const testKey = `${this.storagePrefix}__test__`;
+            window.localStorage.setItem(testKey, testKey);
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build the save data for the current game
+     *
+     * @returns {Object} Save data
+     */
+    createSaveData() {
+        const scene = this.scene;
+
+        // Make sure the current zone's changes are part of the world state
+        scene.worldState.storeZone(scene.currentZone);
+
+        return {
+            version: this.version,
+            timestamp: Date.now(),
+            zoneId: scene.currentZoneId,
+            player: scene.player ? scene.player.serialize() : null,
+            flags: scene.flags.serialize(),
+            quests: scene.questManager.serialize(),
+            encounters: scene.encounterManager.serialize(),
+            zones: scene.worldState.serialize()
+        };
+    }
+
+    /**
+     * Save the game to a slot
+     *
+     * @param {string} slot - Slot name
+     * @returns {boolean} Whether the game was saved
+     */
+    save(slot) {
+        if (!this.isStorageAvailable()) {
+            console.error('SaveManager.save: localStorage is not available');
+            return false;
+        }
+
+        try {
+            const saveData = this.createSaveData();
+            window.localStorage.setItem(this.getStorageKey(slot), JSON.stringify(saveData));
+
+            console.log(`Game saved to slot: ${slot}`);
+
+            // Emit saved event
+            this.scene.events.emit(CONSTANTS.EVENTS.GAME_SAVED, {
+                slot: slot,
+                saveData: saveData
+            });
+
+            return true;
+        } catch (error) {
+            console.error(`SaveManager.save: Error saving to slot ${slot}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Read and validate the save data stored in a slot
+     *
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Save data or null if missing or invalid
+     */
+    read(slot) {
+        if (!this.isStorageAvailable()) {
+            console.error('SaveManager.read: localStorage is not available');
+            return null;
+        }
+
+        try {
+            const json = window.localStorage.getItem(this.getStorageKey(slot));
+            if (!json) {
+                return null;
+            }
+
+            const saveData = JSON.parse(json);
+            if (!Validator.validate(saveData, 'save')) {
+                console.warn(`Invalid save data in slot ${slot}:`, Validator.getErrors());
+                return null;
+            }
+
+            return saveData;
+        } catch (error) {
+            console.error(`SaveManager.read: Error reading slot ${slot}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Load the game from a slot
+     *
+     * @param {string} slot - Slot name
+     * @returns {boolean} Whether the game was loaded
+     */
+    load(slot) {
+        const saveData = this.read(slot);
+
+        if (!saveData) {
+            console.warn(`No valid save found in slot: ${slot}`);
+            return false;
+        }
+
+        if (!this.applySaveData(saveData)) {
+            return false;
+        }
+
+        console.log(`Game loaded from slot: ${slot}`);
+
+        // Emit loaded event
+        this.scene.events.emit(CONSTANTS.EVENTS.GAME_LOADED, {
+            slot: slot,
+            saveData: saveData
+        });
+
+        return true;
+    }
+
+    /**
+     * Restore the game scene from save data
+     *
+     * @param {Object} saveData - Save data created by createSaveData
+     * @returns {boolean} Whether the save data was applied
+     */
+    applySaveData(saveData) {
+        // Leave the current zone before replacing the world state
+        this.scene.unloadZone();
+        this.scene.worldState.restore(saveData.zones);
+        this.scene.flags.restore(saveData.flags);
+        this.scene.questManager.restore(saveData.quests);
+        this.scene.encounterManager.restore(saveData.encounters);
+
+        // Rebuild the zone and reapply the changes made to it
+        if (!this.scene.loadZone(saveData.zoneId)) {
+            console.error(`SaveManager.applySaveData: Failed to load zone ${saveData.zoneId}`);
+            return false;
+        }
+
+        // Recreate the player where it was saved
+        this.scene.restorePlayer(saveData.player);
+
+        return true;
+    }
+
+    /**
+     * Check if a slot contains a save
+     *
+     * @param {string} slot - Slot name
+     * @returns {boolean} Whether the slot has a save
+     */
+    hasSave(slot) {
+        if (!this.isStorageAvailable()) {
+            return false;
+        }
+
+        return window.localStorage.getItem(this.getStorageKey(slot)) !== null;
+    }
+
+    /**
+     * Delete the save in a slot
+     *
+     * @param {string} slot - Slot name
+     * @returns {boolean} Whether a save was deleted
+     */
+    deleteSave(slot) {
+        if (!this.hasSave(slot)) {
+            return false;
+        }
+
+        window.localStorage.removeItem(this.getStorageKey(slot));
+        return true;
+    }
+
+    /**
+     * List all save slots with summary information
+     *
+     * @returns {Array} Array of {slot, timestamp, zoneId} objects
+     */
+    listSlots() {
+        const slots = [];
+
+        if (!this.isStorageAvailable()) {
+            return slots;
+        }
+
+        for (let i = 0; i < window.localStorage.length; i++) {
+            const key = window.localStorage.key(i);
+            if (!key || !key.startsWith(this.storagePrefix)) {
+                continue;
+            }
+
+            const slot = key.substring(this.storagePrefix.length);
+            const saveData = this.read(slot);
+            if (saveData) {
+                slots.push({
+                    slot: slot,
+                    timestamp: saveData.timestamp,
+                    zoneId: saveData.zoneId
+                });
+            }
+        }
+
+        return slots;
+    }
+}
\ No newline at end of file
@@ -166,12 +166,38 @@ const Validator = {
             return false;
         }
 
+        // Check default interaction
+        if (entity.defaultInteraction !== undefined &&
+            typeof entity.defaultInteraction !== 'string') {
+            Validator.addError(`Entity ${entity.id} has invalid defaultInteraction (not a string)`);
+            return false;
+        }
+
         // Type-specific validation
         if (entity.type === CONSTANTS.ENTITY_TYPES.NPC) {
             if (entity.dialog && typeof entity.dialog !== 'string' && typeof entity.dialog !== 'object') {
                 Validator.addError(`NPC ${entity.id} has invalid dialog (not a string or object)`);
                 return false;
             }
+
+            if (entity.dialog && typeof entity.dialog === 'object' &&
+                entity.dialog.nodes !== undefined &&
+                !Validator.validateDialogTree(entity.dialog, entity.id)) {
+                return false;
+            }
+
+            if (entity.watch !== undefined && !Validator.validateWatch(entity.watch, entity.id)) {
+                return false;
+            }
+
+            if (entity.shop !== undefined && !Validator.validateShop(entity.shop, entity.id)) {
+                return false;
+            }
+        }
+
+        if (entity.type === CONSTANTS.ENTITY_TYPES.CONTAINER &&
+            !Validator.validateContainer(entity, entity.id)) {
+            return false;
         }
 
         if (entity.type === CONSTANTS.ENTITY_TYPES.ITEM) {
@@ -179,6 +205,448 @@ const Validator = {
                 Validator.addError(`Item ${entity.id} has invalid interactable property (not a boolean)`);
                 return false;
             }
+
+            if (entity.quantity !== undefined &&
+                (typeof entity.quantity !== 'number' || entity.quantity < 1)) {
+                Validator.addError(`Item ${entity.id} has invalid quantity`);
+                return false;
+            }
+
+            const properties = entity.properties || {};
+            if (properties.weight !== undefined &&
+                (typeof properties.weight !== 'number' || properties.weight < 0)) {
+                Validator.addError(`Item ${entity.id} has invalid weight`);
+                return false;
+            }
+
+            if (properties.maxStack !== undefined &&
+                (typeof properties.maxStack !== 'number' || properties.maxStack < 1)) {
+                Validator.addError(`Item ${entity.id} has invalid maxStack`);
+                return false;
+            }
+
+            if (entity.useEffect &&
+                !Validator.validateEffect(entity.useEffect, `Item ${entity.id}`)) {
+                return false;
+            }
+        }
+
+        // Stats and respawn point
+        if (entity.stats !== undefined && !Validator.validateEntityStats(entity.stats, entity.id)) {
+            return false;
+        }
+
+        if (entity.respawn !== undefined) {
+            const respawn = entity.respawn;
+            if (!respawn || typeof respawn.zoneId !== 'string' ||
+                typeof respawn.x !== 'number' || typeof respawn.y !== 'number') {
+                Validator.addError(
+                    `Entity ${entity.id} has invalid respawn (needs zoneId, x and y)`);
+                return false;
+            }
+        }
+
+        // Money
+        const wallet = entity.wallet;
+        if (wallet !== undefined && (!wallet || typeof wallet !== 'object' ||
+            (wallet.balance !== undefined &&
+                (!Number.isInteger(wallet.balance) || wallet.balance < 0)))) {
+            Validator.addError(`Entity ${entity.id} has invalid wallet ` +
+                '(balance must be a whole number of at least 0)');
+            return false;
+        }
+
+        // Inventory limits
+        const limits = ['inventorySlots', 'inventoryMaxWeight'];
+        for (const limit of limits) {
+            const value = entity.properties ? entity.properties[limit] : undefined;
+            if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+                Validator.addError(`Entity ${entity.id} has invalid ${limit}`);
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate the stats block of an entity
+     *
+     * @param {Object} stats - Stats ({maxHealth, health, attributes, effects})
+     * @param {string} ownerId - ID of the entity (for error messages)
+     * @returns {boolean} Whether the stats are valid
+     */
+    validateEntityStats: function(stats, ownerId) {
+        if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+            Validator.addError(`Entity ${ownerId} has invalid stats (not an object)`);
+            return false;
+        }
+
+        if (stats.maxHealth !== undefined &&
+            (typeof stats.maxHealth !== 'number' || stats.maxHealth <= 0)) {
+            Validator.addError(`Entity ${ownerId} has invalid maxHealth: ${stats.maxHealth}`);
+            return false;
+        }
+
+        if (stats.health !== undefined && (typeof stats.health !== 'number' || stats.health < 0)) {
+            Validator.addError(`Entity ${ownerId} has invalid health: ${stats.health}`);
+            return false;
+        }
+
+        if (stats.attributes !== undefined) {
+            if (!stats.attributes || typeof stats.attributes !== 'object' ||
+                Array.isArray(stats.attributes)) {
+                Validator.addError(`Entity ${ownerId} has invalid attributes (not an object)`);
+                return false;
+            }
+
+            const invalid = Object.keys(stats.attributes)
+                .find(name => typeof stats.attributes[name] !== 'number');
+            if (invalid) {
+                Validator.addError(`Entity ${ownerId} has non-numeric attribute: ${invalid}`);
+                return false;
+            }
+        }
+
+        if (stats.effects !== undefined) {
+            if (!Array.isArray(stats.effects)) {
+                Validator.addError(`Entity ${ownerId} has invalid effects (not an array)`);
+                return false;
+            }
+
+            return stats.effects.every(effect => Validator.validateStatusEffect(effect, ownerId));
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a status effect
+     *
+     * @param {Object} effect - Status effect ({type, steps, duration, damage, multiplier})
+     * @param {string} ownerId - ID of what applies the effect (for error messages)
+     * @returns {boolean} Whether the effect is valid
+     */
+    validateStatusEffect: function(effect, ownerId) {
+        if (!effect || typeof effect !== 'object') {
+            Validator.addError(`${ownerId} has invalid status effect (not an object)`);
+            return false;
+        }
+
+        if (!Object.values(CONSTANTS.STATUS_EFFECTS).includes(effect.type)) {
+            Validator.addError(`${ownerId} has unknown status effect type: ${effect.type}`);
+            return false;
+        }
+
+        const positive = ['steps', 'duration', 'damage', 'multiplier'];
+        for (const field of positive) {
+            if (effect[field] !== undefined &&
+                (typeof effect[field] !== 'number' || effect[field] <= 0)) {
+                Validator.addError(
+                    `${ownerId} has status effect with invalid ${field}: ${effect[field]}`);
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate an effect (or list of effects) against the effect registry
+     *
+     * @param {Object|Array} effect - Effect or list of effects
+     * @param {string} ownerId - What triggers the effect (for error messages)
+     * @returns {boolean} Whether the effect is valid
+     */
+    validateEffect: function(effect, ownerId) {
+        if (Array.isArray(effect)) {
+            return effect.every(child => Validator.validateEffect(child, ownerId));
+        }
+
+        if (!effect || typeof effect !== 'object') {
+            Validator.addError(`${ownerId} has invalid effect (not an object)`);
+            return false;
+        }
+
+        const definition = EffectRegistry.get(effect.type);
+        if (!definition) {
+            Validator.addError(`${ownerId} has unknown effect type: ${effect.type}`);
+            return false;
+        }
+
+        // Check fields against the effect's schema
+        for (const [field, rule] of Object.entries(definition.schema || {})) {
+            const value = effect[field];
+
+            if (value === undefined) {
+                if (rule.required) {
+                    Validator.addError(`${ownerId} has ${effect.type} effect without ${field}`);
+                    return false;
+                }
+                continue;
+            }
+
+            const type = Array.isArray(value) ? 'array' : typeof value;
+            if (![].concat(rule.type).includes(type) ||
+                (rule.min !== undefined && value < rule.min) ||
+                (rule.max !== undefined && value > rule.max)) {
+                Validator.addError(`${ownerId} has ${effect.type} effect with invalid ${field}: ` +
+                    JSON.stringify(value));
+                return false;
+            }
+        }
+
+        if (definition.validate && !definition.validate(effect, ownerId)) {
+            return false;
+        }
+
+        // Composite effects are valid when everything they contain is
+        return EffectRegistry.getChildren(effect)
+            .every(child => Validator.validateEffect(child, ownerId));
+    },
+
+    /**
+     * Validate the shop of a merchant NPC
+     *
+     * @param {Object} shop - Shop ({stock, buyMultiplier, sellMultiplier, greeting})
+     * @param {string} ownerId - ID of the NPC (for error messages)
+     * @returns {boolean} Whether the shop is valid
+     */
+    validateShop: function(shop, ownerId) {
+        if (!shop || typeof shop !== 'object' || Array.isArray(shop)) {
+            Validator.addError(`NPC ${ownerId} has invalid shop (not an object)`);
+            return false;
+        }
+
+        if (!Array.isArray(shop.stock)) {
+            Validator.addError(`NPC ${ownerId} has shop without a stock list`);
+            return false;
+        }
+
+        const multipliers = ['buyMultiplier', 'sellMultiplier'];
+        for (const multiplier of multipliers) {
+            const value = shop[multiplier];
+            if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+                Validator.addError(`NPC ${ownerId} has shop with invalid ${multiplier}: ${value}`);
+                return false;
+            }
+        }
+
+        if (shop.greeting !== undefined && shop.greeting !== null &&
+            typeof shop.greeting !== 'string') {
+            Validator.addError(`NPC ${ownerId} has shop with invalid greeting (not a string)`);
+            return false;
+        }
+
+        for (let i = 0; i < shop.stock.length; i++) {
+            const entry = shop.stock[i];
+
+            if (!entry || typeof entry.itemId !== 'string') {
+                Validator.addError(`NPC ${ownerId} has shop stock entry ${i} without an itemId`);
+                return false;
+            }
+
+            if (entry.price !== undefined && (!Number.isInteger(entry.price) || entry.price < 0)) {
+                Validator.addError(`NPC ${ownerId} has shop stock entry ${entry.itemId} ` +
+                    `with invalid price: ${entry.price}`);
+                return false;
+            }
+
+            if (entry.quantity !== undefined &&
+                (!Number.isInteger(entry.quantity) || entry.quantity < 0)) {
+                Validator.addError(`NPC ${ownerId} has shop stock entry ${entry.itemId} ` +
+                    `with invalid quantity: ${entry.quantity}`);
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate the contents and lock of a container
+     *
+     * @param {Object} container - Container data
+     *                             ({contents, locked, keyItemId, consumeKey, lockedMessage})
+     * @param {string} ownerId - ID of the container (for error messages)
+     * @returns {boolean} Whether the container data is valid
+     */
+    validateContainer: function(container, ownerId) {
+        if (container.contents !== undefined && !Array.isArray(container.contents)) {
+            Validator.addError(`Container ${ownerId} has invalid contents (not an array)`);
+            return false;
+        }
+
+        const contents = container.contents || [];
+        for (let i = 0; i < contents.length; i++) {
+            const entry = contents[i];
+
+            if (!entry || typeof entry.itemId !== 'string') {
+                Validator.addError(
+                    `Container ${ownerId} has contents entry ${i} without an itemId`);
+                return false;
+            }
+
+            if (entry.quantity !== undefined &&
+                (!Number.isInteger(entry.quantity) || entry.quantity < 1)) {
+                Validator.addError(`Container ${ownerId} has ${entry.itemId} ` +
+                    `with invalid quantity: ${entry.quantity}`);
+                return false;
+            }
+        }
+
+        const booleans = ['locked', 'consumeKey'];
+        for (const field of booleans) {
+            if (container[field] !== undefined && typeof container[field] !== 'boolean') {
+                Validator.addError(`Container ${ownerId} has invalid ${field} (not a boolean)`);
+                return false;
+            }
+        }
+
+        const strings = ['keyItemId', 'lockedMessage'];
+        for (const field of strings) {
+            if (container[field] !== undefined && container[field] !== null &&
+                typeof container[field] !== 'string') {
+                Validator.addError(`Container ${ownerId} has invalid ${field} (not a string)`);
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate the line of sight settings of a watcher NPC
+     *
+     * @param {Object} watch - Watch settings ({range, event, flag, triggered})
+     * @param {string} ownerId - ID of the NPC (for error messages)
+     * @returns {boolean} Whether the settings are valid
+     */
+    validateWatch: function(watch, ownerId) {
+        if (!watch || typeof watch !== 'object') {
+            Validator.addError(`NPC ${ownerId} has invalid watch settings (not an object)`);
+            return false;
+        }
+
+        if (watch.range !== undefined && (typeof watch.range !== 'number' || watch.range < 1)) {
+            Validator.addError(`NPC ${ownerId} has invalid watch range: ${watch.range}`);
+            return false;
+        }
+
+        if (watch.event !== undefined && watch.event !== null && typeof watch.event !== 'string') {
+            Validator.addError(`NPC ${ownerId} has invalid watch event (not a string)`);
+            return false;
+        }
+
+        if (watch.flag !== undefined && watch.flag !== null && typeof watch.flag !== 'string') {
+            Validator.addError(`NPC ${ownerId} has invalid watch flag (not a string)`);
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a dialog tree
+     *
+     * @param {Object} tree - Dialog tree to validate
+     * @param {string} ownerId - ID of the entity the tree belongs to (for error messages)
+     * @returns {boolean} Whether the dialog tree is valid
+     */
+    validateDialogTree: function(tree, ownerId) {
+        const conditionTypes = ['hasItem', 'flag', 'quest'];
+        const actionTypes = [
+            'giveItem', 'takeItem', 'setFlag', 'incrementFlag',
+            'startQuest', 'startBattle', 'giveCreature'
+        ];
+
+        if (!tree.nodes || typeof tree.nodes !== 'object' || Array.isArray(tree.nodes)) {
+            Validator.addError(`Dialog of ${ownerId} has invalid nodes (not an object)`);
+            return false;
+        }
+
+        // Check a list of conditions or actions
+        const checkList = (list, types, kind, where) => {
+            if (list === undefined) {
+                return true;
+            }
+
+            if (!Array.isArray(list)) {
+                Validator.addError(`Dialog of ${ownerId} has invalid ${kind} list in ${where}`);
+                return false;
+            }
+
+            for (const entry of list) {
+                if (!entry || !types.includes(entry.type)) {
+                    Validator.addError(`Dialog of ${ownerId} has unknown ${kind} type ` +
+                        `in ${where}: ${entry && entry.type}`);
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        // Check a next-node link (node ID or list of conditional branches)
+        const checkLink = (link, where) => {
+            if (link === undefined || link === null) {
+                return true;
+            }
+
+            const branches = Array.isArray(link) ? link : [{ node: link }];
+            for (const branch of branches) {
+                if (branch.node !== undefined && branch.node !== null && !tree.nodes[branch.node]) {
+                    Validator.addError(`Dialog of ${ownerId} links to unknown node ` +
+                        `${branch.node} from ${where}`);
+                    return false;
+                }
+
+                if (!checkList(branch.conditions, conditionTypes, 'condition', where)) {
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        if (!checkLink(tree.start, 'start')) {
+            return false;
+        }
+
+        for (const nodeId in tree.nodes) {
+            const node = tree.nodes[nodeId];
+
+            // Check text
+            if (typeof node.text !== 'string' && !Array.isArray(node.pages)) {
+                Validator.addError(`Dialog node ${nodeId} of ${ownerId} has no text or pages`);
+                return false;
+            }
+
+            if (!checkList(node.actions, actionTypes, 'action', nodeId) ||
+                !checkLink(node.next, nodeId)) {
+                return false;
+            }
+
+            // Check choices
+            if (node.choices !== undefined && !Array.isArray(node.choices)) {
+                Validator.addError(`Dialog node ${nodeId} of ${ownerId} has invalid choices ` +
+                    '(not an array)');
+                return false;
+            }
+
+            for (const choice of node.choices || []) {
+                if (typeof choice.text !== 'string') {
+                    Validator.addError(
+                        `Dialog node ${nodeId} of ${ownerId} has a choice without text`);
+                    return false;
+                }
+
+                if (!checkList(choice.conditions, conditionTypes, 'condition', nodeId) ||
+                    !checkList(choice.actions, actionTypes, 'action', nodeId) ||
+                    !checkLink(choice.next, nodeId)) {
+                    return false;
+                }
+            }
         }
 
         return true;
@@ -263,6 +731,21 @@ const Validator = {
                     Validator.addError(`Zone ${zone.id} has tile without type at index ${i}`);
                     return false;
                 }
+
+                if (tile.properties && tile.properties.statusEffect !== undefined &&
+                    !Validator.validateStatusEffect(tile.properties.statusEffect,
+                        `${zone.id} tile ${i}`)) {
+                    return false;
+                }
+
+                // Conveyors need a direction to push entities in
+                if (tile.type === CONSTANTS.TILE_TYPES.CONVEYOR &&
+                    !Object.values(CONSTANTS.DIRECTIONS)
+                        .includes(tile.properties && tile.properties.direction)) {
+                    Validator.addError(`Zone ${zone.id} has conveyor tile ` +
+                        `without a valid direction at index ${i}`);
+                    return false;
+                }
             }
         }
 
@@ -273,6 +756,9 @@ const Validator = {
         }
 
         if (zone.entities) {
+            // Zone state is tracked by entity id, so ids can't repeat within a zone
+            const entityIds = new Set();
+
             for (let i = 0; i < zone.entities.length; i++) {
                 const entity = zone.entities[i];
 
@@ -290,6 +776,22 @@ const Validator = {
                     Validator.addError(`Zone ${zone.id} has entity without type at index ${i}`);
                     return false;
                 }
+
+                if (entity.id !== undefined) {
+                    if (entityIds.has(entity.id)) {
+                        Validator.addError(`Zone ${zone.id} has duplicate entity id ${entity.id} ` +
+                            `at index ${i} (name a shared definition with entityId instead)`);
+                        return false;
+                    }
+
+                    entityIds.add(entity.id);
+                }
+
+                // Containers usually get their contents from the zone
+                if (entity.type === CONSTANTS.ENTITY_TYPES.CONTAINER &&
+                    !Validator.validateContainer(entity, `${zone.id}/${entity.id || i}`)) {
+                    return false;
+                }
             }
         }
 
@@ -330,6 +832,96 @@ const Validator = {
             }
         }
 
+        // Check encounter tables
+        if (zone.encounters !== undefined &&
+            !Validator.validateEncounters(zone.encounters, zone.id)) {
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a zone's wild encounter tables
+     *
+     * @param {Object} encounters - Encounter data ({rate, table, tileTypes})
+     * @param {string} zoneId - Zone ID used in error messages
+     * @returns {boolean} Whether the encounter data is valid
+     */
+    validateEncounters: function(encounters, zoneId) {
+        if (!encounters || typeof encounters !== 'object' || Array.isArray(encounters)) {
+            Validator.addError(`Zone ${zoneId} has invalid encounters (not an object)`);
+            return false;
+        }
+
+        const maxLevel = CONFIG.game.battle.maxLevel;
+
+        // Check a rate and a table; tile type tables may leave the rate to the zone
+        const checkTable = (rate, table, where, rateRequired) => {
+            if ((rate !== undefined || rateRequired) &&
+                (typeof rate !== 'number' || rate < 0 || rate > 1)) {
+                Validator.addError(
+                    `Zone ${zoneId} has invalid encounter rate in ${where} (must be 0-1)`);
+                return false;
+            }
+
+            if (!Array.isArray(table) || table.length === 0) {
+                Validator.addError(
+                    `Zone ${zoneId} has an empty or invalid encounter table in ${where}`);
+                return false;
+            }
+
+            for (let i = 0; i < table.length; i++) {
+                const entry = table[i];
+
+                if (!entry.creatureId) {
+                    Validator.addError(`Zone ${zoneId} has encounter without creatureId ` +
+                        `in ${where} at index ${i}`);
+                    return false;
+                }
+
+                const min = entry.minLevel;
+                const max = entry.maxLevel !== undefined ? entry.maxLevel : min;
+                if (!Number.isInteger(min) || !Number.isInteger(max) ||
+                    min < 1 || max < min || max > maxLevel) {
+                    Validator.addError(`Zone ${zoneId} has encounter with invalid level range ` +
+                        `in ${where} at index ${i}`);
+                    return false;
+                }
+
+                if (entry.weight !== undefined &&
+                    (typeof entry.weight !== 'number' || entry.weight <= 0)) {
+                    Validator.addError(`Zone ${zoneId} has encounter with invalid weight ` +
+                        `in ${where} at index ${i}`);
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        if (encounters.table !== undefined &&
+            !checkTable(encounters.rate, encounters.table, 'zone table', true)) {
+            return false;
+        }
+
+        if (encounters.tileTypes !== undefined) {
+            if (typeof encounters.tileTypes !== 'object' || Array.isArray(encounters.tileTypes)) {
+                Validator.addError(
+                    `Zone ${zoneId} has invalid encounter tileTypes (not an object)`);
+                return false;
+            }
+
+            for (const tileType in encounters.tileTypes) {
+                const tileTable = encounters.tileTypes[tileType];
+                const rate = tileTable.rate !== undefined ? tileTable.rate : encounters.rate;
+
+                if (!checkTable(rate, tileTable.table, `tile type ${tileType}`, true)) {
+                    return false;
+                }
+            }
+        }
+
         return true;
     },
 
@@ -393,12 +985,397 @@ const Validator = {
             }
         }
 
-        // Check eventType
+        // Check eventType (the game's own events carry different data)
         if (!interaction.eventType) {
             Validator.addError(`Interaction ${interaction.id} is missing eventType`);
             return false;
         }
 
+        if (Object.values(CONSTANTS.EVENTS).includes(interaction.eventType)) {
+            Validator.addError(`Interaction ${interaction.id} uses a built-in event ` +
+                `as eventType: ${interaction.eventType}`);
+            return false;
+        }
+
+        // Check keyBinding (names an input action)
+        if (interaction.keyBinding !== undefined &&
+            !Object.values(CONSTANTS.ACTIONS).includes(interaction.keyBinding)) {
+            Validator.addError(
+                `Interaction ${interaction.id} has invalid keyBinding: ${interaction.keyBinding}`);
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a quest definition
+     *
+     * @param {Object|Array} quest - Quest data to validate (or array of quests)
+     * @returns {boolean} Whether the quest data is valid
+     */
+    validateQuest: function(quest) {
+        Validator.clearErrors();
+
+        // If it's an array, validate each item
+        if (Array.isArray(quest)) {
+            return quest.every((item, index) => {
+                const isValid = Validator.validateQuestObject(item);
+                if (!isValid) {
+                    Validator.addError(`Item at index ${index} is invalid`);
+                }
+                return isValid;
+            });
+        }
+
+        // Otherwise validate as single object
+        return Validator.validateQuestObject(quest);
+    },
+
+    /**
+     * Validate a single quest object
+     *
+     * @param {Object} quest - Quest object to validate
+     * @returns {boolean} Whether the quest is valid
+     */
+    validateQuestObject: function(quest) {
+        // Check required fields
+        if (!quest.id) {
+            Validator.addError('Quest is missing id');
+            return false;
+        }
+
+        // Check objectives
+        if (!Array.isArray(quest.objectives)) {
+            Validator.addError(`Quest ${quest.id} has invalid objectives (not an array)`);
+            return false;
+        }
+
+        const objectiveTypes = Object.values(CONSTANTS.QUEST_OBJECTIVES);
+        const objectiveIds = [];
+
+        for (const objective of quest.objectives) {
+            if (!objective.id || objectiveIds.includes(objective.id)) {
+                Validator.addError(
+                    `Quest ${quest.id} has an objective with a missing or duplicate id`);
+                return false;
+            }
+            objectiveIds.push(objective.id);
+
+            if (!objectiveTypes.includes(objective.type)) {
+                Validator.addError(`Quest ${quest.id} objective ${objective.id} ` +
+                    `has invalid type: ${objective.type}`);
+                return false;
+            }
+
+            if (objective.quantity !== undefined &&
+                (typeof objective.quantity !== 'number' || objective.quantity < 1)) {
+                Validator.addError(
+                    `Quest ${quest.id} objective ${objective.id} has invalid quantity`);
+                return false;
+            }
+
+            // Fields each objective type needs
+            const required = {
+                collectItem: ['itemId'],
+                talkTo: ['target'],
+                enterZone: ['zone'],
+                reachTile: ['x', 'y']
+            }[objective.type];
+
+            for (const field of required) {
+                if (objective[field] === undefined) {
+                    Validator.addError(
+                        `Quest ${quest.id} objective ${objective.id} is missing ${field}`);
+                    return false;
+                }
+            }
+        }
+
+        // Check rewards
+        if (quest.rewards) {
+            if (quest.rewards.items && !Array.isArray(quest.rewards.items)) {
+                Validator.addError(`Quest ${quest.id} has invalid reward items (not an array)`);
+                return false;
+            }
+
+            if (quest.rewards.flags && typeof quest.rewards.flags !== 'object') {
+                Validator.addError(`Quest ${quest.id} has invalid reward flags (not an object)`);
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate an achievement definition
+     *
+     * @param {Object|Array} achievement - Achievement data to validate (or array of achievements)
+     * @returns {boolean} Whether the achievement data is valid
+     */
+    validateAchievement: function(achievement) {
+        Validator.clearErrors();
+
+        // If it's an array, validate each item
+        if (Array.isArray(achievement)) {
+            return achievement.every((item, index) => {
+                const isValid = Validator.validateAchievementObject(item);
+                if (!isValid) {
+                    Validator.addError(`Item at index ${index} is invalid`);
+                }
+                return isValid;
+            });
+        }
+
+        // Otherwise validate as single object
+        return Validator.validateAchievementObject(achievement);
+    },
+
+    /**
+     * Validate a single achievement object
+     *
+     * @param {Object} achievement - Achievement object to validate
+     * @returns {boolean} Whether the achievement is valid
+     */
+    validateAchievementObject: function(achievement) {
+        // Check required fields
+        if (!achievement.id) {
+            Validator.addError('Achievement is missing id');
+            return false;
+        }
+
+        // Check stat
+        if (!Object.values(CONSTANTS.STATS).includes(achievement.stat)) {
+            Validator.addError(
+                `Achievement ${achievement.id} has invalid stat: ${achievement.stat}`);
+            return false;
+        }
+
+        // Check threshold
+        if (typeof achievement.threshold !== 'number' || achievement.threshold < 1) {
+            Validator.addError(`Achievement ${achievement.id} has invalid threshold`);
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a creature definition
+     *
+     * @param {Object|Array} creature - Creature data to validate (or array of creatures)
+     * @returns {boolean} Whether the creature data is valid
+     */
+    validateCreature: function(creature) {
+        Validator.clearErrors();
+
+        // If it's an array, validate each item
+        if (Array.isArray(creature)) {
+            return creature.every((item, index) => {
+                const isValid = Validator.validateCreatureObject(item);
+                if (!isValid) {
+                    Validator.addError(`Item at index ${index} is invalid`);
+                }
+                return isValid;
+            });
+        }
+
+        // Otherwise validate as single object
+        return Validator.validateCreatureObject(creature);
+    },
+
+    /**
+     * Validate a single creature object
+     *
+     * @param {Object} creature - Creature object to validate
+     * @returns {boolean} Whether the creature is valid
+     */
+    validateCreatureObject: function(creature) {
+        // Check required fields
+        if (!creature.id) {
+            Validator.addError('Creature is missing id');
+            return false;
+        }
+
+        // Check types
+        if (!Array.isArray(creature.types) || creature.types.length === 0) {
+            Validator.addError(`Creature ${creature.id} has no types`);
+            return false;
+        }
+
+        const unknownType = creature.types.find(type => !TypeChart.isType(type));
+        if (unknownType) {
+            Validator.addError(`Creature ${creature.id} has unknown type: ${unknownType}`);
+            return false;
+        }
+
+        // Check base stats
+        if (!creature.baseStats || typeof creature.baseStats !== 'object') {
+            Validator.addError(`Creature ${creature.id} is missing baseStats`);
+            return false;
+        }
+
+        const missingStat = ['hp', 'attack', 'defense', 'speed'].find(stat =>
+            typeof creature.baseStats[stat] !== 'number' || creature.baseStats[stat] < 1
+        );
+        if (missingStat) {
+            Validator.addError(`Creature ${creature.id} has invalid base stat: ${missingStat}`);
+            return false;
+        }
+
+        // Check moves
+        if (!Array.isArray(creature.moves) || creature.moves.length === 0) {
+            Validator.addError(`Creature ${creature.id} has no moves`);
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate a move definition
+     *
+     * @param {Object|Array} move - Move data to validate (or array of moves)
+     * @returns {boolean} Whether the move data is valid
+     */
+    validateMove: function(move) {
+        Validator.clearErrors();
+
+        // If it's an array, validate each item
+        if (Array.isArray(move)) {
+            return move.every((item, index) => {
+                const isValid = Validator.validateMoveObject(item);
+                if (!isValid) {
+                    Validator.addError(`Item at index ${index} is invalid`);
+                }
+                return isValid;
+            });
+        }
+
+        // Otherwise validate as single object
+        return Validator.validateMoveObject(move);
+    },
+
+    /**
+     * Validate a single move object
+     *
+     * @param {Object} move - Move object to validate
+     * @returns {boolean} Whether the move is valid
+     */
+    validateMoveObject: function(move) {
+        // Check required fields
+        if (!move.id) {
+            Validator.addError('Move is missing id');
+            return false;
+        }
+
+        // Check type
+        if (!TypeChart.isType(move.type)) {
+            Validator.addError(`Move ${move.id} has unknown type: ${move.type}`);
+            return false;
+        }
+
+        // Check power
+        if (typeof move.power !== 'number' || move.power < 0) {
+            Validator.addError(`Move ${move.id} has invalid power`);
+            return false;
+        }
+
+        // Check accuracy
+        if (move.accuracy !== undefined &&
+            (typeof move.accuracy !== 'number' || move.accuracy < 1 || move.accuracy > 100)) {
+            Validator.addError(`Move ${move.id} has invalid accuracy (must be 1-100)`);
+            return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Validate save data read from storage
+     *
+     * @param {Object} save - Save data to validate
+     * @returns {boolean} Whether the save data is valid
+     */
+    validateSave: function(save) {
+        Validator.clearErrors();
+
+        if (!save || typeof save !== 'object') {
+            Validator.addError('Save data is not an object');
+            return false;
+        }
+
+        // Check version
+        if (typeof save.version !== 'number') {
+            Validator.addError('Save data is missing version');
+            return false;
+        }
+
+        if (save.version > CONFIG.game.save.version) {
+            Validator.addError(`Save data version ${save.version} is newer than supported`);
+            return false;
+        }
+
+        // Check current zone
+        if (!save.zoneId || typeof save.zoneId !== 'string') {
+            Validator.addError('Save data is missing zoneId');
+            return false;
+        }
+
+        // Check player
+        if (!save.player || typeof save.player !== 'object') {
+            Validator.addError('Save data is missing player');
+            return false;
+        }
+
+        if (typeof save.player.x !== 'number' || typeof save.player.y !== 'number') {
+            Validator.addError('Save data has player with invalid position');
+            return false;
+        }
+
+        if (save.player.inventory && !Array.isArray(save.player.inventory)) {
+            Validator.addError('Save data has invalid player inventory (not an array)');
+            return false;
+        }
+
+        if (save.player.stats &&
+            (typeof save.player.stats !== 'object' || Array.isArray(save.player.stats))) {
+            Validator.addError('Save data has invalid player stats (not an object)');
+            return false;
+        }
+
+        if (save.player.wallet && (typeof save.player.wallet !== 'object' ||
+            typeof save.player.wallet.balance !== 'number' || save.player.wallet.balance < 0)) {
+            Validator.addError('Save data has invalid player wallet');
+            return false;
+        }
+
+        // Check flags
+        if (save.flags && (typeof save.flags !== 'object' || Array.isArray(save.flags))) {
+            Validator.addError('Save data has invalid flags (not an object)');
+            return false;
+        }
+
+        // Check quests
+        if (save.quests && (typeof save.quests !== 'object' || Array.isArray(save.quests))) {
+            Validator.addError('Save data has invalid quests (not an object)');
+            return false;
+        }
+
+        // Check encounter state
+        if (save.encounters &&
+            (typeof save.encounters !== 'object' || Array.isArray(save.encounters))) {
+            Validator.addError('Save data has invalid encounters (not an object)');
+            return false;
+        }
+
+        // Check zone deltas
+        if (save.zones && typeof save.zones !== 'object') {
+            Validator.addError('Save data has invalid zones (not an object)');
+            return false;
+        }
+
         return true;
     },
 
@@ -425,6 +1402,21 @@ const Validator = {
             case 'interaction':
                 return Validator.validateInteraction(data);
 
+            case 'quest':
+                return Validator.validateQuest(data);
+
+            case 'achievement':
+                return Validator.validateAchievement(data);
+
+            case 'creature':
+                return Validator.validateCreature(data);
+
+            case 'move':
+                return Validator.validateMove(data);
+
+            case 'save':
+                return Validator.validateSave(data);
+
             default:
                 Validator.addError(`Unknown schema type: ${schemaType}`);
                 return false;
@@ -0,0 +1,211 @@
+/**
+ * Container Entity class
+ * A chest, barrel or other object holding items the player can take,
+ * optionally locked with a key item
+ */
+class Container extends Entity {
+    /**
+     * Create a new Container entity
+     *
+     * @param {Object} scene - The scene this container belongs to
+     * @param {Object} config - Container configuration
+     * @param {Array<Object>} [config.contents] - Items inside ({itemId, quantity})
+     * @param {boolean} [config.locked] - Whether the container starts locked
+     * @param {string} [config.keyItemId] - Item that unlocks the container
+     * @param {boolean} [config.consumeKey] - Whether unlocking uses up the key
+     * @param {string} [config.lockedMessage] - Text shown when the player can't unlock it
+     */
+    constructor(scene, config) {
+        // Set default container properties
+        const containerConfig = {
+            type: CONSTANTS.ENTITY_TYPES.CONTAINER,
+            displayName: 'Chest',
+            color: '#8B5A2B', // Brown
+            shape: CONSTANTS.SHAPES.RECTANGLE,
+            size: 0.8,
+            interactable: true,
+            tags: ['container', 'blocking'],
+            ...config
+        };
+
+        super(scene, containerConfig);
+
+        // Container-specific properties
+        this.contents = (config.contents || []).map(entry => ({
+            itemId: entry.itemId,
+            quantity: entry.quantity || 1
+        }));
+        this.locked = config.locked || false;
+        this.keyItemId = config.keyItemId || null;
+        this.consumeKey = config.consumeKey || false;
+        this.lockedMessage = config.lockedMessage || null;
+    }
+
+    /**
+     * Get the items inside
+     *
+     * @returns {Array<Object>} Copy of the contents ({itemId, quantity})
+     */
+    getContents() {
+        return this.contents.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Check if nothing is left inside
+     *
+     * @returns {boolean} Whether the container is empty
+     */
+    isEmpty() {
+        return this.contents.length === 0;
+    }
+
+    /**
+     * Check if the container is locked
+     *
+     * @returns {boolean} Whether the container is locked
+     */
+    isLocked() {
+        return this.locked;
+    }
+
+    /**
+     * Handle interaction with this container
+     *
+     * @param {Entity} interactor - Entity initiating the interaction
+     * @returns {boolean} Whether the interaction was handled
+     */
+    onInteract(interactor) {
+        // Only respond to player interactions
+        if (interactor.type !== CONSTANTS.ENTITY_TYPES.PLAYER) {
+            return false;
+        }
+
+        if (!this.locked) {
+            return this.scene.openContainer(this, interactor);
+        }
+
+        // Locked: open it with the key if the player carries one
+        if (!this.unlock(interactor)) {
+            this.scene.showDialog({
+                content: this.lockedMessage || `The ${this.displayName} is locked.`,
+                speaker: '',
+                waitForInput: true
+            });
+            return true;
+        }
+
+        const key = this.scene.dataManager ? this.scene.dataManager.entities[this.keyItemId] : null;
+        const keyName = key ? key.displayName : this.keyItemId;
+        const message = `You unlocked the ${this.displayName} with the ${keyName}.`;
+        this.scene.showDialog({
+            content: message,
+            speaker: '',
+            waitForInput: true,
+            onComplete: () => this.scene.openContainer(this, interactor)
+        });
+        return true;
+    }
+
+    /**
+     * Unlock the container with a key item from an entity's inventory
+     *
+     * @param {Entity} opener - Entity trying to unlock the container
+     * @returns {boolean} Whether the container was unlocked
+     */
+    unlock(opener) {
+        if (!this.locked) {
+            return true;
+        }
+
+        if (!this.keyItemId || !opener.inventory || !opener.inventory.hasItem(this.keyItemId)) {
+            return false;
+        }
+
+        if (this.consumeKey) {
+            opener.inventory.remove(this.keyItemId, 1);
+        }
+
+        this.locked = false;
+        this.emitChange('unlock', opener);
+        return true;
+    }
+
+    /**
+     * Move items from the container into an entity's inventory
+     *
+     * @param {Player} taker - Entity taking the items
+     * @param {number} index - Contents index
+     * @param {number} [quantity] - How many to take (defaults to all of them)
+     * @returns {boolean} Whether the items were taken (false if they don't fit)
+     */
+    take(taker, index, quantity) {
+        const entry = this.contents[index];
+        if (!entry || this.locked) {
+            return false;
+        }
+
+        const amount = quantity === undefined ? entry.quantity : Math.min(quantity, entry.quantity);
+        const item = this.scene.createItem(entry.itemId, amount);
+        if (!item || !taker.addToInventory(item, CONSTANTS.ITEM_SOURCES.CONTAINER)) {
+            return false;
+        }
+
+        entry.quantity -= amount;
+        if (entry.quantity <= 0) {
+            this.contents.splice(index, 1);
+        }
+
+        this.emitChange('take', taker);
+        return true;
+    }
+
+    /**
+     * Move everything that fits into an entity's inventory
+     *
+     * @param {Player} taker - Entity taking the items
+     * @returns {boolean} Whether everything was taken
+     */
+    takeAll(taker) {
+        // A taken entry leaves the list, so only move on when one stays behind
+        let index = 0;
+        while (index < this.contents.length) {
+            if (!this.take(taker, index)) {
+                index++;
+            }
+        }
+
+        return this.isEmpty();
+    }
+
+    /**
+     * Emit a container change event
+     *
+     * @param {string} action - What happened (take, unlock)
+     * @param {Entity} actor - Entity that changed the container
+     */
+    emitChange(action, actor) {
+        this.scene.events.emit(CONSTANTS.EVENTS.CONTAINER_CHANGE, {
+            container: this,
+            actor: actor,
+            action: action
+        });
+    }
+
+    /**
+     * Serialize container for saving
+     *
+     * @returns {Object} Serialized container data
+     */
+    serialize() {
+        const data = super.serialize();
+
+        // Add container-specific properties
+        data.contents = this.getContents();
+        data.locked = this.locked;
+        data.keyItemId = this.keyItemId;
+        data.consumeKey = this.consumeKey;
+        data.lockedMessage = this.lockedMessage;
+
+        return data;
+    }
+}
\ No newline at end of file
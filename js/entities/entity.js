@@ -23,6 +23,13 @@ class Entity {
         this.direction = config.direction || CONSTANTS.DIRECTIONS.SOUTH;
         this.moving = false;
 
+        // Where the entity is drawn, in tiles; it glides after the grid position over each step
+        this.visualPosition = { ...this.position };
+        this.motion = null;
+
+        // Direction ice or a conveyor keeps the entity moving in (null when it can stop)
+        this.forcedDirection = null;
+
         // Visual properties
         this.color = config.color || '#FFFFFF';
         this.shape = config.shape || CONSTANTS.SHAPES.RECTANGLE;
@@ -32,6 +39,9 @@ class Entity {
         this.properties = config.properties || {};
         this.tags = config.tags || [];
 
+        // Health, attributes and status effects, for entities whose data has a stats block
+        this.stats = config.stats ? new EntityStats(this, config.stats) : null;
+
         // Interaction properties
         this.interactable = config.interactable !== undefined ? config.interactable : false;
         this.interactionDirections = config.interactionDirections || [
@@ -41,6 +51,9 @@ class Entity {
             CONSTANTS.DIRECTIONS.WEST
         ];
 
+        // Interaction selected first when several apply
+        this.defaultInteraction = config.defaultInteraction || null;
+
         // Initialize the entity
         this.init();
     }
@@ -61,7 +74,10 @@ class Entity {
      * @param {number} delta - Time since last update
      */
     update(time, delta) {
-        // Default implementation does nothing
+        // Count down timed status effects
+        if (this.stats) {
+            this.stats.update(delta);
+        }
     }
 
     /**
@@ -77,13 +93,104 @@ class Entity {
             return false;
         }
 
+        const fromX = this.position.x;
+        const fromY = this.position.y;
+
         // Update the position
         this.position.x = x;
         this.position.y = y;
 
+        // Glide there on screen
+        this.startMotion(fromX, fromY);
+
         return true;
     }
 
+    /**
+     * Start gliding the visual position from a tile to the grid position
+     * Jumps of more than one tile aren't animated
+     *
+     * @param {number} fromX - X position the glide starts from
+     * @param {number} fromY - Y position the glide starts from
+     */
+    startMotion(fromX, fromY) {
+        if (MathUtils.manhattanDistance(fromX, fromY, this.position.x, this.position.y) !== 1) {
+            this.snapToPosition();
+            return;
+        }
+
+        // Carry on from wherever the last glide had got to
+        this.motion = {
+            fromX: this.motion ? this.visualPosition.x : fromX,
+            fromY: this.motion ? this.visualPosition.y : fromY,
+            toX: this.position.x,
+            toY: this.position.y,
+            elapsed: 0,
+            duration: CONFIG.game.animation.stepDuration
+        };
+    }
+
+    /**
+     * Set how long the current glide takes, usually to the step's own duration
+     *
+     * @param {number} duration - Glide duration in ms
+     *                            (capped at CONFIG.game.animation.maxStepDuration)
+     */
+    setMotionDuration(duration) {
+        if (this.motion) {
+            this.motion.duration = Math.min(duration, CONFIG.game.animation.maxStepDuration);
+        }
+    }
+
+    /**
+     * Move the visual position on by a frame
+     * Positions changed without moveTo (teleports, respawns, loads) are jumped to straight away
+     *
+     * @param {number} delta - Time since last update
+     */
+    updateMotion(delta) {
+        const motion = this.motion;
+
+        if (!motion || motion.toX !== this.position.x || motion.toY !== this.position.y) {
+            this.snapToPosition();
+            return;
+        }
+
+        motion.elapsed += delta;
+        const progress = this.getMotionProgress();
+
+        this.visualPosition.x = motion.fromX + (motion.toX - motion.fromX) * progress;
+        this.visualPosition.y = motion.fromY + (motion.toY - motion.fromY) * progress;
+
+        if (progress >= 1) {
+            this.motion = null;
+        }
+    }
+
+    /**
+     * Get how far through its glide the entity is
+     *
+     * @returns {number|null} Progress from 0 to 1, or null when the entity isn't gliding
+     */
+    getMotionProgress() {
+        if (!this.motion) {
+            return null;
+        }
+
+        return this.motion.duration > 0
+            ? Math.min(1, this.motion.elapsed / this.motion.duration)
+            : 1;
+    }
+
+    /**
+     * Stop gliding and draw the entity at its grid position
+     */
+    snapToPosition() {
+        this.motion = null;
+        this.visualPosition.x = this.position.x;
+        this.visualPosition.y = this.position.y;
+    }
+
     /**
      * Check if the entity can move to a position
      *
@@ -166,8 +273,57 @@ class Entity {
                 break;
         }
 
-        // Attempt to move
-        return this.moveTo(newX, newY);
+        // Attempt to move; ice and conveyors keep the entity going until it is blocked
+        const moved = this.moveTo(newX, newY);
+        this.forcedDirection = moved ? this.getForcedDirection(direction) : null;
+
+        return moved;
+    }
+
+    /**
+     * Get the direction the entity's tile forces it to keep moving in
+     * Ice keeps the entity sliding the way it moved;
+     * conveyors push it along their direction property
+     *
+     * @param {string} direction - Direction the entity moved onto the tile
+     * @returns {string|null} Forced direction or null if the entity can stop here
+     */
+    getForcedDirection(direction) {
+        const grid = this.scene.grid;
+        const tile = grid ? grid.getTileAt(this.position.x, this.position.y) : null;
+        if (!tile) {
+            return null;
+        }
+
+        if (Helpers.hasTag(tile, CONSTANTS.TAGS.CONVEYOR)) {
+            return tile.getProperty('direction', direction);
+        }
+
+        if (Helpers.hasTag(tile, CONSTANTS.TAGS.ICE)) {
+            return direction;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get how long a step onto a tile takes
+     * Scales a base duration by the tile's movement cost, the entity's movementSpeed
+     * property and its speed status effects
+     *
+     * @param {number} baseDuration - Duration of a step onto a tile with cost 1 at speed 1 in ms
+     * @param {Tile} [tile] - Tile stepped onto (defaults to the entity's tile)
+     * @returns {number} Step duration in ms
+     */
+    getStepDuration(baseDuration, tile) {
+        const grid = this.scene.grid;
+        const target = tile || (grid ? grid.getTileAt(this.position.x, this.position.y) : null);
+        const pathfinder = this.scene.pathfinder;
+        const cost = target && pathfinder ? pathfinder.getMovementCost(target) : 1;
+        const modifier = this.stats ? this.stats.getSpeedModifier() : 1;
+        const speed = (this.properties.movementSpeed || 1) * modifier;
+
+        return baseDuration * cost / speed;
     }
 
     /**
@@ -188,9 +344,10 @@ class Entity {
      * Handle interaction with this entity
      *
      * @param {Entity} interactor - Entity initiating the interaction
+     * @param {Interaction} [interaction] - Interaction the interactor chose, if any
      * @returns {boolean} Whether the interaction was handled
      */
-    onInteract(interactor) {
+    onInteract(interactor, interaction) {
         // Default implementation does nothing
         return false;
     }
@@ -237,13 +394,24 @@ class Entity {
         return Helpers.gridToScreen(this.position.x, this.position.y);
     }
 
+    /**
+     * Release the scene resources held by this entity (timers, debug text)
+     * Called when the entity leaves the scene; state is left untouched so it can be serialized
+     */
+    destroy() {
+        if (this.debugText) {
+            this.debugText.destroy();
+            this.debugText = null;
+        }
+    }
+
     /**
      * Generate a serializable representation of this entity
      *
      * @returns {Object} Serialized entity data
      */
     serialize() {
-        return {
+        const data = {
             id: this.id,
             type: this.type,
             displayName: this.displayName,
@@ -256,7 +424,14 @@ class Entity {
             properties: {...this.properties},
             tags: [...this.tags],
             interactable: this.interactable,
-            interactionDirections: [...this.interactionDirections]
+            interactionDirections: [...this.interactionDirections],
+            defaultInteraction: this.defaultInteraction
         };
+
+        if (this.stats) {
+            data.stats = this.stats.serialize();
+        }
+
+        return data;
     }
 }
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Entity Stats class
+ * Health, attributes and timed status effects of an entity, configured from entity data
+ */
+class EntityStats {
+    /**
+     * Create a new stats component
+     *
+     * @param {Entity} owner - Entity the stats belong to
+     * @param {Object} [config] - Stats configuration
+     * @param {number} [config.maxHealth] - Maximum health
+     * @param {number} [config.health] - Current health (defaults to full)
+     * @param {Object} [config.attributes] - Named attribute values (e.g. {strength: 3})
+     * @param {Array<Object>} [config.effects] - Active status effects (from serialized data)
+     */
+    constructor(owner, config = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+
+        this.maxHealth = config.maxHealth || CONFIG.game.entityStats.maxHealth;
+        this.health = config.health !== undefined
+            ? MathUtils.clamp(config.health, 0, this.maxHealth)
+            : this.maxHealth;
+        this.attributes = { ...(config.attributes || {}) };
+
+        // Status effects ({type, steps, duration, ...}), at most one of each type
+        this.effects = (config.effects || [])
+            .filter(effect => EntityStats.isStatusType(effect.type))
+            .map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Check if a status effect type is known
+     *
+     * @param {string} type - Status effect type
+     * @returns {boolean} Whether the type is one of CONSTANTS.STATUS_EFFECTS
+     */
+    static isStatusType(type) {
+        return Object.values(CONSTANTS.STATUS_EFFECTS).includes(type);
+    }
+
+    /**
+     * Get the current health
+     *
+     * @returns {number} Health
+     */
+    getHealth() {
+        return this.health;
+    }
+
+    /**
+     * Get the maximum health
+     *
+     * @returns {number} Maximum health
+     */
+    getMaxHealth() {
+        return this.maxHealth;
+    }
+
+    /**
+     * Check if health has run out
+     *
+     * @returns {boolean} Whether health is zero
+     */
+    isFainted() {
+        return this.health <= 0;
+    }
+
+    /**
+     * Restore health
+     *
+     * @param {number} amount - Health to restore
+     * @returns {number} Health actually restored
+     */
+    heal(amount) {
+        const restored = Math.min(this.maxHealth - this.health, Math.max(0, amount));
+        if (restored > 0) {
+            this.health += restored;
+            this.emitChange('heal');
+        }
+        return restored;
+    }
+
+    /**
+     * Lose health, fainting when it runs out
+     *
+     * @param {number} amount - Damage taken
+     * @param {string} [source] - What caused the damage (e.g. 'poison')
+     * @returns {number} Health actually lost
+     */
+    damage(amount, source) {
+        if (this.isFainted()) {
+            return 0;
+        }
+
+        const lost = Math.min(this.health, Math.max(0, amount));
+        if (lost === 0) {
+            return 0;
+        }
+
+        this.health -= lost;
+        this.emitChange('damage');
+
+        if (this.isFainted()) {
+            this.scene.events.emit(CONSTANTS.EVENTS.ENTITY_FAINT, {
+                entity: this.owner,
+                source: source || null
+            });
+        }
+
+        return lost;
+    }
+
+    /**
+     * Restore all health
+     */
+    fullHeal() {
+        this.health = this.maxHealth;
+        this.emitChange('heal');
+    }
+
+    /**
+     * Get an attribute value
+     *
+     * @param {string} name - Attribute name
+     * @param {number} [defaultValue=0] - Value returned when the attribute is not set
+     * @returns {number} Attribute value
+     */
+    getAttribute(name, defaultValue = 0) {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : defaultValue;
+    }
+
+    /**
+     * Set an attribute value
+     *
+     * @param {string} name - Attribute name
+     * @param {number} value - New value
+     * @returns {boolean} Whether the value was stored
+     */
+    setAttribute(name, value) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            console.warn(`EntityStats.setAttribute: Invalid value for ${name}:`, value);
+            return false;
+        }
+
+        this.attributes[name] = value;
+        this.emitChange('attribute');
+        return true;
+    }
+
+    /**
+     * Get the active status effects
+     *
+     * @returns {Array<Object>} Copy of the effect list
+     */
+    getEffects() {
+        return this.effects.map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Check if a status effect is active
+     *
+     * @param {string} type - Status effect type
+     * @returns {boolean} Whether the effect is active
+     */
+    hasEffect(type) {
+        return this.effects.some(effect => effect.type === type);
+    }
+
+    /**
+     * Start a status effect, replacing an active effect of the same type
+     *
+     * @param {Object} effect - Status effect ({type, steps, duration, damage, multiplier})
+     * @returns {boolean} Whether the effect was started
+     */
+    addEffect(effect) {
+        if (!effect || !EntityStats.isStatusType(effect.type)) {
+            console.warn('EntityStats.addEffect: Unknown status effect', effect);
+            return false;
+        }
+
+        this.effects = this.effects.filter(active => active.type !== effect.type);
+        this.effects.push({ ...effect });
+
+        this.scene.events.emit(CONSTANTS.EVENTS.STATUS_START, {
+            entity: this.owner,
+            effect: { ...effect }
+        });
+        this.emitChange('effect');
+        return true;
+    }
+
+    /**
+     * End a status effect
+     *
+     * @param {string} type - Status effect type
+     * @param {string} [reason='cured'] - Why the effect ended ('cured', 'expired')
+     * @returns {boolean} Whether an effect was removed
+     */
+    removeEffect(type, reason = 'cured') {
+        const effect = this.effects.find(active => active.type === type);
+        if (!effect) {
+            return false;
+        }
+
+        this.effects = this.effects.filter(active => active !== effect);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.STATUS_END, {
+            entity: this.owner,
+            effect: { ...effect },
+            reason: reason
+        });
+        this.emitChange('effect');
+        return true;
+    }
+
+    /**
+     * End all status effects
+     */
+    clearEffects() {
+        [...this.effects].forEach(effect => this.removeEffect(effect.type));
+    }
+
+    /**
+     * Get how much faster than normal the entity moves
+     *
+     * @returns {number} Speed modifier (2 means moves take half as long)
+     */
+    getSpeedModifier() {
+        return this.effects
+            .filter(effect => effect.type === CONSTANTS.STATUS_EFFECTS.SPEED)
+            .reduce((modifier, effect) => modifier * (effect.multiplier || 1), 1);
+    }
+
+    /**
+     * Apply per-step status effects and count down step-limited effects
+     * Called once for every tile the entity moves
+     */
+    onStep() {
+        [...this.effects].forEach(effect => {
+            if (effect.type === CONSTANTS.STATUS_EFFECTS.POISON) {
+                this.damage(effect.damage || 1, CONSTANTS.STATUS_EFFECTS.POISON);
+            }
+
+            if (effect.steps !== undefined) {
+                effect.steps--;
+                if (effect.steps <= 0) {
+                    this.removeEffect(effect.type, 'expired');
+                }
+            }
+        });
+    }
+
+    /**
+     * Count down time-limited status effects
+     *
+     * @param {number} delta - Time since last update in ms
+     */
+    update(delta) {
+        [...this.effects].forEach(effect => {
+            if (effect.duration === undefined) {
+                return;
+            }
+
+            effect.duration -= delta;
+            if (effect.duration <= 0) {
+                this.removeEffect(effect.type, 'expired');
+            }
+        });
+    }
+
+    /**
+     * Emit a stats change event
+     *
+     * @param {string} action - What changed (heal, damage, attribute, effect)
+     */
+    emitChange(action) {
+        this.scene.events.emit(CONSTANTS.EVENTS.STATS_CHANGE, {
+            entity: this.owner,
+            stats: this,
+            action: action
+        });
+    }
+
+    /**
+     * Generate a serializable representation of these stats
+     *
+     * @returns {Object} Serialized stats ({maxHealth, health, attributes, effects})
+     */
+    serialize() {
+        return {
+            maxHealth: this.maxHealth,
+            health: this.health,
+            attributes: { ...this.attributes },
+            effects: this.getEffects()
+        };
+    }
+}
\ No newline at end of file
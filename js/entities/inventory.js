@@ -0,0 +1,394 @@
+/**
+ * Inventory class
+ * Holds the items carried by an entity, merging stacks and enforcing slot and weight limits
+ */
+class Inventory {
+    /**
+     * Create a new inventory
+     *
+     * @param {Entity} owner - Entity that owns this inventory
+     * @param {Object} [config] - Inventory configuration
+     * @param {number} [config.maxSlots] - Maximum number of stacks
+     * @param {number} [config.maxWeight] - Maximum total weight (null for no limit)
+     * @param {Array} [config.items] - Serialized items to restore
+     */
+    constructor(owner, config = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+        this.maxSlots = config.maxSlots || CONFIG.game.inventory.maxSlots;
+        this.maxWeight = config.maxWeight !== undefined && config.maxWeight !== null
+            ? config.maxWeight
+            : CONFIG.game.inventory.maxWeight;
+
+        // Restore items from serialized data
+        this.items = (config.items || []).map(itemData => new Item(this.scene, itemData));
+    }
+
+    /**
+     * Get all item stacks
+     *
+     * @returns {Array<Item>} Copy of the item list
+     */
+    getItems() {
+        return [...this.items];
+    }
+
+    /**
+     * Get the item stack in a slot
+     *
+     * @param {number} index - Slot index
+     * @returns {Item|null} Item stack or null if the slot is empty
+     */
+    getItem(index) {
+        return this.items[index] || null;
+    }
+
+    /**
+     * Get the number of used slots
+     *
+     * @returns {number} Number of item stacks
+     */
+    getSlotCount() {
+        return this.items.length;
+    }
+
+    /**
+     * Check if every slot is used
+     *
+     * @returns {boolean} Whether the inventory has no free slots
+     */
+    isFull() {
+        return this.items.length >= this.maxSlots;
+    }
+
+    /**
+     * Get the largest stack size allowed for an item
+     *
+     * @param {Item} item - Item to check
+     * @returns {number} Maximum stack size
+     */
+    getMaxStack(item) {
+        if (!item.stackable) {
+            return item.quantity;
+        }
+
+        return item.properties.maxStack || Infinity;
+    }
+
+    /**
+     * Get the weight of an item stack
+     *
+     * @param {Item} item - Item stack
+     * @returns {number} Weight of the whole stack
+     */
+    getItemWeight(item) {
+        return (item.properties.weight || 0) * item.quantity;
+    }
+
+    /**
+     * Get the combined weight of all items
+     *
+     * @returns {number} Total weight
+     */
+    getTotalWeight() {
+        return this.items.reduce((total, item) => total + this.getItemWeight(item), 0);
+    }
+
+    /**
+     * Find the first stack of an item type
+     *
+     * @param {string} itemId - Item type ID
+     * @returns {Item|null} Item stack or null if not carried
+     */
+    findItem(itemId) {
+        return this.items.find(item => item.itemId === itemId) || null;
+    }
+
+    /**
+     * Count how many of an item type are carried across all stacks
+     *
+     * @param {string} itemId - Item type ID
+     * @returns {number} Total quantity
+     */
+    countItem(itemId) {
+        return this.items
+            .filter(item => item.itemId === itemId)
+            .reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Check if enough of an item type is carried
+     *
+     * @param {string} itemId - Item type ID
+     * @param {number} [quantity=1] - Required quantity
+     * @returns {boolean} Whether the inventory holds the quantity
+     */
+    hasItem(itemId, quantity = 1) {
+        return this.countItem(itemId) >= quantity;
+    }
+
+    /**
+     * Check if an item fits into the inventory
+     *
+     * @param {Item} item - Item to check
+     * @returns {boolean} Whether the item can be added
+     */
+    canAdd(item) {
+        // Check weight limit
+        if (this.maxWeight !== null &&
+            this.getTotalWeight() + this.getItemWeight(item) > this.maxWeight) {
+            return false;
+        }
+
+        // Space left in existing stacks
+        const maxStack = this.getMaxStack(item);
+        let remaining = item.quantity;
+
+        this.items.forEach(stack => {
+            if (stack.canStackWith(item)) {
+                remaining -= Math.max(0, maxStack - stack.quantity);
+            }
+        });
+
+        if (remaining <= 0) {
+            return true;
+        }
+
+        // Check free slots for what doesn't fit
+        const slotsNeeded = Math.ceil(remaining / maxStack);
+        return this.items.length + slotsNeeded <= this.maxSlots;
+    }
+
+    /**
+     * Add an item, merging it into existing stacks where possible
+     *
+     * @param {Item} item - Item to add
+     * @returns {boolean} Whether the item was added
+     */
+    add(item) {
+        if (!this.canAdd(item)) {
+            console.log(`Inventory cannot hold ${item.displayName}`);
+            return false;
+        }
+
+        const maxStack = this.getMaxStack(item);
+        let remaining = item.quantity;
+
+        // Merge into existing stacks first
+        for (const stack of this.items) {
+            if (remaining <= 0) break;
+            if (!stack.canStackWith(item)) continue;
+
+            const space = maxStack - stack.quantity;
+            if (space <= 0) continue;
+
+            if (remaining === item.quantity && remaining <= space) {
+                // The whole item fits into this stack
+                stack.stackWith(item);
+                remaining = 0;
+            } else {
+                const amount = Math.min(space, remaining);
+                stack.increaseQuantity(amount);
+                remaining -= amount;
+            }
+        }
+
+        // Put the rest into new stacks
+        if (remaining > 0 && remaining === item.quantity && remaining <= maxStack) {
+            this.items.push(item);
+        } else {
+            while (remaining > 0) {
+                const amount = Math.min(remaining, maxStack);
+                this.items.push(this.createStack(item, amount));
+                remaining -= amount;
+            }
+        }
+
+        this.emitChange('add', item, item.quantity);
+        return true;
+    }
+
+    /**
+     * Remove a quantity of an item type, taking from the last stacks first
+     *
+     * @param {string} itemId - Item type ID
+     * @param {number} [quantity=1] - Quantity to remove
+     * @returns {boolean} Whether the quantity was removed
+     */
+    remove(itemId, quantity = 1) {
+        if (!this.hasItem(itemId, quantity)) {
+            return false;
+        }
+
+        let remaining = quantity;
+        let removedFrom = null;
+
+        for (let i = this.items.length - 1; i >= 0 && remaining > 0; i--) {
+            const stack = this.items[i];
+            if (stack.itemId !== itemId) continue;
+
+            removedFrom = stack;
+
+            const amount = Math.min(stack.quantity, remaining);
+            stack.decreaseQuantity(amount);
+            remaining -= amount;
+
+            if (stack.quantity <= 0) {
+                this.items.splice(i, 1);
+            }
+        }
+
+        this.emitChange('remove', removedFrom, quantity);
+        return true;
+    }
+
+    /**
+     * Take a quantity out of the stack in a slot
+     *
+     * @param {number} index - Slot index
+     * @param {number} [quantity] - Quantity to take (defaults to the whole stack)
+     * @returns {Item|null} Item holding the taken quantity or null if the slot is empty
+     */
+    takeAt(index, quantity) {
+        const stack = this.getItem(index);
+        if (!stack) {
+            return null;
+        }
+
+        const amount = quantity === undefined ? stack.quantity : Math.min(quantity, stack.quantity);
+
+        // Taking the whole stack removes the slot
+        if (amount >= stack.quantity) {
+            this.items.splice(index, 1);
+            return stack;
+        }
+
+        stack.decreaseQuantity(amount);
+        return this.createStack(stack, amount);
+    }
+
+    /**
+     * Use the item in a slot
+     * Consumable items are used up one at a time
+     *
+     * @param {number} index - Slot index
+     * @param {Creature} [target] - Party member the item is used on
+     * @returns {boolean} Whether the item was used
+     */
+    use(index, target) {
+        const item = this.getItem(index);
+        if (!item) {
+            return false;
+        }
+
+        if (!item.onUse(this.owner, target)) {
+            console.log(`${item.displayName} had no effect`);
+            return false;
+        }
+
+        // Consume one from the stack
+        if (item.hasTag('consumable')) {
+            this.takeAt(index, 1);
+        }
+
+        this.emitChange('use', item, 1);
+        return true;
+    }
+
+    /**
+     * Drop items from a slot onto the tile in front of the owner
+     *
+     * @param {number} index - Slot index
+     * @param {number} [quantity] - Quantity to drop (defaults to the whole stack)
+     * @returns {boolean} Whether the items were dropped
+     */
+    drop(index, quantity) {
+        const stack = this.getItem(index);
+        if (!stack) {
+            return false;
+        }
+
+        // Find a free tile to drop onto
+        const dropPos = Helpers.getPositionInFront(this.owner);
+        const grid = this.scene.grid;
+        const tile = grid ? grid.getTileAt(dropPos.x, dropPos.y) : null;
+
+        if (!tile || !Helpers.hasTag(tile, CONSTANTS.TAGS.PASSABLE) ||
+            this.scene.getEntityAt(dropPos.x, dropPos.y)) {
+            console.log('No free tile to drop the item on');
+            return false;
+        }
+
+        const item = this.takeAt(index, quantity);
+
+        // Dropped items need their own entity id in the zone
+        item.id = `${item.itemId}_${Helpers.generateId()}`;
+        item.position.x = dropPos.x;
+        item.position.y = dropPos.y;
+        this.scene.addEntity(item);
+
+        this.emitChange('drop', item, item.quantity);
+        return true;
+    }
+
+    /**
+     * Split part of a stack into a new slot
+     *
+     * @param {number} index - Slot index
+     * @param {number} quantity - Quantity to move into the new stack
+     * @returns {boolean} Whether the stack was split
+     */
+    split(index, quantity) {
+        const stack = this.getItem(index);
+        if (!stack || quantity <= 0 || quantity >= stack.quantity || this.isFull()) {
+            return false;
+        }
+
+        const newStack = this.takeAt(index, quantity);
+        this.items.splice(index + 1, 0, newStack);
+
+        this.emitChange('split', newStack, quantity);
+        return true;
+    }
+
+    /**
+     * Create a new item stack copied from another item
+     *
+     * @param {Item} source - Item to copy
+     * @param {number} quantity - Quantity of the new stack
+     * @returns {Item} New item stack
+     */
+    createStack(source, quantity) {
+        return new Item(this.scene, {
+            ...source.serialize(),
+            id: Helpers.generateId(),
+            quantity: quantity
+        });
+    }
+
+    /**
+     * Emit an inventory change event
+     *
+     * @param {string} action - What happened (add, remove, use, drop, split, sell)
+     * @param {Item} item - Item involved in the change
+     * @param {number} quantity - Quantity involved in the change
+     */
+    emitChange(action, item, quantity) {
+        this.scene.events.emit(CONSTANTS.EVENTS.INVENTORY_CHANGE, {
+            owner: this.owner,
+            inventory: this,
+            action: action,
+            item: item,
+            quantity: quantity
+        });
+    }
+
+    /**
+     * Generate a serializable representation of this inventory
+     *
+     * @returns {Array} Serialized items
+     */
+    serialize() {
+        return this.items.map(item => item.serialize());
+    }
+}
\ No newline at end of file
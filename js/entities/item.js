@@ -25,6 +25,8 @@ class Item extends Entity {
         super(scene, itemConfig);
 
         // Item-specific properties
+        this.itemId = config.itemId || this.id; // Shared by all items of the same kind
+        this.description = config.description || '';
         this.pickupable = config.pickupable !== undefined ? config.pickupable : true;
         this.useEffect = config.useEffect || null;
         this.stackable = config.stackable !== undefined ? config.stackable : true;
@@ -71,7 +73,15 @@ class Item extends Entity {
         }
 
         // Add to player's inventory
-        interactor.addToInventory(this);
+        if (!interactor.addToInventory(this, CONSTANTS.ITEM_SOURCES.PICKUP)) {
+            this.scene.showDialog({
+                content: `You can't carry the ${this.displayName}.`,
+                speaker: '',
+                waitForInput: false,
+                duration: 2000
+            });
+            return false;
+        }
 
         // Show dialog if configured
         if (this.dialogOnPickup) {
@@ -93,60 +103,22 @@ class Item extends Entity {
      * Handle use interaction
      *
      * @param {Entity} user - Entity using the item
+     * @param {Creature} [target] - Party member the item is used on
      * @returns {boolean} Whether the use was successful
      */
-    onUse(user) {
+    onUse(user, target) {
         // If no use effect defined, do nothing
         if (!this.useEffect) {
             return false;
         }
 
-        // Handle different use effect types
-        switch (this.useEffect.type) {
-            case 'heal':
-                if (user.health !== undefined && this.useEffect.amount !== undefined) {
-                    user.health = Math.min(user.health + this.useEffect.amount, user.maxHealth || 100);
-                    return true;
-                }
-                break;
-
-            case 'teleport':
-                if (this.useEffect.targetZone &&
-                    this.useEffect.targetX !== undefined &&
-                    this.useEffect.targetY !== undefined) {
-                    this.scene.changeZone(
-                        this.useEffect.targetZone,
-                        this.useEffect.targetX,
-                        this.useEffect.targetY
-                    );
-                    return true;
-                }
-                break;
-
-            case 'dialog':
-                if (this.useEffect.content) {
-                    this.scene.showDialog({
-                        content: this.useEffect.content,
-                        speaker: this.useEffect.speaker || this.displayName,
-                        waitForInput: this.useEffect.waitForInput !== undefined
-                            ? this.useEffect.waitForInput
-                            : true
-                    });
-                    return true;
-                }
-                break;
-
-            default:
-                // Custom effect, emit an event for other systems to handle
-                this.scene.events.emit(`item-use-${this.useEffect.type}`, {
-                    item: this,
-                    user: user,
-                    effect: this.useEffect
-                });
-                return true;
-        }
-
-        return false;
+        // Effects are looked up in the effect registry
+        return EffectRegistry.apply(this.useEffect, {
+            scene: this.scene,
+            user: user,
+            item: this,
+            creature: target || null
+        });
     }
 
     /**
@@ -187,7 +159,7 @@ class Item extends Entity {
         }
 
         // Check if items are the same type
-        return this.id === otherItem.id;
+        return this.itemId === otherItem.itemId;
     }
 
     /**
@@ -216,10 +188,13 @@ class Item extends Entity {
         const data = super.serialize();
 
         // Add item-specific properties
+        data.itemId = this.itemId;
+        data.description = this.description;
         data.pickupable = this.pickupable;
         data.useEffect = this.useEffect;
         data.stackable = this.stackable;
         data.quantity = this.quantity;
+        data.dialogOnPickup = this.dialogOnPickup;
 
         return data;
     }
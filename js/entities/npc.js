@@ -29,9 +29,23 @@ class NPC extends Entity {
         this.movement = config.movement || null; // null for static NPCs
         this.movementPattern = config.movementPattern || [];
         this.currentPatternIndex = 0;
-        this.moveTimer = null;
+        this.moveTimer = null; // Time until the next patrol or random step in ms (null if none)
         this.moveCooldown = 0;
 
+        // Line of sight settings for watcher NPCs ('triggered' is remembered across saves)
+        this.watch = {
+            range: CONFIG.game.npc.sightRange,
+            event: CONSTANTS.EVENTS.WATCHER_TRIGGER,
+            flag: null,
+            triggered: false,
+            ...(config.watch || {})
+        };
+        this.watchState = 'watching';
+        this.watchTimer = 0;
+
+        // Stock and prices for merchant NPCs
+        this.shop = config.shop ? new Shop(this, config.shop) : null;
+
         // Initialize movement if configured
         if (this.movement === 'patrol' && this.movementPattern.length > 0) {
             this.startPatrol();
@@ -54,24 +68,205 @@ class NPC extends Entity {
             this.moveCooldown -= delta;
         }
 
-        // AI behavior updates would go here
+        // Ice and conveyors move the NPC between its own steps
+        if (this.forcedDirection && this.moveCooldown <= 0 &&
+            this.moveInDirection(this.forcedDirection)) {
+            this.moveCooldown = this.getStepDuration(CONFIG.game.npc.forcedStepDuration);
+            this.setMotionDuration(this.moveCooldown);
+        }
+
+        // Patrols and random walks step when their timer runs out
+        if (this.movement === 'patrol' || this.movement === 'random') {
+            this.updateMovement(delta);
+        }
+
+        // Watchers look out for the player and walk up to them
+        if (this.movement === 'watch') {
+            this.updateWatch(delta);
+        }
     }
 
     /**
-     * Start patrol movement pattern
+     * Count down to the next patrol or random step and take it
+     * Runs from update, like the watcher approach, so NPCs stay put while the game is paused
+     *
+     * @param {number} delta - Time since last update
      */
-    startPatrol() {
-        if (this.movementPattern.length === 0) return;
+    updateMovement(delta) {
+        if (this.moveTimer === null) {
+            return;
+        }
 
-        // Clear any existing timer
-        if (this.moveTimer) {
-            clearTimeout(this.moveTimer);
+        this.moveTimer -= delta;
+        if (this.moveTimer > 0) {
+            return;
         }
 
-        // Set up recurring movement
-        this.moveTimer = setTimeout(() => {
+        if (this.movement === 'patrol') {
             this.moveInPattern();
-        }, 2000); // Move every 2 seconds
+        } else {
+            this.moveRandomly();
+        }
+    }
+
+    /**
+     * Update a watcher: scan for the player, show the alert, then approach
+     * Runs from update so the approach stops while the game is paused
+     *
+     * @param {number} delta - Time since last update
+     */
+    updateWatch(delta) {
+        if (this.watch.triggered) {
+            return;
+        }
+
+        switch (this.watchState) {
+            case 'watching':
+                if (this.scanForPlayer() > 0) {
+                    this.spotPlayer();
+                }
+                break;
+
+            case 'alert':
+                this.watchTimer -= delta;
+                if (this.watchTimer <= 0) {
+                    this.watchState = 'approaching';
+                }
+                break;
+
+            case 'approaching':
+                this.watchTimer -= delta;
+                if (this.watchTimer <= 0) {
+                    this.approachPlayer();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Look along the facing direction for the player
+     * Sight stops at tiles that can't be walked on and at blocking entities or other characters
+     *
+     * @returns {number} Distance to the player in tiles, or 0 if the player is not in sight
+     */
+    scanForPlayer() {
+        const player = this.scene.player;
+        const grid = this.scene.grid;
+
+        if (!player || !grid) {
+            return 0;
+        }
+
+        const tiles = grid.getTilesInLine(this.position.x, this.position.y, this.direction,
+            this.watch.range);
+
+        for (let i = 0; i < tiles.length; i++) {
+            const tile = tiles[i];
+
+            if (player.position.x === tile.x && player.position.y === tile.y) {
+                return i + 1;
+            }
+
+            if (!Helpers.hasTag(tile, CONSTANTS.TAGS.PASSABLE)) {
+                return 0;
+            }
+
+            const blocked = this.scene.getEntitiesAt(tile.x, tile.y).some(entity =>
+                Helpers.hasTag(entity, CONSTANTS.TAGS.BLOCKING) ||
+                entity.type === CONSTANTS.ENTITY_TYPES.NPC
+            );
+            if (blocked) {
+                return 0;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * React to seeing the player: hold the player in place and show the alert marker
+     */
+    spotPlayer() {
+        if (!this.scene.lockPlayer(this)) {
+            return;
+        }
+
+        this.watchState = 'alert';
+        this.watchTimer = CONFIG.game.npc.alertDuration;
+
+        this.scene.events.emit(CONSTANTS.EVENTS.WATCHER_ALERT, {
+            npc: this,
+            player: this.scene.player
+        });
+    }
+
+    /**
+     * Check if the alert marker should be shown
+     *
+     * @returns {boolean} Whether the watcher has just spotted the player
+     */
+    isAlerted() {
+        return this.watchState === 'alert';
+    }
+
+    /**
+     * Take one step towards the player, confronting them once next to them
+     */
+    approachPlayer() {
+        const player = this.scene.player;
+        const front = Helpers.getPositionInFront(this);
+
+        // Something stepped in the way, so talk from here
+        if (!player || (front.x === player.position.x && front.y === player.position.y) ||
+            !this.moveInDirection(this.direction)) {
+            this.confrontPlayer();
+            return;
+        }
+
+        this.watchTimer = this.getStepDuration(CONFIG.game.npc.approachStepDuration);
+        this.setMotionDuration(this.watchTimer);
+    }
+
+    /**
+     * Trigger the watcher: fire its event, set its flag and force its dialog
+     * Watchers trigger once and act like static NPCs afterwards
+     */
+    confrontPlayer() {
+        const player = this.scene.player;
+
+        this.watch.triggered = true;
+        this.watchState = 'watching';
+        this.scene.unlockPlayer(this);
+
+        if (this.watch.flag) {
+            this.scene.flags.set(this.watch.flag, true);
+        }
+
+        if (this.watch.event) {
+            this.scene.events.emit(this.watch.event, {
+                npc: this,
+                player: player,
+                zoneId: this.scene.currentZoneId
+            });
+        }
+
+        if (!player) {
+            return;
+        }
+
+        // Face each other, then talk
+        player.setDirection(player.getOppositeDirection(this.direction));
+        this.onInteract(player);
+    }
+
+    /**
+     * Start patrol movement pattern
+     */
+    startPatrol() {
+        if (this.movementPattern.length === 0) return;
+
+        // First step after 2 seconds
+        this.moveTimer = 2000;
     }
 
     /**
@@ -80,45 +275,40 @@ class NPC extends Entity {
     moveInPattern() {
         if (this.movementPattern.length === 0) return;
 
+        // Wait while sliding on ice or riding a conveyor
+        if (this.forcedDirection) {
+            this.moveTimer = 500;
+            return;
+        }
+
         // Get the next direction
         const direction = this.movementPattern[this.currentPatternIndex];
 
         // Move in that direction
-        this.moveInDirection(direction);
+        const moved = this.moveInDirection(direction);
 
         // Advance to next pattern step
         this.currentPatternIndex = (this.currentPatternIndex + 1) % this.movementPattern.length;
 
-        // Schedule next movement
-        this.moveTimer = setTimeout(() => {
-            this.moveInPattern();
-        }, 2000);
+        // Schedule next movement (costly tiles take longer to cross)
+        this.moveTimer = moved ? this.getStepDuration(2000) : 2000;
     }
 
     /**
      * Start random movement
      */
     startRandomMovement() {
-        // Clear any existing timer
-        if (this.moveTimer) {
-            clearTimeout(this.moveTimer);
-        }
-
-        // Set up recurring random movement
-        this.moveTimer = setTimeout(() => {
-            this.moveRandomly();
-        }, MathUtils.randomInt(2000, 5000)); // Move every 2-5 seconds
+        // Move every 2-5 seconds
+        this.moveTimer = MathUtils.randomInt(2000, 5000);
     }
 
     /**
      * Move in a random direction
      */
     moveRandomly() {
-        // Don't move if on cooldown
-        if (this.moveCooldown > 0) {
-            this.moveTimer = setTimeout(() => {
-                this.moveRandomly();
-            }, 500);
+        // Don't move if on cooldown or sliding
+        if (this.moveCooldown > 0 || this.forcedDirection) {
+            this.moveTimer = 500;
             return;
         }
 
@@ -131,27 +321,40 @@ class NPC extends Entity {
 
         // Set cooldown
         if (moved) {
-            this.moveCooldown = 1000; // 1 second cooldown after successful move
+            // 1 second cooldown after a move onto a tile with cost 1
+            this.moveCooldown = this.getStepDuration(1000);
         }
 
         // Schedule next movement
-        this.moveTimer = setTimeout(() => {
-            this.moveRandomly();
-        }, MathUtils.randomInt(2000, 5000));
+        this.moveTimer = MathUtils.randomInt(2000, 5000);
     }
 
     /**
      * Handle interaction with this NPC
      *
      * @param {Entity} interactor - Entity initiating the interaction
+     * @param {Interaction} [interaction] - Interaction the interactor chose, if any
      * @returns {boolean} Whether the interaction was handled
      */
-    onInteract(interactor) {
+    onInteract(interactor, interaction) {
         // Only respond to player interactions
         if (interactor.type !== CONSTANTS.ENTITY_TYPES.PLAYER) {
             return false;
         }
 
+        // Merchants greet the player and open their shop, unless the player chose to talk
+        if (this.shop && !(interaction && interaction.id === 'talk')) {
+            return this.greetCustomer();
+        }
+
+        // Run a dialog tree
+        if (DialogRunner.isTree(this.dialog)) {
+            return this.scene.dialogRunner.start(this.dialog, {
+                speaker: this,
+                listener: interactor
+            });
+        }
+
         // Show dialog
         if (this.dialog) {
             const dialogContent = typeof this.dialog === 'string'
@@ -174,18 +377,65 @@ class NPC extends Entity {
         return false;
     }
 
+    /**
+     * Greet the player and ask whether they want to buy or sell
+     *
+     * @returns {boolean} Whether the greeting was shown
+     */
+    greetCustomer() {
+        const greeting = this.shop.greeting ||
+            (typeof this.dialog === 'string' ? this.dialog : this.dialog.text) ||
+            'What can I do for you?';
+
+        this.scene.showDialog({
+            content: greeting,
+            speaker: typeof this.dialog === 'object' && this.dialog.speaker
+                ? this.dialog.speaker
+                : this.displayName,
+            choices: ['Buy', 'Sell', 'Leave'],
+            waitForInput: true,
+            onComplete: choice => {
+                // The shop opens once the dialog has handed control back
+                if (choice === 0 || choice === 1) {
+                    this.scene.openShop(this, choice === 0 ? 'buy' : 'sell');
+                }
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Abandon a watcher approach that is under way, releasing the player
+     */
+    cancelWatch() {
+        if (this.watchState !== 'watching') {
+            this.scene.unlockPlayer(this);
+            this.watchState = 'watching';
+        }
+    }
+
     /**
      * Stop all movement
      */
     stopMovement() {
-        if (this.moveTimer) {
-            clearTimeout(this.moveTimer);
-            this.moveTimer = null;
-        }
+        this.moveTimer = null;
+        this.cancelWatch();
 
         this.movement = null;
     }
 
+    /**
+     * Release the scene resources held by this NPC
+     * Unlike stopMovement, the movement configuration is kept
+     */
+    destroy() {
+        // Let go of the player if the zone is left mid-approach
+        this.cancelWatch();
+
+        super.destroy();
+    }
+
     /**
      * Serialize NPC for saving
      *
@@ -198,6 +448,11 @@ class NPC extends Entity {
         data.dialog = this.dialog;
         data.movement = this.movement;
         data.movementPattern = [...this.movementPattern];
+        data.watch = {...this.watch};
+
+        if (this.shop) {
+            data.shop = this.shop.serialize();
+        }
 
         return data;
     }
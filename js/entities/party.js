@@ -0,0 +1,218 @@
+/**
+ * Party class
+ * The creatures owned by an entity: a limited party that fights, and a storage box for the rest
+ */
+class Party {
+    /**
+     * Create a new party
+     *
+     * @param {Entity} owner - Entity that owns the creatures
+     * @param {Object} [config] - Party configuration
+     * @param {number} [config.maxSize] - Maximum number of creatures in the party
+     * @param {number} [config.storageSize] - Maximum number of creatures in the storage box
+     * @param {Array} [config.members] - Creature data for the party ({creatureId, level, ...})
+     * @param {Array} [config.storage] - Creature data for the storage box
+     */
+    constructor(owner, config = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+        this.maxSize = config.maxSize || CONFIG.game.party.maxSize;
+        this.storageSize = config.storageSize || CONFIG.game.party.storageSize;
+
+        // Restore creatures from entity or serialized data
+        this.members = (config.members || []).map(data => new Creature(this.scene, data));
+        this.storage = (config.storage || []).map(data => new Creature(this.scene, data));
+
+        // Creatures beyond the party limit go to the storage box
+        if (this.members.length > this.maxSize) {
+            this.storage.unshift(...this.members.splice(this.maxSize));
+        }
+    }
+
+    /**
+     * Get the creatures in the party
+     *
+     * @returns {Array<Creature>} Copy of the party list
+     */
+    getMembers() {
+        return [...this.members];
+    }
+
+    /**
+     * Get the creatures in the storage box
+     *
+     * @returns {Array<Creature>} Copy of the storage list
+     */
+    getStorage() {
+        return [...this.storage];
+    }
+
+    /**
+     * Get a party member
+     *
+     * @param {number} index - Party index
+     * @returns {Creature|null} Creature or null if there is none at the index
+     */
+    getMember(index) {
+        return this.members[index] || null;
+    }
+
+    /**
+     * Get the number of creatures in the party
+     *
+     * @returns {number} Party size
+     */
+    getSize() {
+        return this.members.length;
+    }
+
+    /**
+     * Check if the party has no room left
+     *
+     * @returns {boolean} Whether the party is full
+     */
+    isFull() {
+        return this.members.length >= this.maxSize;
+    }
+
+    /**
+     * Get the first party member that is still able to battle
+     *
+     * @returns {Creature|null} Creature or null if none can battle
+     */
+    getActive() {
+        return this.members.find(creature => !creature.isFainted()) || null;
+    }
+
+    /**
+     * Add a creature to the party, or to the storage box if the party is full
+     *
+     * @param {Creature} creature - Creature to add
+     * @returns {string|null} Where the creature went ('party' or 'storage'),
+     *                        or null if there was no room
+     */
+    add(creature) {
+        if (!this.isFull()) {
+            this.members.push(creature);
+            this.emitChange('add', creature);
+            return 'party';
+        }
+
+        if (this.storage.length < this.storageSize) {
+            this.storage.push(creature);
+            this.emitChange('store', creature);
+            return 'storage';
+        }
+
+        console.log(`No room for ${creature.getName()}`);
+        return null;
+    }
+
+    /**
+     * Swap two party members
+     *
+     * @param {number} from - Index of the first creature
+     * @param {number} to - Index of the second creature
+     * @returns {boolean} Whether the creatures were swapped
+     */
+    swap(from, to) {
+        if (!this.members[from] || !this.members[to] || from === to) {
+            return false;
+        }
+
+        [this.members[from], this.members[to]] = [this.members[to], this.members[from]];
+        this.emitChange('reorder', this.members[to]);
+        return true;
+    }
+
+    /**
+     * Move a party member to the storage box
+     * The last creature in the party can't be stored
+     *
+     * @param {number} index - Party index
+     * @returns {boolean} Whether the creature was stored
+     */
+    deposit(index) {
+        const creature = this.members[index];
+        if (!creature || this.members.length <= 1 || this.storage.length >= this.storageSize) {
+            return false;
+        }
+
+        this.members.splice(index, 1);
+        this.storage.push(creature);
+        this.emitChange('deposit', creature);
+        return true;
+    }
+
+    /**
+     * Move a creature from the storage box into the party
+     *
+     * @param {number} index - Storage index
+     * @returns {boolean} Whether the creature joined the party
+     */
+    withdraw(index) {
+        const creature = this.storage[index];
+        if (!creature || this.isFull()) {
+            return false;
+        }
+
+        this.storage.splice(index, 1);
+        this.members.push(creature);
+        this.emitChange('withdraw', creature);
+        return true;
+    }
+
+    /**
+     * Restore HP of a party member
+     *
+     * @param {Creature} creature - Party member to heal
+     * @param {number} amount - HP to restore
+     * @returns {number} HP actually restored
+     */
+    heal(creature, amount) {
+        if (!this.members.includes(creature)) {
+            return 0;
+        }
+
+        const restored = creature.heal(amount);
+        if (restored > 0) {
+            this.emitChange('heal', creature);
+        }
+        return restored;
+    }
+
+    /**
+     * Restore all HP of every party member
+     */
+    healAll() {
+        this.members.forEach(creature => creature.fullHeal());
+        this.emitChange('heal', null);
+    }
+
+    /**
+     * Emit a party change event
+     *
+     * @param {string} action - What happened (add, store, reorder, deposit, withdraw, heal)
+     * @param {Creature|null} creature - Creature involved in the change
+     */
+    emitChange(action, creature) {
+        this.scene.events.emit(CONSTANTS.EVENTS.PARTY_CHANGE, {
+            owner: this.owner,
+            party: this,
+            action: action,
+            creature: creature
+        });
+    }
+
+    /**
+     * Generate a serializable representation of this party
+     *
+     * @returns {Object} Serialized creatures ({members, storage})
+     */
+    serialize() {
+        return {
+            members: this.members.map(creature => creature.serialize()),
+            storage: this.storage.map(creature => creature.serialize())
+        };
+    }
+}
\ No newline at end of file
@@ -18,6 +18,7 @@ class Player extends Entity {
             shape: CONSTANTS.SHAPES.CIRCLE,
             size: 0.8,
             tags: ['player', 'character'],
+            stats: {},
             ...config
         };
 
@@ -26,11 +27,41 @@ class Player extends Entity {
         // Player-specific properties
         this.moveSpeed = CONFIG.game.player.moveSpeed;
         this.interactionDistance = CONFIG.game.player.interactionDistance;
-        this.inventory = [];
+
+        // Inventory with limits from entity data, restoring serialized items if provided
+        this.inventory = new Inventory(this, {
+            maxSlots: this.properties.inventorySlots,
+            maxWeight: this.properties.inventoryMaxWeight,
+            items: config.inventory
+        });
+
+        // Creatures owned by the player, from entity data or serialized creatures
+        this.party = new Party(this, {
+            members: config.party,
+            storage: config.creatureStorage
+        });
+
+        // Money for shops, from entity data or a save
+        this.wallet = new Wallet(this, config.wallet);
+
+        // Where the player wakes up after fainting ({zoneId, x, y})
+        this.respawn = config.respawn ? { ...config.respawn } : null;
 
         // Input movement cooldown
         this.moveCooldown = 0;
-        this.moveCooldownDuration = 200; // ms between moves
+        this.moveCooldownDuration = 200; // ms between moves onto a tile with movement cost 1
+
+        // Tap-to-move walk: positions still to step through and the entity to face at the end
+        this.walkPath = null;
+
+        // Held direction and how long it has been held, a direction pressed mid-step,
+        // and whether the player is walking, turning in place or running
+        this.heldDirection = null;
+        this.holdTime = 0;
+        this.bufferedDirection = null;
+        this.walking = false;
+        this.turning = false;
+        this.running = false;
 
         // Debug mode
         this.debug = CONFIG.game.debug.showEntityInfo;
@@ -69,10 +100,35 @@ class Player extends Entity {
 
     /**
      * Handle player input
+     * A direction tapped while standing still turns the player to face it; held for
+     * CONFIG.game.player.turnDelay it walks, and a walk carries on for as long as it is held.
+     * Directions pressed during a step are buffered and taken as soon as the step ends.
+     * Timing only depends on the frame deltas, so the same input timeline
+     * always gives the same moves
      *
      * @param {Object} input - Input manager reference
+     * @param {number} [delta=0] - Time since last update
      */
-    handleInput(input) {
+    handleInput(input, delta = 0) {
+        const direction = this.getHeldDirection(input);
+
+        // Track how long the current direction has been held
+        if (direction && direction === this.heldDirection) {
+            this.holdTime += delta;
+        } else {
+            this.heldDirection = direction;
+            this.holdTime = 0;
+            this.turning = false;
+        }
+
+        // Remember a direction pressed while a step is under way
+        const pressed = this.getPressedDirection(input);
+        if (pressed && this.moveCooldown > 0) {
+            this.bufferedDirection = pressed;
+        }
+
+        this.running = input.isActionDown(CONSTANTS.ACTIONS.RUN);
+
         // Only process input if cooldown is finished
         if (this.moveCooldown <= 0) {
             // Log key states for debugging
@@ -81,27 +137,48 @@ class Player extends Entity {
                 input.logKeyStates();
             }
 
+            // Ice and conveyors move the player without input
+            if (this.forcedDirection) {
+                this.bufferedDirection = null;
+                this.move(this.forcedDirection);
+                return;
+            }
+
             let moved = false;
 
-            // Check all movement keys
-            if (input.isKeyDown(CONSTANTS.KEYS.UP)) {
-                console.log("Up key detected, moving north");
-                moved = this.move(CONSTANTS.DIRECTIONS.NORTH);
-            } else if (input.isKeyDown(CONSTANTS.KEYS.RIGHT)) {
-                console.log("Right key detected, moving east");
-                moved = this.move(CONSTANTS.DIRECTIONS.EAST);
-            } else if (input.isKeyDown(CONSTANTS.KEYS.DOWN)) {
-                console.log("Down key detected, moving south");
-                moved = this.move(CONSTANTS.DIRECTIONS.SOUTH);
-            } else if (input.isKeyDown(CONSTANTS.KEYS.LEFT)) {
-                console.log("Left key detected, moving west");
-                moved = this.move(CONSTANTS.DIRECTIONS.WEST);
+            // Movement input takes over from a tap-to-move walk
+            const next = this.bufferedDirection || direction;
+            if (this.walkPath && next) {
+                this.clearWalkPath();
             }
 
-            // Check for interaction
-            if (input.isKeyDown(CONSTANTS.KEYS.INTERACT)) {
-                console.log("Interact key detected");
-                this.interact();
+            if (next) {
+                // Keep walking, walk the way the player faces,
+                // or walk once a turn has been held long enough
+                const walk = this.bufferedDirection !== null || this.walking ||
+                    (next === this.direction && !this.turning) ||
+                    this.holdTime >= CONFIG.game.player.turnDelay;
+
+                if (walk) {
+                    console.log(`Move ${next} detected`);
+                    moved = this.move(next);
+                } else if (next !== this.direction) {
+                    console.log(`Turn ${next} detected`);
+                    this.turn(next);
+                }
+            } else if (this.walkPath) {
+                moved = this.followWalkPath();
+            }
+
+            this.bufferedDirection = null;
+            this.walking = moved;
+
+            // Check for interaction (once per press, the first bound action wins)
+            const interactAction = this.scene.getInteractionActions()
+                .find(action => input.wasActionJustPressed(action));
+            if (interactAction) {
+                console.log(`Interact action detected: ${interactAction}`);
+                this.interact(interactAction);
             }
 
             // Log movement result
@@ -113,6 +190,117 @@ class Player extends Entity {
         }
     }
 
+    /**
+     * Get the movement actions and the directions they move in, in the order they are checked
+     *
+     * @returns {Array<Object>} Movement bindings ({action, direction})
+     */
+    getMovementActions() {
+        return [
+            { action: CONSTANTS.ACTIONS.MOVE_UP, direction: CONSTANTS.DIRECTIONS.NORTH },
+            { action: CONSTANTS.ACTIONS.MOVE_RIGHT, direction: CONSTANTS.DIRECTIONS.EAST },
+            { action: CONSTANTS.ACTIONS.MOVE_DOWN, direction: CONSTANTS.DIRECTIONS.SOUTH },
+            { action: CONSTANTS.ACTIONS.MOVE_LEFT, direction: CONSTANTS.DIRECTIONS.WEST }
+        ];
+    }
+
+    /**
+     * Get the direction of the first movement action held
+     *
+     * @param {Object} input - Input manager reference
+     * @returns {string|null} Direction or null if no movement action is held
+     */
+    getHeldDirection(input) {
+        const binding = this.getMovementActions().find(entry => input.isActionDown(entry.action));
+        return binding ? binding.direction : null;
+    }
+
+    /**
+     * Get the direction of the first movement action pressed this frame
+     *
+     * @param {Object} input - Input manager reference
+     * @returns {string|null} Direction or null if no movement action was just pressed
+     */
+    getPressedDirection(input) {
+        const binding = this.getMovementActions()
+            .find(entry => input.wasActionJustPressed(entry.action));
+        return binding ? binding.direction : null;
+    }
+
+    /**
+     * Turn to face a direction without moving
+     * Holding the direction on for CONFIG.game.player.turnDelay starts a walk
+     *
+     * @param {string} direction - Direction to face
+     */
+    turn(direction) {
+        this.setDirection(direction);
+        this.turning = true;
+
+        this.scene.events.emit(CONSTANTS.EVENTS.PLAYER_TURN, {
+            player: this,
+            direction: this.direction
+        });
+    }
+
+    /**
+     * Start walking along a path, one step each time the movement cooldown runs out
+     *
+     * @param {Array<Object>} path - Positions {x, y} to step through, not including the start
+     * @param {Entity} [target] - Entity to face once the path is walked
+     */
+    setWalkPath(path, target = null) {
+        this.walkPath = {
+            steps: path.map(step => ({ x: step.x, y: step.y })),
+            target: target
+        };
+    }
+
+    /**
+     * Stop walking along the current path
+     */
+    clearWalkPath() {
+        this.walkPath = null;
+    }
+
+    /**
+     * Take the next step of the current path
+     * The walk stops if the step is blocked, the player was pushed off the path (ice, conveyors),
+     * or the step started a dialog, battle or zone change
+     *
+     * @returns {boolean} Whether the player moved
+     */
+    followWalkPath() {
+        const next = this.walkPath.steps[0];
+
+        if (MathUtils.manhattanDistance(this.position.x, this.position.y, next.x, next.y) !== 1) {
+            this.clearWalkPath();
+            return false;
+        }
+
+        const walk = this.walkPath;
+        const moved = this.move(Helpers.getDirection(this.position, next));
+        walk.steps.shift();
+
+        if (!moved || this.scene.gameState !== CONSTANTS.GAME_STATES.PLAYING ||
+            this.scene.player !== this) {
+            this.clearWalkPath();
+            return moved;
+        }
+
+        // Arrived: turn to the entity that was tapped
+        if (walk.steps.length === 0) {
+            this.clearWalkPath();
+
+            if (walk.target && MathUtils.manhattanDistance(this.position.x, this.position.y,
+                walk.target.position.x, walk.target.position.y) === 1) {
+                this.setDirection(Helpers.getDirection(this.position, walk.target.position));
+            }
+        }
+
+        return moved;
+    }
+
     /**
      * Move the player in a direction
      *
@@ -129,8 +317,12 @@ class Player extends Entity {
         if (moved) {
             console.log(`Player moved ${direction} to position:`, this.position);
 
-            // Reset cooldown
-            this.moveCooldown = this.moveCooldownDuration;
+            // Reset cooldown (costly tiles make moves slower, speed and running make them quicker)
+            this.moveCooldown = this.getStepDuration(this.moveCooldownDuration) /
+                (this.running ? CONFIG.game.player.runMultiplier : 1);
+
+            // Glide onto the tile over the step, so walking looks continuous
+            this.setMotionDuration(this.moveCooldown);
 
             // Emit move event
             this.scene.events.emit(CONSTANTS.EVENTS.PLAYER_MOVE, {
@@ -139,8 +331,19 @@ class Player extends Entity {
                 direction: this.direction
             });
 
+            // Tick status effects; a player who faints goes no further
+            this.checkStatus();
+            if (this.stats.isFainted()) {
+                return moved;
+            }
+
             // Check for teleporters
             this.checkTeleporter();
+
+            // Roll for wild creatures, unless a teleporter replaced the player
+            if (this.scene.player === this) {
+                this.checkEncounter();
+            }
         } else {
             console.log(`Player could not move ${direction} from position:`, this.position);
         }
@@ -148,6 +351,32 @@ class Player extends Entity {
         return moved;
     }
 
+    /**
+     * Apply status effects for a step, then any status effect on the tile stepped onto
+     */
+    checkStatus() {
+        this.stats.onStep();
+
+        const tile = this.scene.grid.getTileAt(this.position.x, this.position.y);
+        const effect = tile ? tile.getProperty('statusEffect', null) : null;
+
+        if (effect && !this.stats.isFainted()) {
+            this.stats.addEffect(effect);
+        }
+    }
+
+    /**
+     * Let the encounter manager know about the tile the player stepped onto
+     */
+    checkEncounter() {
+        if (!this.scene.encounterManager) {
+            return;
+        }
+
+        const tile = this.scene.grid.getTileAt(this.position.x, this.position.y);
+        this.scene.encounterManager.onStep(tile);
+    }
+
     /**
      * Check if the player is on a teleporter and handle teleportation
      */
@@ -160,6 +389,23 @@ class Player extends Entity {
             const targetX = tile.properties.targetX;
             const targetY = tile.properties.targetY;
 
+            // Inactive teleporters do nothing
+            if (tile.properties.isActive === false) {
+                return;
+            }
+
+            // Locked teleporters need a flag to be set first
+            const requiredFlag = tile.properties.requiredFlag;
+            if (requiredFlag && !this.scene.flags.isSet(requiredFlag)) {
+                if (tile.properties.lockedMessage) {
+                    this.scene.showDialog({
+                        content: tile.properties.lockedMessage,
+                        waitForInput: true
+                    });
+                }
+                return;
+            }
+
             console.log("Player on teleporter, destination:", {
                 zone: targetZone,
                 x: targetX,
@@ -175,10 +421,12 @@ class Player extends Entity {
 
     /**
      * Interact with entities in front of the player
+     * When several interactions bound to the action apply, the player picks one from a menu
      *
-     * @returns {boolean} Whether an interaction occurred
+     * @param {string} [action] - Action that was pressed (defaults to the interact action)
+     * @returns {boolean} Whether an interaction occurred or the menu was opened
      */
-    interact() {
+    interact(action = CONSTANTS.ACTIONS.INTERACT) {
         // Get position in front of player
         const frontPos = Helpers.getPositionInFront(this);
 
@@ -198,23 +446,16 @@ class Player extends Entity {
             if (entity.canInteractFrom(interactDirection)) {
                 console.log(`Interacting with ${entity.displayName} from ${interactDirection}`);
 
-                // Trigger the interaction
-                const interacted = entity.onInteract(this);
+                const interactions =
+                    this.scene.getInteractionsFor(entity, interactDirection, action);
 
-                if (interacted) {
-                    console.log(`Interaction successful with ${entity.displayName}`);
-
-                    // Emit interact event
-                    this.scene.events.emit(CONSTANTS.EVENTS.PLAYER_INTERACT, {
-                        player: this,
-                        target: entity,
-                        direction: this.direction
-                    });
-
-                    return true;
-                } else {
-                    console.log(`Interaction failed with ${entity.displayName}`);
+                // Let the player choose between several options
+                if (interactions.length > 1) {
+                    return this.scene.openInteractionMenu(this, entity, interactions,
+                        interactDirection, action);
                 }
+
+                return this.runInteractions(entity, interactions, interactDirection, action);
             } else {
                 console.log(`Cannot interact with ${entity.displayName} from ${interactDirection}`);
             }
@@ -225,6 +466,49 @@ class Player extends Entity {
         return false;
     }
 
+    /**
+     * Run interactions on an entity until a listener handles one; when none does,
+     * the interact action falls back to the entity's own onInteract
+     *
+     * @param {Entity} entity - Entity being interacted with
+     * @param {Array<Interaction>} interactions - Interactions to run, in order
+     * @param {string} direction - Direction of interaction
+     *                             (the side of the entity being approached)
+     * @param {string} action - Action that was pressed
+     * @returns {boolean} Whether an interaction occurred
+     */
+    runInteractions(entity, interactions, direction, action) {
+        const handledBy = interactions.find(interaction => {
+            const event = interaction.execute(this, entity, direction);
+            return event && event.handled;
+        }) || null;
+
+        // Otherwise let the entity handle it, unless a definition for it rules out this direction
+        const ruledOut = interactions.length === 0 && this.scene.interactions.some(interaction =>
+            interaction.keyBinding === action && interaction.canInteractWith(entity)
+        );
+        const interacted = handledBy !== null ||
+            (action === CONSTANTS.ACTIONS.INTERACT && !ruledOut &&
+                entity.onInteract(this, interactions[0] || null));
+
+        if (!interacted) {
+            console.log(`Interaction failed with ${entity.displayName}`);
+            return false;
+        }
+
+        console.log(`Interaction successful with ${entity.displayName}`);
+
+        // Emit interact event
+        this.scene.events.emit(CONSTANTS.EVENTS.PLAYER_INTERACT, {
+            player: this,
+            target: entity,
+            direction: this.direction,
+            interaction: handledBy || interactions[0] || null
+        });
+
+        return true;
+    }
+
     /**
      * Get the opposite direction
      *
@@ -250,16 +534,54 @@ class Player extends Entity {
      * Add an item to the player's inventory
      *
      * @param {Object} item - Item to add
+     * @param {string} [source] - Where the item came from (CONSTANTS.ITEM_SOURCES)
+     * @returns {boolean} Whether the item fit into the inventory
      */
-    addToInventory(item) {
-        this.inventory.push(item);
+    addToInventory(item, source = CONSTANTS.ITEM_SOURCES.PICKUP) {
+        if (!this.inventory.add(item)) {
+            return false;
+        }
 
         console.log(`Added ${item.displayName} to inventory`);
 
         // Emit item pickup event
         this.scene.events.emit(CONSTANTS.EVENTS.ITEM_PICKUP, {
             player: this,
-            item: item
+            item: item,
+            source: source
         });
+
+        return true;
+    }
+
+    /**
+     * Get the first creature that is still able to battle
+     *
+     * @returns {Creature|null} Creature or null if none can battle
+     */
+    getActiveCreature() {
+        return this.party.getActive();
+    }
+
+    /**
+     * Serialize player for saving
+     *
+     * @returns {Object} Serialized player data
+     */
+    serialize() {
+        const data = super.serialize();
+
+        // Add player-specific properties
+        data.inventory = this.inventory.serialize();
+
+        // Party members and stored creatures
+        const party = this.party.serialize();
+        data.party = party.members;
+        data.creatureStorage = party.storage;
+
+        data.wallet = this.wallet.serialize();
+        data.respawn = this.respawn ? { ...this.respawn } : null;
+
+        return data;
     }
 }
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Shop class
+ * The stock and prices of a merchant NPC, configured from a shop block in entity data
+ */
+class Shop {
+    /**
+     * Create a new shop
+     *
+     * @param {Entity} owner - NPC running the shop
+     * @param {Object} [config] - Shop configuration
+     * @param {Array<Object>} [config.stock] - Items for sale ({itemId, price, quantity});
+     *                                         no quantity means unlimited
+     * @param {number} [config.buyMultiplier] - Multiplier on item values when the player buys
+     * @param {number} [config.sellMultiplier] - Multiplier on item values when the player sells
+     * @param {string} [config.greeting] - Text shown before the shop opens
+     */
+    constructor(owner, config = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+
+        this.stock = (config.stock || []).map(entry => ({ ...entry }));
+        this.buyMultiplier = config.buyMultiplier !== undefined
+            ? config.buyMultiplier
+            : CONFIG.game.shop.buyMultiplier;
+        this.sellMultiplier = config.sellMultiplier !== undefined
+            ? config.sellMultiplier
+            : CONFIG.game.shop.sellMultiplier;
+        this.greeting = config.greeting || null;
+    }
+
+    /**
+     * Get the items for sale
+     *
+     * @returns {Array<Object>} Copy of the stock list
+     */
+    getStock() {
+        return this.stock.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Get the item definition of a stock entry
+     *
+     * @param {string} itemId - Item definition ID
+     * @returns {Object|null} Item definition or null if there is none
+     */
+    getDefinition(itemId) {
+        const dataManager = this.scene.dataManager;
+        return dataManager && dataManager.entities[itemId] ? dataManager.entities[itemId] : null;
+    }
+
+    /**
+     * Get the value of an item from its properties
+     *
+     * @param {Object} item - Item or item definition
+     * @returns {number} Item value (0 if it has none)
+     */
+    getValue(item) {
+        const properties = item ? item.properties || {} : {};
+        return typeof properties.value === 'number' ? properties.value : 0;
+    }
+
+    /**
+     * Get what the player pays for one of a stock entry
+     * A price in the entry takes precedence over the item's value
+     *
+     * @param {Object} entry - Stock entry
+     * @returns {number} Price
+     */
+    getBuyPrice(entry) {
+        if (entry.price !== undefined) {
+            return entry.price;
+        }
+
+        return Math.ceil(this.getValue(this.getDefinition(entry.itemId)) * this.buyMultiplier);
+    }
+
+    /**
+     * Get what the shop pays for one of an item
+     *
+     * @param {Item} item - Item the player is selling
+     * @returns {number} Price (0 means the shop won't buy it)
+     */
+    getSellPrice(item) {
+        return Math.floor(this.getValue(item) * this.sellMultiplier);
+    }
+
+    /**
+     * Buy items from the stock
+     *
+     * @param {Player} buyer - Entity buying (needs a wallet and an inventory)
+     * @param {number} index - Stock index
+     * @param {number} [quantity=1] - How many to buy
+     * @returns {string|null} Why the purchase failed ('sold_out', 'money', 'space'),
+     *                        or null if it succeeded
+     */
+    buy(buyer, index, quantity = 1) {
+        const entry = this.stock[index];
+        if (!entry || (entry.quantity !== undefined && entry.quantity < quantity)) {
+            return 'sold_out';
+        }
+
+        const total = this.getBuyPrice(entry) * quantity;
+        if (!buyer.wallet.canAfford(total)) {
+            return 'money';
+        }
+
+        // Make sure the items fit before taking the money
+        const item = this.scene.createItem(entry.itemId, quantity);
+        if (!item || !buyer.inventory.canAdd(item)) {
+            return 'space';
+        }
+
+        buyer.wallet.spend(total, 'buy');
+        buyer.inventory.add(item);
+
+        if (entry.quantity !== undefined) {
+            entry.quantity -= quantity;
+        }
+
+        this.emitTransaction('buy', buyer, entry.itemId, quantity, total);
+        return null;
+    }
+
+    /**
+     * Sell items from the seller's inventory
+     *
+     * @param {Player} seller - Entity selling (needs a wallet and an inventory)
+     * @param {number} index - Inventory slot
+     * @param {number} [quantity=1] - How many to sell
+     * @returns {string|null} Why the sale failed ('worthless', 'money'), or null if it succeeded
+     */
+    sell(seller, index, quantity = 1) {
+        const item = seller.inventory.getItem(index);
+        if (!item || this.getSellPrice(item) <= 0) {
+            return 'worthless';
+        }
+
+        const amount = Math.min(quantity, item.quantity);
+        const total = this.getSellPrice(item) * amount;
+        if (!seller.wallet.canReceive(total)) {
+            return 'money';
+        }
+
+        const itemId = item.itemId;
+        seller.inventory.takeAt(index, amount);
+        seller.inventory.emitChange('sell', item, amount);
+        seller.wallet.add(total, 'sell');
+
+        this.emitTransaction('sell', seller, itemId, amount, total);
+        return null;
+    }
+
+    /**
+     * Emit a shop transaction event
+     *
+     * @param {string} action - 'buy' or 'sell'
+     * @param {Entity} customer - Entity trading with the shop
+     * @param {string} itemId - Item definition ID
+     * @param {number} quantity - Number of items traded
+     * @param {number} total - Money paid
+     */
+    emitTransaction(action, customer, itemId, quantity, total) {
+        this.scene.events.emit(CONSTANTS.EVENTS.SHOP_TRANSACTION, {
+            shop: this,
+            merchant: this.owner,
+            customer: customer,
+            action: action,
+            itemId: itemId,
+            quantity: quantity,
+            total: total
+        });
+    }
+
+    /**
+     * Generate a serializable representation of this shop
+     *
+     * @returns {Object} Serialized shop ({stock, buyMultiplier, sellMultiplier, greeting})
+     */
+    serialize() {
+        return {
+            stock: this.getStock(),
+            buyMultiplier: this.buyMultiplier,
+            sellMultiplier: this.sellMultiplier,
+            greeting: this.greeting
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Wallet class
+ * Money carried by an entity, spent and earned through shops
+ */
+class Wallet {
+    /**
+     * Create a new wallet
+     *
+     * @param {Entity} owner - Entity carrying the money
+     * @param {Object} [config] - Wallet configuration
+     * @param {number} [config.balance] - Starting money
+     * @param {number} [config.maxBalance] - Most money the wallet can hold
+     */
+    constructor(owner, config = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+        this.maxBalance = config.maxBalance || CONFIG.game.wallet.maxBalance;
+        this.balance = MathUtils.clamp(Math.floor(config.balance || 0), 0, this.maxBalance);
+    }
+
+    /**
+     * Get the money in the wallet
+     *
+     * @returns {number} Balance
+     */
+    getBalance() {
+        return this.balance;
+    }
+
+    /**
+     * Check if the wallet holds enough money
+     *
+     * @param {number} amount - Price to pay
+     * @returns {boolean} Whether the amount can be paid
+     */
+    canAfford(amount) {
+        return amount >= 0 && this.balance >= amount;
+    }
+
+    /**
+     * Check if money fits into the wallet
+     *
+     * @param {number} amount - Money to receive
+     * @returns {boolean} Whether the amount fits under the maximum balance
+     */
+    canReceive(amount) {
+        return amount >= 0 && this.balance + amount <= this.maxBalance;
+    }
+
+    /**
+     * Add money
+     *
+     * @param {number} amount - Money to add
+     * @param {string} [reason] - Where the money came from (e.g. 'sell')
+     * @returns {boolean} Whether the money was added
+     */
+    add(amount, reason) {
+        if (!Number.isInteger(amount) || !this.canReceive(amount)) {
+            return false;
+        }
+
+        this.balance += amount;
+        this.emitChange(amount, reason);
+        return true;
+    }
+
+    /**
+     * Spend money
+     *
+     * @param {number} amount - Money to spend
+     * @param {string} [reason] - What the money was spent on (e.g. 'buy')
+     * @returns {boolean} Whether the money was spent (false if there isn't enough)
+     */
+    spend(amount, reason) {
+        if (!Number.isInteger(amount) || !this.canAfford(amount)) {
+            return false;
+        }
+
+        this.balance -= amount;
+        this.emitChange(-amount, reason);
+        return true;
+    }
+
+    /**
+     * Emit a wallet change event
+     *
+     * @param {number} change - Money gained (positive) or spent (negative)
+     * @param {string} [reason] - Why the balance changed
+     */
+    emitChange(change, reason) {
+        this.scene.events.emit(CONSTANTS.EVENTS.WALLET_CHANGE, {
+            owner: this.owner,
+            wallet: this,
+            change: change,
+            balance: this.balance,
+            reason: reason || null
+        });
+    }
+
+    /**
+     * Generate a serializable representation of this wallet
+     *
+     * @returns {Object} Serialized wallet ({balance})
+     */
+    serialize() {
+        return {
+            balance: this.balance
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Gamepad Input
+ * Polls connected gamepads and turns their buttons and left stick into action states,
+ * using a binding profile picked for each device
+ */
+class GamepadInput {
+    /**
+     * Create a new gamepad input
+     *
+     * @param {Object} scene - The scene whose events announce connected and disconnected gamepads
+     * @param {Function} [source] - Function returning the connected Gamepad objects
+     *                              (defaults to navigator.getGamepads)
+     */
+    constructor(scene, source) {
+        this.scene = scene;
+        this.source = source || (() => (navigator.getGamepads ? navigator.getGamepads() : []));
+
+        // Connected gamepads by index ({id, profile})
+        this.pads = {};
+
+        // Actions held on any gamepad this frame
+        this.actionStates = {};
+
+        // Profiles chosen for particular devices, by gamepad id
+        this.storageKey = CONFIG.game.input.gamepad.storageKey;
+        this.customProfiles = {};
+        this.loadProfiles();
+    }
+
+    /**
+     * Get the connected gamepads
+     * The browser's list can have gaps and disconnected entries, which are skipped
+     *
+     * @returns {Array<Gamepad>} Connected gamepads
+     */
+    getGamepads() {
+        try {
+            return Array.from(this.source() || []).filter(pad => pad && pad.connected !== false);
+        } catch (error) {
+            console.error('GamepadInput.getGamepads: Error reading gamepads:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the binding profile for a gamepad
+     * A profile chosen for the device wins, then the first config profile whose match
+     * strings appear in the gamepad id, then the first config profile
+     *
+     * @param {Gamepad} pad - Gamepad to get the profile for
+     * @returns {Object} Profile ({id, match, buttons, stick})
+     */
+    getProfile(pad) {
+        const profiles = CONFIG.game.input.gamepad.profiles;
+        const id = (pad.id || '').toLowerCase();
+
+        const chosen = profiles.find(profile => profile.id === this.customProfiles[pad.id]);
+        if (chosen) {
+            return chosen;
+        }
+
+        return profiles.find(profile =>
+            (profile.match || []).some(text => id.includes(text.toLowerCase()))
+        ) || profiles[0];
+    }
+
+    /**
+     * Choose the binding profile for a device and remember it
+     *
+     * @param {string} padId - Gamepad id (Gamepad.id)
+     * @param {string|null} profileId - Config profile ID, or null to go back to matching by id
+     * @returns {boolean} Whether the profile was set
+     */
+    setProfile(padId, profileId) {
+        if (profileId === null) {
+            delete this.customProfiles[padId];
+        } else if (!CONFIG.game.input.gamepad.profiles.some(profile => profile.id === profileId)) {
+            console.warn(`GamepadInput.setProfile: Unknown profile ${profileId}`);
+            return false;
+        } else {
+            this.customProfiles[padId] = profileId;
+        }
+
+        // Connected pads pick up the change straight away
+        for (const index in this.pads) {
+            if (this.pads[index].id === padId) {
+                this.pads[index].profile = null;
+            }
+        }
+
+        this.saveProfiles();
+        return true;
+    }
+
+    /**
+     * Read the profiles chosen for devices from localStorage
+     *
+     * @returns {boolean} Whether stored profiles were found
+     */
+    loadProfiles() {
+        try {
+            const json = window.localStorage.getItem(this.storageKey);
+            if (!json) {
+                return false;
+            }
+
+            this.customProfiles = JSON.parse(json) || {};
+            return true;
+        } catch (error) {
+            console.error('GamepadInput.loadProfiles: Error reading profiles:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write the profiles chosen for devices to localStorage
+     *
+     * @returns {boolean} Whether the profiles were stored
+     */
+    saveProfiles() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.customProfiles));
+            return true;
+        } catch (error) {
+            console.error('GamepadInput.saveProfiles: Error writing profiles:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if a gamepad button is pressed
+     *
+     * @param {GamepadButton|number} button - Button (older browsers report plain values)
+     * @returns {boolean} Whether the button is pressed
+     */
+    isButtonPressed(button) {
+        if (typeof button === 'number') {
+            return button > 0.5;
+        }
+
+        return !!(button && (button.pressed || button.value > 0.5));
+    }
+
+    /**
+     * Get the movement action the stick points at
+     * Inside the deadzone the stick is ignored; outside it, the axis pushed furthest wins
+     *
+     * @param {Gamepad} pad - Gamepad to read
+     * @param {Object} profile - Binding profile
+     * @returns {string|null} Movement action or null if the stick is centred
+     */
+    getStickAction(pad, profile) {
+        if (!profile.stick) {
+            return null;
+        }
+
+        const x = pad.axes[profile.stick.x] || 0;
+        const y = pad.axes[profile.stick.y] || 0;
+
+        if (Math.max(Math.abs(x), Math.abs(y)) < CONFIG.game.input.gamepad.deadzone) {
+            return null;
+        }
+
+        if (Math.abs(x) > Math.abs(y)) {
+            return x > 0 ? CONSTANTS.ACTIONS.MOVE_RIGHT : CONSTANTS.ACTIONS.MOVE_LEFT;
+        }
+
+        return y > 0 ? CONSTANTS.ACTIONS.MOVE_DOWN : CONSTANTS.ACTIONS.MOVE_UP;
+    }
+
+    /**
+     * Check if an action is held on any gamepad
+     *
+     * @param {string} action - Action to check (CONSTANTS.ACTIONS)
+     * @returns {boolean} Whether the action is held
+     */
+    isActionDown(action) {
+        return this.actionStates[action] === true;
+    }
+
+    /**
+     * Check if any gamepad is connected
+     *
+     * @returns {boolean} Whether a gamepad is connected
+     */
+    isConnected() {
+        return Object.keys(this.pads).length > 0;
+    }
+
+    /**
+     * Poll the gamepads: announce connected and disconnected ones, then sample the held actions
+     * Should be called once per frame, from InputManager.update
+     */
+    update() {
+        const pads = this.getGamepads();
+        const seen = {};
+
+        this.actionStates = {};
+
+        pads.forEach(pad => {
+            seen[pad.index] = true;
+
+            // A new pad, or a different one in the same slot
+            const known = this.pads[pad.index];
+            if (!known || known.id !== pad.id) {
+                if (known) {
+                    this.disconnect(pad.index);
+                }
+                this.connect(pad);
+            }
+
+            const entry = this.pads[pad.index];
+            if (!entry.profile) {
+                entry.profile = this.getProfile(pad);
+            }
+
+            // Buttons, including the d-pad, map straight to actions
+            const buttons = entry.profile.buttons || {};
+            for (const index in buttons) {
+                if (this.isButtonPressed(pad.buttons[index])) {
+                    this.actionStates[buttons[index]] = true;
+                }
+            }
+
+            const stickAction = this.getStickAction(pad, entry.profile);
+            if (stickAction) {
+                this.actionStates[stickAction] = true;
+            }
+        });
+
+        for (const index in this.pads) {
+            if (!seen[index]) {
+                this.disconnect(index);
+            }
+        }
+    }
+
+    /**
+     * Start tracking a newly connected gamepad
+     *
+     * @param {Gamepad} pad - Gamepad that was connected
+     */
+    connect(pad) {
+        const profile = this.getProfile(pad);
+        this.pads[pad.index] = { id: pad.id, profile: profile };
+
+        console.log(`Gamepad connected: ${pad.id} (profile: ${profile.id})`);
+
+        if (this.scene.events) {
+            this.scene.events.emit(CONSTANTS.EVENTS.GAMEPAD_CONNECTED, {
+                index: pad.index,
+                id: pad.id,
+                profile: profile.id
+            });
+        }
+    }
+
+    /**
+     * Stop tracking a gamepad that was disconnected
+     *
+     * @param {number|string} index - Gamepad index
+     */
+    disconnect(index) {
+        const entry = this.pads[index];
+        if (!entry) {
+            return;
+        }
+
+        delete this.pads[index];
+
+        console.log(`Gamepad disconnected: ${entry.id}`);
+
+        if (this.scene.events) {
+            this.scene.events.emit(CONSTANTS.EVENTS.GAMEPAD_DISCONNECTED, {
+                index: Number(index),
+                id: entry.id
+            });
+        }
+    }
+}
\ No newline at end of file
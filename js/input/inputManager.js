@@ -1,20 +1,48 @@
 /**
  * Input Manager
- * Handles user input and normalizes it for the game
+ * Handles user input and normalizes it into actions, each bound to one or more keys,
+ * to gamepad buttons through GamepadInput and to on-screen touch controls
  */
 class InputManager {
     /**
      * Create a new input manager
      *
      * @param {Object} scene - The scene this input manager belongs to
+     * @param {Object} [config] - Input manager configuration
+     * @param {GamepadInput} [config.gamepad] - Gamepad input to poll (defaults to a new one)
+     * @param {Function} [config.gamepadSource] - Function returning the connected Gamepad objects
+     *                                            for the default gamepad input (e.g. fake pads)
      */
-    constructor(scene) {
+    constructor(scene, config = {}) {
         this.scene = scene;
         this.keys = {};
+        this.keyCodes = {};
         this.keyStates = {};
         this.previousKeyStates = {};
         this.keyCallbacks = {};
 
+        // Keys bound to each action (key code names, e.g. 'W' or 'SPACE')
+        this.storageKey = CONFIG.game.input.storageKey;
+        this.keymap = this.createDefaultKeymap();
+
+        // Action states merged from the keyboard and gamepads (sampled in update)
+        this.actionStates = {};
+        this.previousActionStates = {};
+
+        // Callback waiting for the next key press while rebinding, and presses it used up
+        this.captureCallback = null;
+        this.consumedKeys = new Set();
+
+        // Gamepads, polled alongside the keyboard
+        this.gamepad = config.gamepad || new GamepadInput(scene, config.gamepadSource);
+
+        // Actions held on the on-screen touch controls, and presses not yet seen by update
+        this.touchActions = {};
+        this.touchPresses = new Set();
+
+        // Scripted input played back instead of the devices (see playTimeline)
+        this.timeline = null;
+
         // Debug flag
         this.debug = CONFIG.game.debug.logEvents;
 
@@ -28,14 +56,18 @@ class InputManager {
     init() {
         console.log("Initializing InputManager");
 
+        // Use the player's keys if they rebound any
+        this.loadKeymap();
+
         // Set up Phaser input
         this.setupKeys();
 
         // Add event listeners for logging key events
         if (this.debug) {
-            window.addEventListener('keydown', (e) => {
+            this.logKeyDown = (e) => {
                 console.log(`Key Down: ${e.key} (KeyCode: ${e.keyCode})`);
-            });
+            };
+            window.addEventListener('keydown', this.logKeyDown);
         }
     }
 
@@ -53,22 +85,9 @@ class InputManager {
             return;
         }
 
-        // Define key mappings - using KeyCodes to ensure consistent behavior
-        const keyMapping = {
-            [CONSTANTS.KEYS.UP]: Phaser.Input.Keyboard.KeyCodes.W,
-            [CONSTANTS.KEYS.DOWN]: Phaser.Input.Keyboard.KeyCodes.S,
-            [CONSTANTS.KEYS.LEFT]: Phaser.Input.Keyboard.KeyCodes.A,
-            [CONSTANTS.KEYS.RIGHT]: Phaser.Input.Keyboard.KeyCodes.D,
-            [CONSTANTS.KEYS.INTERACT]: Phaser.Input.Keyboard.KeyCodes.E
-        };
-
-        // Create key objects and log them
-        for (const key in keyMapping) {
-            this.keys[key] = this.keyboard.addKey(keyMapping[key]);
-            this.keyStates[key] = false;
-            this.previousKeyStates[key] = false;
-
-            console.log(`Added key: ${key} (KeyCode: ${keyMapping[key]})`);
+        // Create key objects for every bound key
+        for (const action in this.keymap) {
+            this.keymap[action].forEach(keyName => this.addKey(keyName));
         }
 
         // Setup direct key listeners for proper detection
@@ -78,12 +97,73 @@ class InputManager {
         console.log("Input keys setup complete");
     }
 
+    /**
+     * Start tracking a key and stop the browser from handling it
+     *
+     * @param {string} keyName - Key code name
+     * @returns {boolean} Whether the key is tracked
+     */
+    addKey(keyName) {
+        if (this.keys[keyName]) {
+            return true;
+        }
+
+        const keyCode = this.getKeyCode(keyName);
+        if (keyCode === null || !this.keyboard) {
+            console.warn(`InputManager.addKey: Unknown key ${keyName}`);
+            return false;
+        }
+
+        this.keys[keyName] = this.keyboard.addKey(keyCode);
+        this.keyCodes[keyCode] = keyName;
+        this.keyStates[keyName] = false;
+        this.previousKeyStates[keyName] = false;
+
+        // Keep the browser from scrolling on arrow keys and space
+        this.keyboard.addCapture(keyCode);
+
+        console.log(`Added key: ${keyName} (KeyCode: ${keyCode})`);
+        return true;
+    }
+
+    /**
+     * Get the key code of a key code name
+     *
+     * @param {string} keyName - Key code name (e.g. 'W' or 'SPACE')
+     * @returns {number|null} Key code or null if there is no such key
+     */
+    getKeyCode(keyName) {
+        const keyCode = Phaser.Input.Keyboard.KeyCodes[keyName];
+        return typeof keyCode === 'number' && keyCode > 0 ? keyCode : null;
+    }
+
+    /**
+     * Get the key code name of a key code
+     *
+     * @param {number} keyCode - Key code
+     * @returns {string|null} Key code name or null if there is no such key
+     */
+    getKeyName(keyCode) {
+        if (this.keyCodes[keyCode]) {
+            return this.keyCodes[keyCode];
+        }
+
+        const codes = Phaser.Input.Keyboard.KeyCodes;
+        return Object.keys(codes).find(keyName => codes[keyName] === keyCode) || null;
+    }
+
     /**
      * Handle key down event
      *
      * @param {KeyboardEvent} event - Key event
      */
     handleKeyDown(event) {
+        // Hand the press to a rebinding that is waiting for a key
+        if (this.captureCallback) {
+            this.finishCapture(event.keyCode);
+            return;
+        }
+
         // Convert key code to our key constant
         const key = this.getKeyConstant(event.keyCode);
 
@@ -92,9 +172,8 @@ class InputManager {
                 console.log(`Key down detected: ${key} (KeyCode: ${event.keyCode})`);
             }
 
-            this.keyStates[key] = true;
-
             // Call any registered callbacks
+            // (key states are sampled once per frame in update)
             if (this.keyCallbacks[key]) {
                 this.keyCallbacks[key].forEach(callback => callback('down', key));
             }
@@ -115,8 +194,6 @@ class InputManager {
                 console.log(`Key up detected: ${key} (KeyCode: ${event.keyCode})`);
             }
 
-            this.keyStates[key] = false;
-
             // Call any registered callbacks
             if (this.keyCallbacks[key]) {
                 this.keyCallbacks[key].forEach(callback => callback('up', key));
@@ -128,19 +205,11 @@ class InputManager {
      * Convert a key code to our key constant
      *
      * @param {number} keyCode - The key code
-     * @returns {string|null} Our key constant or null if not mapped
+     * @returns {string|null} Key code name or null if the key isn't tracked
      */
     getKeyConstant(keyCode) {
-        // Map key codes to our constants
-        const keyCodeMap = {
-            87: 'UP',    // W
-            83: 'DOWN',  // S
-            65: 'LEFT',  // A
-            68: 'RIGHT', // D
-            69: 'INTERACT' // E
-        };
-
-        return keyCodeMap[keyCode] || null;
+        // Map key codes to tracked keys (filled in by addKey)
+        return this.keyCodes[keyCode] || null;
     }
 
     /**
@@ -150,7 +219,7 @@ class InputManager {
      * @returns {boolean} Whether the key is down
      */
     isKeyDown(key) {
-        // First check our internal state (from event listeners)
+        // First check our internal state (sampled in update)
         if (this.keyStates[key] === true) {
             return true;
         }
@@ -183,6 +252,317 @@ class InputManager {
         return this.keyStates[key] === false && this.previousKeyStates[key] === true;
     }
 
+    /**
+     * Check if an action is held on the keyboard, a gamepad or the touch controls
+     *
+     * @param {string} action - Action to check (CONSTANTS.ACTIONS)
+     * @returns {boolean} Whether the action is held
+     */
+    isActionDown(action) {
+        return this.actionStates[action] === true;
+    }
+
+    /**
+     * Check if an action was just pressed this frame
+     * Pressing a second key or button of an action that is already held doesn't count
+     *
+     * @param {string} action - Action to check (CONSTANTS.ACTIONS)
+     * @returns {boolean} Whether the action was just pressed
+     */
+    wasActionJustPressed(action) {
+        return this.actionStates[action] === true && this.previousActionStates[action] !== true;
+    }
+
+    /**
+     * Check if an action was just released this frame (its last held key or button was let go)
+     *
+     * @param {string} action - Action to check (CONSTANTS.ACTIONS)
+     * @returns {boolean} Whether the action was just released
+     */
+    wasActionJustReleased(action) {
+        return this.actionStates[action] !== true && this.previousActionStates[action] === true;
+    }
+
+    /**
+     * Hold or release an action from an on-screen touch control
+     * A press counts for at least one frame, so a tap released before the next update isn't lost
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @param {boolean} held - Whether the control is held
+     */
+    setTouchAction(action, held) {
+        if (held) {
+            this.touchActions[action] = true;
+            this.touchPresses.add(action);
+        } else {
+            delete this.touchActions[action];
+        }
+    }
+
+    /**
+     * Release every action held on the touch controls (e.g. when they are hidden)
+     */
+    releaseTouchActions() {
+        this.touchActions = {};
+    }
+
+    /**
+     * Take whatever is held now as already held, so a key kept down while the scene wasn't reading
+     * input (e.g. while it was paused for a battle) doesn't count as just pressed when it resumes
+     */
+    clearPresses() {
+        this.update(0);
+
+        this.previousKeyStates = { ...this.keyStates };
+        this.previousActionStates = { ...this.actionStates };
+    }
+
+    /**
+     * Play back a scripted timeline of presses, advanced by the frame delta passed to update
+     * While it plays the keyboard, gamepads and touch controls are ignored, so the result only
+     * depends on the timeline and the frame deltas
+     *
+     * @param {InputTimeline} timeline - Timeline to play from the start
+     */
+    playTimeline(timeline) {
+        timeline.reset();
+        this.timeline = timeline;
+    }
+
+    /**
+     * Stop playing the scripted timeline and go back to the devices
+     */
+    stopTimeline() {
+        this.timeline = null;
+    }
+
+    /**
+     * Get the keys bound to an action
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @returns {Array<string>} Key code names, first one first
+     */
+    getKeysForAction(action) {
+        return this.keymap[action] ? [...this.keymap[action]] : [];
+    }
+
+    /**
+     * Get the name of the first key bound to an action, for key hints
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @returns {string} Key code name, or '-' if the action has no keys
+     */
+    getKeyLabel(action) {
+        return this.keymap[action] && this.keymap[action].length > 0 ? this.keymap[action][0] : '-';
+    }
+
+    /**
+     * Bind a key to an action, taking it away from any other action
+     * Every action keeps at least one key, so a key that is another action's only key
+     * can't be moved
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @param {string} keyName - Key code name
+     * @returns {boolean} Whether the key was bound
+     */
+    bindKey(action, keyName) {
+        if (!this.keymap[action]) {
+            console.warn(`InputManager.bindKey: Unknown action ${action}`);
+            return false;
+        }
+
+        if (this.getKeyCode(keyName) === null) {
+            console.warn(`InputManager.bindKey: Unknown key ${keyName}`);
+            return false;
+        }
+
+        if (this.keymap[action].includes(keyName)) {
+            return true;
+        }
+
+        // Find the actions the key is taken from
+        const others = Object.keys(this.keymap).filter(other =>
+            other !== action && this.keymap[other].includes(keyName)
+        );
+
+        if (others.some(other => this.keymap[other].length <= 1)) {
+            console.warn(`InputManager.bindKey: ${keyName} is the only key of another action`);
+            return false;
+        }
+
+        others.forEach(other => {
+            this.keymap[other] = this.keymap[other].filter(key => key !== keyName);
+            this.emitKeymapChange(other);
+        });
+
+        this.keymap[action].push(keyName);
+        this.addKey(keyName);
+
+        this.saveKeymap();
+        this.emitKeymapChange(action);
+        return true;
+    }
+
+    /**
+     * Unbind a key from an action
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @param {string} keyName - Key code name
+     * @returns {boolean} Whether the key was unbound (false if it is the action's only key)
+     */
+    unbindKey(action, keyName) {
+        const keys = this.keymap[action];
+        if (!keys || !keys.includes(keyName) || keys.length <= 1) {
+            return false;
+        }
+
+        this.keymap[action] = keys.filter(key => key !== keyName);
+
+        this.saveKeymap();
+        this.emitKeymapChange(action);
+        return true;
+    }
+
+    /**
+     * Emit a keymap change event
+     *
+     * @param {string} action - Action whose keys changed
+     */
+    emitKeymapChange(action) {
+        if (this.scene.events) {
+            this.scene.events.emit(CONSTANTS.EVENTS.KEYMAP_CHANGE, {
+                action: action,
+                keys: this.getKeysForAction(action)
+            });
+        }
+    }
+
+    /**
+     * Create a copy of the default keymap from the config
+     *
+     * @returns {Object} Key code names by action
+     */
+    createDefaultKeymap() {
+        const keymap = {};
+
+        Object.values(CONSTANTS.ACTIONS).forEach(action => {
+            keymap[action] = [...(CONFIG.game.input.keymap[action] || [])];
+        });
+
+        return keymap;
+    }
+
+    /**
+     * Read the player's keymap from localStorage
+     * Actions missing from the stored keymap keep their default keys
+     *
+     * @returns {boolean} Whether a stored keymap was found
+     */
+    loadKeymap() {
+        try {
+            const json = window.localStorage.getItem(this.storageKey);
+            if (!json) {
+                return false;
+            }
+
+            const stored = JSON.parse(json);
+
+            for (const action in this.keymap) {
+                const keys = Array.isArray(stored[action])
+                    ? stored[action].filter(keyName => this.getKeyCode(keyName) !== null)
+                    : [];
+
+                if (keys.length > 0) {
+                    this.keymap[action] = keys;
+                }
+            }
+
+            return true;
+        } catch (error) {
+            console.error('InputManager.loadKeymap: Error reading keymap:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write the keymap to localStorage
+     *
+     * @returns {boolean} Whether the keymap was stored
+     */
+    saveKeymap() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.keymap));
+            return true;
+        } catch (error) {
+            console.error('InputManager.saveKeymap: Error writing keymap:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Go back to the default keys, clearing the stored keymap
+     */
+    resetKeymap() {
+        this.keymap = this.createDefaultKeymap();
+
+        for (const action in this.keymap) {
+            this.keymap[action].forEach(keyName => this.addKey(keyName));
+            this.emitKeymapChange(action);
+        }
+
+        try {
+            window.localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('InputManager.resetKeymap: Error clearing keymap:', error);
+        }
+    }
+
+    /**
+     * Wait for the next key press instead of treating it as input (used for rebinding)
+     *
+     * @param {Function} callback - Called with the key code name, or null if the cancel key
+     *                              was pressed
+     */
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Stop waiting for a key press without calling the capture callback
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Check if a rebinding is waiting for a key press
+     *
+     * @returns {boolean} Whether a key press is being captured
+     */
+    isCapturing() {
+        return this.captureCallback !== null;
+    }
+
+    /**
+     * Hand a captured key press to the capture callback
+     *
+     * @param {number} keyCode - Key code that was pressed
+     */
+    finishCapture(keyCode) {
+        const keyName = this.getKeyName(keyCode);
+        if (!keyName) {
+            return;
+        }
+
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+
+        // The press was used up, so it mustn't also trigger the key's actions
+        this.consumedKeys.add(keyName);
+
+        callback(keyName === CONFIG.game.input.cancelKey ? null : keyName);
+    }
+
     /**
      * Register a callback for a key event
      *
@@ -231,20 +611,93 @@ class InputManager {
 
     /**
      * Update the input manager
-     * Should be called once per frame in the scene's update
+     * Should be called once per frame, before anything reads the key or action states
+     *
+     * @param {number} [delta=0] - Time since last update, which moves a playing timeline on
      */
-    update() {
-        // Check direct key states from Phaser as a backup
-        // This ensures we catch keys even if the event listeners missed them
+    update(delta = 0) {
         for (const key in this.keys) {
-            if (this.keys[key] && this.keys[key].isDown) {
-                this.keyStates[key] = true;
+            // Remember last frame's state for "just pressed/released" detection
+            this.previousKeyStates[key] = this.keyStates[key];
+
+            // Sample the current state from Phaser
+            this.keyStates[key] = !!(this.keys[key] && this.keys[key].isDown);
+
+            // A press used up by a rebinding counts as held from the start
+            if (this.consumedKeys.has(key)) {
+                if (this.keyStates[key]) {
+                    this.previousKeyStates[key] = true;
+                } else {
+                    this.consumedKeys.delete(key);
+                }
             }
         }
 
-        // Store the current key states for "just pressed/released" detection
-        for (const key in this.keyStates) {
-            this.previousKeyStates[key] = this.keyStates[key];
+        this.gamepad.update();
+
+        // A scripted timeline stands in for every device while it plays
+        if (this.timeline) {
+            this.updateTimeline(delta);
+            return;
+        }
+
+        // Merge the keyboard, gamepads and touch controls into action states
+        // (used-up presses don't count)
+        this.previousActionStates = this.actionStates;
+        this.actionStates = {};
+
+        for (const action in this.keymap) {
+            this.actionStates[action] = this.gamepad.isActionDown(action) ||
+                this.touchActions[action] === true || this.touchPresses.has(action) ||
+                this.keymap[action].some(
+                    key => this.keyStates[key] === true && !this.consumedKeys.has(key));
+        }
+
+        this.touchPresses.clear();
+    }
+
+    /**
+     * Sample the action states from the playing timeline, by action or by the keys bound to it
+     *
+     * @param {number} delta - Time since last update
+     */
+    updateTimeline(delta) {
+        this.timeline.advance(delta);
+
+        this.previousActionStates = this.actionStates;
+        this.actionStates = {};
+
+        for (const action in this.keymap) {
+            this.actionStates[action] = this.timeline.isDown(action) ||
+                this.keymap[action].some(key => this.timeline.isDown(key));
         }
     }
+
+    /**
+     * Stop listening to the keyboard and remove the keys this input manager added
+     * Called when its scene shuts down; key captures are left alone as other scenes share them
+     */
+    destroy() {
+        this.cancelCapture();
+        this.stopTimeline();
+        this.releaseTouchActions();
+
+        if (this.logKeyDown) {
+            window.removeEventListener('keydown', this.logKeyDown);
+            this.logKeyDown = null;
+        }
+
+        if (this.keyboard) {
+            this.keyboard.off('keydown', this.handleKeyDown, this);
+            this.keyboard.off('keyup', this.handleKeyUp, this);
+
+            for (const keyName in this.keys) {
+                this.keyboard.removeKey(this.keys[keyName], true);
+            }
+        }
+
+        this.keys = {};
+        this.keyCodes = {};
+        this.keyCallbacks = {};
+    }
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Input Timeline
+ * Plays back a script of key and action presses against frame time, so a run of input
+ * (a demo, or a movement check) gives the same result every time it is fed in
+ */
+class InputTimeline {
+    /**
+     * Create a new input timeline
+     *
+     * @param {Array<Object>} events - Presses and releases ({time, key|action, down});
+     *                                 time is in ms from the start, keys are key code names,
+     *                                 actions are CONSTANTS.ACTIONS
+     */
+    constructor(events) {
+        this.events = [...events].sort((a, b) => a.time - b.time);
+        this.reset();
+    }
+
+    /**
+     * Go back to the start of the timeline, with nothing held
+     */
+    reset() {
+        this.time = 0;
+        this.index = 0;
+
+        // Held keys and actions, and those pressed during the last advance
+        this.held = new Set();
+        this.presses = new Set();
+    }
+
+    /**
+     * Move the timeline on by a frame, applying every event up to the new time
+     * A press and release within the same frame still counts as held for that frame
+     *
+     * @param {number} delta - Time since last update
+     */
+    advance(delta) {
+        this.time += delta;
+        this.presses.clear();
+
+        while (this.index < this.events.length && this.events[this.index].time <= this.time) {
+            const event = this.events[this.index++];
+            const name = event.key || event.action;
+
+            if (event.down) {
+                this.held.add(name);
+                this.presses.add(name);
+            } else {
+                this.held.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Check if a key or action is held this frame
+     *
+     * @param {string} name - Key code name or action
+     * @returns {boolean} Whether it is held
+     */
+    isDown(name) {
+        return this.held.has(name) || this.presses.has(name);
+    }
+
+    /**
+     * Check if every event has been played
+     *
+     * @returns {boolean} Whether the timeline is finished
+     */
+    isFinished() {
+        return this.index >= this.events.length;
+    }
+}
\ No newline at end of file
@@ -19,6 +19,8 @@ class Dialog {
         this.letterIndex = 0;
         this.textTimer = null;
         this.closeTimer = null;
+        this.choices = [];
+        this.selectedChoice = 0;
 
         // Create dialog box
         this.createDialogBox();
@@ -40,7 +42,9 @@ class Dialog {
      * @param {string} [options.speaker] - Speaker name
      * @param {number} [options.duration] - Duration to show dialog (ms)
      * @param {boolean} [options.waitForInput] - Whether to wait for input to close
+     * @param {Array<string>} [options.choices] - Options for the player to choose from
      * @param {Function} [options.onComplete] - Callback when dialog completes
+     *                                          (receives the choice index)
      */
     show(options) {
         // If already showing, finish current dialog
@@ -54,6 +58,13 @@ class Dialog {
         this.duration = options.duration || this.defaultDuration;
         this.waitForInput = options.waitForInput !== undefined ? options.waitForInput : true;
         this.onComplete = options.onComplete || null;
+        this.choices = options.choices || [];
+        this.selectedChoice = 0;
+
+        // A choice always waits for the player
+        if (this.choices.length > 0) {
+            this.waitForInput = true;
+        }
 
         // Reset state
         this.active = true;
@@ -110,10 +121,43 @@ class Dialog {
         this.scene.events.emit('dialog-update', {
             content: this.showingText,
             speaker: this.speaker,
-            isComplete: this.letterIndex >= this.content.length
+            isComplete: this.isTextComplete(),
+            choices: this.choices,
+            selectedChoice: this.selectedChoice
         });
     }
 
+    /**
+     * Check if all of the text is shown
+     *
+     * @returns {boolean} Whether the text animation has finished
+     */
+    isTextComplete() {
+        return this.letterIndex >= this.content.length;
+    }
+
+    /**
+     * Check if the dialog offers choices
+     *
+     * @returns {boolean} Whether there are choices
+     */
+    hasChoices() {
+        return this.choices.length > 0;
+    }
+
+    /**
+     * Move the choice cursor, wrapping around the ends of the list
+     *
+     * @param {number} delta - Options to move (negative moves up)
+     */
+    moveChoice(delta) {
+        if (!this.active || !this.hasChoices() || !this.isTextComplete()) return;
+
+        const count = this.choices.length;
+        this.selectedChoice = (this.selectedChoice + delta + count) % count;
+        this.updateDialogText();
+    }
+
     /**
      * Skip text animation and show full text immediately
      */
@@ -147,7 +191,7 @@ class Dialog {
         if (!this.active) return;
 
         // If text is still animating, skip animation
-        if (this.letterIndex < this.content.length) {
+        if (!this.isTextComplete()) {
             this.skipAnimation();
         } else {
             // Otherwise complete the dialog
@@ -170,12 +214,13 @@ class Dialog {
         // Emit event
         this.scene.events.emit(CONSTANTS.EVENTS.DIALOG_END, {
             content: this.content,
-            speaker: this.speaker
+            speaker: this.speaker,
+            choice: this.hasChoices() ? this.selectedChoice : null
         });
 
         // Call onComplete callback if provided
         if (this.onComplete && typeof this.onComplete === 'function') {
-            this.onComplete();
+            this.onComplete(this.hasChoices() ? this.selectedChoice : null);
         }
     }
 
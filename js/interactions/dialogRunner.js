@@ -0,0 +1,397 @@
+/**
+ * Dialog Runner
+ * Walks a dialog tree node by node, showing each page through the Dialog system
+ */
+class DialogRunner {
+    /**
+     * Create a new dialog runner
+     *
+     * @param {Object} scene - The scene this runner belongs to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.tree = null;
+        this.context = null;
+        this.node = null;
+        this.nodeId = null;
+        this.pageIndex = 0;
+        this.choices = [];
+
+        // Battle started by an action, launched once the dialog has closed
+        this.pendingBattle = null;
+    }
+
+    /**
+     * Check if a dialog value is a tree rather than a single line
+     *
+     * @param {*} dialog - Dialog value from entity data
+     * @returns {boolean} Whether the dialog is a tree
+     */
+    static isTree(dialog) {
+        return !!dialog && typeof dialog === 'object' && !!dialog.nodes;
+    }
+
+    /**
+     * Start running a dialog tree
+     *
+     * @param {Object} tree - Dialog tree ({start, speaker, nodes})
+     * @param {Object} [context] - Run context
+     * @param {Entity} [context.speaker] - Entity that is talking
+     * @param {Entity} [context.listener] - Entity being talked to (defaults to the player)
+     * @returns {boolean} Whether the dialog started
+     */
+    start(tree, context = {}) {
+        if (!DialogRunner.isTree(tree)) {
+            console.error('DialogRunner.start: Dialog is not a tree');
+            return false;
+        }
+
+        this.tree = tree;
+        this.context = {
+            speaker: context.speaker || null,
+            listener: context.listener || this.scene.player
+        };
+
+        const start = tree.start !== undefined ? tree.start : Object.keys(tree.nodes)[0];
+        const startId = this.resolveNext(start);
+        if (!startId) {
+            console.warn('DialogRunner.start: No start node matches the current conditions');
+            this.end();
+            return false;
+        }
+
+        this.showNode(startId);
+        return this.isRunning();
+    }
+
+    /**
+     * Check if a dialog tree is running
+     *
+     * @returns {boolean} Whether a tree is running
+     */
+    isRunning() {
+        return this.tree !== null;
+    }
+
+    /**
+     * Enter a node, running its actions and showing its first page
+     *
+     * @param {string} nodeId - Node ID
+     */
+    showNode(nodeId) {
+        const node = this.tree.nodes[nodeId];
+        if (!node) {
+            console.error(`DialogRunner.showNode: Node not found: ${nodeId}`);
+            this.end();
+            return;
+        }
+
+        this.node = node;
+        this.nodeId = nodeId;
+        this.pageIndex = 0;
+
+        // Actions run when the node is entered
+        this.runActions(node.actions);
+
+        this.showPage();
+    }
+
+    /**
+     * Get the pages of a node
+     *
+     * @param {Object} node - Dialog node
+     * @returns {Array<string>} Page texts
+     */
+    getPages(node) {
+        if (Array.isArray(node.pages)) {
+            return node.pages;
+        }
+
+        return [node.text || ''];
+    }
+
+    /**
+     * Show the current page of the current node
+     */
+    showPage() {
+        const pages = this.getPages(this.node);
+        const isLastPage = this.pageIndex >= pages.length - 1;
+
+        // Choices are offered on the last page only
+        this.choices = isLastPage ? this.getAvailableChoices(this.node) : [];
+
+        this.scene.showDialog({
+            content: pages[this.pageIndex],
+            speaker: this.getSpeakerName(),
+            waitForInput: true,
+            choices: this.choices.map(choice => choice.text),
+            onComplete: choiceIndex => this.handlePageComplete(choiceIndex)
+        });
+    }
+
+    /**
+     * Get the name shown for the current node's speaker
+     *
+     * @returns {string} Speaker name
+     */
+    getSpeakerName() {
+        if (this.node.speaker !== undefined) {
+            return this.node.speaker;
+        }
+
+        if (this.tree.speaker !== undefined) {
+            return this.tree.speaker;
+        }
+
+        return this.context.speaker ? this.context.speaker.displayName : '';
+    }
+
+    /**
+     * Get the choices of a node whose conditions are met
+     *
+     * @param {Object} node - Dialog node
+     * @returns {Array<Object>} Available choices
+     */
+    getAvailableChoices(node) {
+        return (node.choices || []).filter(choice => this.checkConditions(choice.conditions));
+    }
+
+    /**
+     * Advance after a page was closed
+     *
+     * @param {number|null} choiceIndex - Index of the chosen option, or null if there were none
+     */
+    handlePageComplete(choiceIndex) {
+        if (!this.isRunning()) {
+            return;
+        }
+
+        // More pages in this node
+        if (this.pageIndex < this.getPages(this.node).length - 1) {
+            this.pageIndex++;
+            this.showPage();
+            return;
+        }
+
+        // A choice was made
+        if (this.choices.length > 0) {
+            const choice = this.choices[choiceIndex] || this.choices[0];
+            this.selectChoice(choice);
+            return;
+        }
+
+        this.goTo(this.resolveNext(this.node.next));
+    }
+
+    /**
+     * Apply a chosen option
+     *
+     * @param {Object} choice - Chosen option
+     */
+    selectChoice(choice) {
+        this.scene.events.emit(CONSTANTS.EVENTS.DIALOG_CHOICE, {
+            speaker: this.context.speaker,
+            nodeId: this.nodeId,
+            choice: choice
+        });
+
+        this.runActions(choice.actions);
+        this.goTo(this.resolveNext(choice.next));
+    }
+
+    /**
+     * Continue with a node, or end the dialog if there is none
+     *
+     * @param {string|null} nodeId - Node ID
+     */
+    goTo(nodeId) {
+        if (!this.isRunning()) {
+            return;
+        }
+
+        if (nodeId) {
+            this.showNode(nodeId);
+        } else {
+            this.end();
+        }
+    }
+
+    /**
+     * Resolve a next-node link
+     * A link is a node ID, or a list of {node, conditions} branches where the first match wins
+     *
+     * @param {string|Array|null} next - Next-node link
+     * @returns {string|null} Node ID or null to end the dialog
+     */
+    resolveNext(next) {
+        if (!next) {
+            return null;
+        }
+
+        if (typeof next === 'string') {
+            return next;
+        }
+
+        if (Array.isArray(next)) {
+            const branch = next.find(branch => this.checkConditions(branch.conditions));
+            return branch ? branch.node || null : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if all conditions are met
+     *
+     * @param {Array<Object>} [conditions] - Conditions to check
+     * @returns {boolean} Whether every condition is met
+     */
+    checkConditions(conditions) {
+        if (!conditions || conditions.length === 0) {
+            return true;
+        }
+
+        return conditions.every(condition => this.checkCondition(condition));
+    }
+
+    /**
+     * Check a single condition
+     *
+     * @param {Object} condition - Condition ({type, not, ...})
+     * @returns {boolean} Whether the condition is met
+     */
+    checkCondition(condition) {
+        let result = false;
+
+        switch (condition.type) {
+            case 'hasItem': {
+                const listener = this.context.listener;
+                result = !!(listener && listener.inventory &&
+                    listener.inventory.hasItem(condition.itemId, condition.quantity || 1));
+                break;
+            }
+
+            case 'flag':
+                result = this.scene.flags.matches(condition.flag, condition);
+                break;
+
+            case 'quest':
+                result = this.scene.questManager.getStatus(condition.questId) ===
+                    (condition.status || CONSTANTS.QUEST_STATUS.COMPLETED);
+                break;
+
+            default:
+                console.warn(
+                    `DialogRunner.checkCondition: Unknown condition type: ${condition.type}`);
+                return false;
+        }
+
+        return condition.not ? !result : result;
+    }
+
+    /**
+     * Run a list of actions
+     *
+     * @param {Array<Object>} [actions] - Actions to run
+     */
+    runActions(actions) {
+        if (!actions) {
+            return;
+        }
+
+        actions.forEach(action => this.runAction(action));
+    }
+
+    /**
+     * Run a single action
+     *
+     * @param {Object} action - Action ({type, ...})
+     */
+    runAction(action) {
+        const listener = this.context.listener;
+
+        switch (action.type) {
+            case 'giveItem': {
+                const item = this.scene.createItem(action.itemId, action.quantity || 1);
+                if (!item || !listener) {
+                    console.warn(`DialogRunner.runAction: Cannot give item ${action.itemId}`);
+                    break;
+                }
+
+                if (!listener.addToInventory(item, CONSTANTS.ITEM_SOURCES.GIFT)) {
+                    console.warn(`DialogRunner.runAction: ${item.displayName} ` +
+                        'did not fit into the inventory');
+                }
+                break;
+            }
+
+            case 'takeItem':
+                if (listener && listener.inventory) {
+                    listener.inventory.remove(action.itemId, action.quantity || 1);
+                }
+                break;
+
+            case 'setFlag':
+                this.scene.flags.set(action.flag, action.value !== undefined ? action.value : true);
+                break;
+
+            case 'incrementFlag':
+                this.scene.flags.increment(action.flag,
+                    action.amount !== undefined ? action.amount : 1);
+                break;
+
+            case 'startQuest':
+                this.scene.questManager.startQuest(action.questId);
+                break;
+
+            case 'giveCreature': {
+                const dataManager = this.scene.dataManager;
+                if (!listener || !listener.party || !dataManager ||
+                    !dataManager.creatures[action.creatureId]) {
+                    console.warn(
+                        `DialogRunner.runAction: Cannot give creature ${action.creatureId}`);
+                    break;
+                }
+
+                const creature = new Creature(this.scene, {
+                    creatureId: action.creatureId,
+                    level: action.level || 1
+                });
+
+                if (!listener.party.add(creature)) {
+                    console.warn(`DialogRunner.runAction: No room for ${creature.getName()}`);
+                }
+                break;
+            }
+
+            case 'startBattle':
+                this.pendingBattle = {
+                    creatureId: action.creatureId,
+                    level: action.level || 1
+                };
+                break;
+
+            default:
+                console.warn(`DialogRunner.runAction: Unknown action type: ${action.type}`);
+                break;
+        }
+    }
+
+    /**
+     * Stop the running dialog tree, starting any battle an action asked for
+     */
+    end() {
+        this.tree = null;
+        this.context = null;
+        this.node = null;
+        this.nodeId = null;
+        this.pageIndex = 0;
+        this.choices = [];
+
+        if (this.pendingBattle) {
+            const battle = this.pendingBattle;
+            this.pendingBattle = null;
+            this.scene.startBattle(battle);
+        }
+    }
+}
\ No newline at end of file
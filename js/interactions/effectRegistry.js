@@ -0,0 +1,431 @@
+/**
+ * Effect Registry
+ * Effect types that items (and other content) can trigger, each with a handler,
+ * a validation schema and a target rule
+ *
+ * An effect is an object with a registered type ({type: 'heal', amount: 10})
+ * or a list of effects that all run.
+ */
+const EffectRegistry = {
+    /**
+     * Effect definitions keyed by type
+     * - target: what the handler acts on (see CONSTANTS.EFFECT_TARGETS)
+     * - schema: fields checked by Validator.validateEffect ({type, required, min, max})
+     * - validate: optional extra check (effect, ownerId) => boolean
+     * - children: optional function returning nested effects (for composite effects)
+     * - handler: (effect, context, target) => whether the effect did anything
+     * - describe: optional short description for menus
+     */
+    effects: {
+        heal: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                amount: { type: 'number', required: true, min: 0 }
+            },
+            handler: function(effect, context, target) {
+                // Heal a chosen party member
+                if (context.creature && target.party) {
+                    return target.party.heal(context.creature, effect.amount) > 0;
+                }
+
+                return !!target.stats && target.stats.heal(effect.amount) > 0;
+            },
+            describe: effect => `Restores ${effect.amount} health`
+        },
+
+        damage: {
+            target: CONSTANTS.EFFECT_TARGETS.FACING,
+            schema: {
+                amount: { type: 'number', required: true, min: 0 }
+            },
+            handler: function(effect, context, target) {
+                return !!target.stats && target.stats.damage(effect.amount, 'item') > 0;
+            },
+            describe: effect => `Deals ${effect.amount} damage to what you face`
+        },
+
+        teleport: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                targetZone: { type: 'string', required: true },
+                targetX: { type: 'number', required: true },
+                targetY: { type: 'number', required: true }
+            },
+            handler: function(effect, context) {
+                context.scene.changeZone(effect.targetZone, effect.targetX, effect.targetY);
+                return true;
+            },
+            describe: () => 'Teleports you elsewhere'
+        },
+
+        repel: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                steps: { type: 'number', required: true, min: 1 }
+            },
+            handler: function(effect, context) {
+                const encounterManager = context.scene.encounterManager;
+                if (!encounterManager || !encounterManager.setRepel(effect.steps)) {
+                    return false;
+                }
+
+                context.scene.showDialog({
+                    content: 'Wild creatures will keep away for a while.',
+                    waitForInput: true
+                });
+                return true;
+            },
+            describe: effect => `Keeps wild creatures away for ${effect.steps} steps`
+        },
+
+        dialog: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                content: { type: 'string', required: true },
+                speaker: { type: 'string' },
+                waitForInput: { type: 'boolean' }
+            },
+            handler: function(effect, context) {
+                context.scene.showDialog({
+                    content: effect.content,
+                    speaker: effect.speaker || (context.item ? context.item.displayName : ''),
+                    waitForInput: effect.waitForInput !== undefined ? effect.waitForInput : true
+                });
+                return true;
+            },
+            describe: () => 'Read'
+        },
+
+        status: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                effect: { type: 'object', required: true }
+            },
+            validate: (effect, ownerId) => Validator.validateStatusEffect(effect.effect, ownerId),
+            handler: function(effect, context, target) {
+                return !!target.stats && target.stats.addEffect(effect.effect);
+            },
+            describe: function(effect) {
+                if (effect.effect.type === CONSTANTS.STATUS_EFFECTS.SPEED) {
+                    const speed = (effect.effect.multiplier || 1) >= 1 ? 'fast' : 'slow';
+                    return `Makes you ${speed} for a while`;
+                }
+                return `Inflicts ${effect.effect.type}`;
+            }
+        },
+
+        cure: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                status: { type: 'string', required: true }
+            },
+            validate: function(effect, ownerId) {
+                if (!EntityStats.isStatusType(effect.status)) {
+                    Validator.addError(`${ownerId} cures an unknown status: ${effect.status}`);
+                    return false;
+                }
+                return true;
+            },
+            handler: function(effect, context, target) {
+                return !!target.stats && target.stats.removeEffect(effect.status);
+            },
+            describe: effect => `Cures ${effect.status}`
+        },
+
+        giveItem: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                itemId: { type: 'string', required: true },
+                quantity: { type: 'number', min: 1 }
+            },
+            handler: function(effect, context, target) {
+                const item = context.scene.createItem(effect.itemId, effect.quantity || 1);
+                return !!item && !!target.addToInventory &&
+                    target.addToInventory(item, CONSTANTS.ITEM_SOURCES.EFFECT);
+            },
+            describe: effect => `Gives ${effect.quantity || 1} ${effect.itemId}`
+        },
+
+        setFlag: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                flag: { type: 'string', required: true },
+                value: { type: ['boolean', 'number', 'string'] }
+            },
+            handler: function(effect, context) {
+                const value = effect.value !== undefined ? effect.value : true;
+                return context.scene.flags.set(effect.flag, value);
+            }
+        },
+
+        spawnEntity: {
+            target: CONSTANTS.EFFECT_TARGETS.TILE,
+            schema: {
+                entityId: { type: 'string', required: true },
+                quantity: { type: 'number', min: 1 }
+            },
+            handler: function(effect, context, tile) {
+                const scene = context.scene;
+                const definition = scene.dataManager
+                    ? scene.dataManager.entities[effect.entityId]
+                    : null;
+
+                // Needs an empty tile that can be walked on
+                if (!definition || !scene.currentZone ||
+                    !Helpers.hasTag(tile, CONSTANTS.TAGS.PASSABLE) ||
+                    scene.getEntityAt(tile.x, tile.y)) {
+                    return false;
+                }
+
+                const entity = definition.type === CONSTANTS.ENTITY_TYPES.ITEM
+                    ? scene.createItem(effect.entityId, effect.quantity || 1)
+                    : scene.currentZone.createEntity({
+                        ...Helpers.deepClone(definition),
+                        id: Helpers.generateId(),
+                        x: tile.x,
+                        y: tile.y
+                    });
+
+                if (!entity) {
+                    return false;
+                }
+
+                entity.position.x = tile.x;
+                entity.position.y = tile.y;
+                scene.addEntity(entity);
+                return true;
+            },
+            describe: effect => `Places ${effect.entityId} in front of you`
+        },
+
+        changeTile: {
+            target: CONSTANTS.EFFECT_TARGETS.TILE,
+            schema: {
+                tileType: { type: 'string', required: true },
+                from: { type: 'array' },
+                properties: { type: 'object' }
+            },
+            validate: function(effect, ownerId) {
+                const types = Object.values(CONSTANTS.TILE_TYPES);
+                const invalid = [effect.tileType, ...(effect.from || [])]
+                    .find(type => !types.includes(type));
+                if (invalid) {
+                    Validator.addError(
+                        `${ownerId} has changeTile effect with unknown tile type: ${invalid}`);
+                    return false;
+                }
+                return true;
+            },
+            handler: function(effect, context, tile) {
+                // Only tiles of the listed types can be changed
+                if (effect.from && !effect.from.includes(tile.type)) {
+                    return false;
+                }
+
+                return context.scene.grid.setTileAt(tile.x, tile.y, new Tile({
+                    x: tile.x,
+                    y: tile.y,
+                    type: effect.tileType,
+                    properties: Helpers.deepClone(effect.properties || {})
+                }));
+            },
+            describe: effect => `Turns the ground in front of you into ${effect.tileType}`
+        },
+
+        chance: {
+            target: CONSTANTS.EFFECT_TARGETS.SELF,
+            schema: {
+                chance: { type: 'number', required: true, min: 0, max: 1 },
+                effect: { type: ['object', 'array'], required: true },
+                otherwise: { type: ['object', 'array'] }
+            },
+            children: effect => [effect.effect, effect.otherwise].filter(child => child),
+            handler: function(effect, context) {
+                if (EffectRegistry.random() < effect.chance) {
+                    return EffectRegistry.apply(effect.effect, context);
+                }
+
+                // A failed roll still counts as a use
+                return effect.otherwise ? EffectRegistry.apply(effect.otherwise, context) : true;
+            },
+            describe: effect => `Maybe: ${EffectRegistry.describe(effect.effect)}`
+        }
+    },
+
+    /**
+     * Register an effect type, replacing any existing definition
+     *
+     * @param {string} type - Effect type
+     * @param {Object} definition - Effect definition
+     *                              ({target, schema, validate, children, handler, describe})
+     * @returns {boolean} Whether the effect type was registered
+     */
+    register: function(type, definition) {
+        if (!type || !definition || typeof definition.handler !== 'function') {
+            console.error(`EffectRegistry.register: Effect ${type} needs a handler`);
+            return false;
+        }
+
+        if (!Object.values(CONSTANTS.EFFECT_TARGETS).includes(definition.target)) {
+            console.error(`EffectRegistry.register: Effect ${type} has invalid target rule: ` +
+                `${definition.target}`);
+            return false;
+        }
+
+        this.effects[type] = {
+            schema: {},
+            ...definition
+        };
+        return true;
+    },
+
+    /**
+     * Get an effect definition
+     *
+     * @param {string} type - Effect type
+     * @returns {Object|null} Effect definition or null if the type is not registered
+     */
+    get: function(type) {
+        return this.effects.hasOwnProperty(type) ? this.effects[type] : null;
+    },
+
+    /**
+     * Check if an effect type is registered
+     *
+     * @param {string} type - Effect type
+     * @returns {boolean} Whether the type is registered
+     */
+    has: function(type) {
+        return this.get(type) !== null;
+    },
+
+    /**
+     * Get a random number between 0 (inclusive) and 1 (exclusive) for chance rolls
+     *
+     * @returns {number} Random number
+     */
+    random: function() {
+        return Math.random();
+    },
+
+    /**
+     * Find what an effect acts on
+     *
+     * @param {string} rule - Target rule (see CONSTANTS.EFFECT_TARGETS)
+     * @param {Object} context - Effect context ({scene, user})
+     * @returns {Entity|Tile|null} Target, or null if there is nothing to act on
+     */
+    resolveTarget: function(rule, context) {
+        const scene = context.scene;
+        const user = context.user;
+
+        switch (rule) {
+            case CONSTANTS.EFFECT_TARGETS.SELF:
+                return user || null;
+
+            case CONSTANTS.EFFECT_TARGETS.FACING: {
+                const front = Helpers.getPositionInFront(user);
+                return scene.getEntityAt(front.x, front.y);
+            }
+
+            case CONSTANTS.EFFECT_TARGETS.TILE: {
+                const front = Helpers.getPositionInFront(user);
+                return scene.grid ? scene.grid.getTileAt(front.x, front.y) : null;
+            }
+
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Apply an effect or a list of effects
+     *
+     * @param {Object|Array} effect - Effect or list of effects
+     * @param {Object} context - Effect context
+     * @param {Object} context.scene - The game scene
+     * @param {Entity} context.user - Entity triggering the effect
+     * @param {Item} [context.item] - Item the effect comes from
+     * @param {Creature} [context.creature] - Party member the effect was aimed at
+     * @returns {boolean} Whether the effect (or any effect in the list) did anything
+     */
+    apply: function(effect, context) {
+        // Every effect in a list runs, even after one fails
+        if (Array.isArray(effect)) {
+            return effect
+                .map(child => this.apply(child, context))
+                .some(result => result);
+        }
+
+        const definition = effect ? this.get(effect.type) : null;
+        if (!definition) {
+            const type = effect ? effect.type : effect;
+            console.warn(`EffectRegistry.apply: Unknown effect type: ${type}`);
+            return false;
+        }
+
+        const target = this.resolveTarget(definition.target, context);
+        if (!target) {
+            console.log(`Effect ${effect.type} has nothing to act on`);
+            return false;
+        }
+
+        return !!definition.handler(effect, context, target);
+    },
+
+    /**
+     * Get the effects nested in a composite effect
+     *
+     * @param {Object|Array} effect - Effect or list of effects
+     * @returns {Array} Nested effects (empty for simple effects)
+     */
+    getChildren: function(effect) {
+        if (Array.isArray(effect)) {
+            return effect;
+        }
+
+        const definition = effect ? this.get(effect.type) : null;
+        return definition && definition.children ? definition.children(effect) : [];
+    },
+
+    /**
+     * Check if an effect is or contains an effect of a type
+     *
+     * @param {Object|Array} effect - Effect or list of effects
+     * @param {string} type - Effect type
+     * @returns {boolean} Whether the type is used anywhere in the effect
+     */
+    includesType: function(effect, type) {
+        if (!effect) {
+            return false;
+        }
+
+        if (!Array.isArray(effect) && effect.type === type) {
+            return true;
+        }
+
+        return this.getChildren(effect).some(child => this.includesType(child, type));
+    },
+
+    /**
+     * Get a short description of an effect for menus
+     *
+     * @param {Object|Array} effect - Effect or list of effects
+     * @returns {string} Description or an empty string
+     */
+    describe: function(effect) {
+        if (Array.isArray(effect)) {
+            return effect
+                .map(child => this.describe(child))
+                .filter(text => text)
+                .join(', ');
+        }
+
+        const definition = effect ? this.get(effect.type) : null;
+        if (!definition) {
+            return '';
+        }
+
+        return definition.describe ? definition.describe(effect) : '';
+    }
+};
\ No newline at end of file
@@ -18,17 +18,18 @@ class EventSystem {
      *
      * @param {string} eventType - Event type to listen for
      * @param {Function} callback - Function to call when event is emitted
+     * @param {Object} [context] - Value of `this` inside the callback
      * @returns {Function} Unsubscribe function
      */
-    subscribe(eventType, callback) {
+    subscribe(eventType, callback, context = null) {
         if (!this.listeners[eventType]) {
             this.listeners[eventType] = [];
         }
 
-        this.listeners[eventType].push(callback);
+        this.listeners[eventType].push({ callback, context });
 
         // Return a function to unsubscribe
-        return () => this.unsubscribe(eventType, callback);
+        return () => this.unsubscribe(eventType, callback, context);
     }
 
     /**
@@ -36,13 +37,16 @@ class EventSystem {
      *
      * @param {string} eventType - Event type to unsubscribe from
      * @param {Function} callback - Function to remove
+     * @param {Object} [context] - Context the callback was subscribed with
      */
-    unsubscribe(eventType, callback) {
+    unsubscribe(eventType, callback, context = null) {
         if (!this.listeners[eventType]) {
             return;
         }
 
-        const index = this.listeners[eventType].indexOf(callback);
+        const index = this.listeners[eventType].findIndex(listener =>
+            listener.callback === callback && (context === null || listener.context === context)
+        );
         if (index !== -1) {
             this.listeners[eventType].splice(index, 1);
         }
@@ -65,10 +69,10 @@ class EventSystem {
             return;
         }
 
-        // Call all listeners
-        this.listeners[eventType].forEach(callback => {
+        // Call all listeners (copy the list in case a listener unsubscribes)
+        [...this.listeners[eventType]].forEach(listener => {
             try {
-                callback(data);
+                listener.callback.call(listener.context, data);
             } catch (error) {
                 console.error(`Error in event listener for ${eventType}:`, error);
             }
@@ -16,7 +16,8 @@ class Interaction {
         this.requiredTags = config.requiredTags || [];
         this.directions = config.directions || Object.values(CONSTANTS.DIRECTIONS);
         this.eventType = config.eventType || '';
-        this.keyBinding = config.keyBinding || CONSTANTS.KEYS.INTERACT;
+        // Action that triggers it
+        this.keyBinding = config.keyBinding || CONSTANTS.ACTIONS.INTERACT;
         this.properties = config.properties || {};
     }
 
@@ -47,28 +48,44 @@ class Interaction {
      * @param {Entity} source - Entity initiating the interaction
      * @param {Entity} target - Entity being interacted with
      * @param {string} direction - Direction of interaction
-     * @returns {boolean} Whether the interaction was successful
+     * @returns {Object|null} The emitted event data, or null if the interaction isn't valid
      */
     execute(source, target, direction) {
         // Check if the interaction is valid
         if (!this.canInteractWith(target)) {
-            return false;
+            return null;
         }
 
         // Check if the direction is valid
         if (!this.isValidDirection(direction)) {
-            return false;
+            return null;
         }
 
-        // Emit the interaction event
-        this.scene.events.emit(this.eventType, {
+        // Emit the interaction event; a listener that fully handles it sets 'handled'
+        const event = {
             source: source,
             target: target,
             direction: direction,
-            interaction: this
-        });
+            interaction: this,
+            handled: false
+        };
+        this.scene.events.emit(this.eventType, event);
+
+        return event;
+    }
 
-        return true;
+    /**
+     * Check if this interaction applies to an entity approached from a direction with an action
+     *
+     * @param {Entity} entity - Entity being interacted with
+     * @param {string} direction - Direction of interaction
+     * @param {string} action - Action that was pressed
+     * @returns {boolean} Whether the interaction applies
+     */
+    appliesTo(entity, direction, action) {
+        return this.keyBinding === action &&
+            this.canInteractWith(entity) &&
+            this.isValidDirection(direction);
     }
 
     /**
@@ -0,0 +1,420 @@
+/**
+ * Quest Manager
+ * Tracks quest progress by listening to game events and hands out rewards
+ */
+class QuestManager {
+    /**
+     * Create a new quest manager
+     *
+     * @param {Object} scene - The game scene whose events drive quest progress
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // Quest state keyed by quest ID: {status, progress: {objectiveId: count}}
+        this.quests = {};
+
+        // Event listeners, kept so they can be removed again
+        this.listeners = [];
+    }
+
+    /**
+     * Start listening for objective events and start automatic quests
+     */
+    init() {
+        const events = CONSTANTS.EVENTS;
+        const objectives = CONSTANTS.QUEST_OBJECTIVES;
+
+        // Only items picked up from the ground, not rewards, gifts or container contents
+        this.listen(events.ITEM_PICKUP, data => {
+            if (data.source === CONSTANTS.ITEM_SOURCES.PICKUP) {
+                this.handleEvent(objectives.COLLECT_ITEM, data);
+            }
+        });
+        this.listen(events.PLAYER_INTERACT, data => this.handleEvent(objectives.TALK_TO, data));
+        this.listen(events.PLAYER_MOVE, data => this.handleEvent(objectives.REACH_TILE, data));
+
+        // Only the notification sent after a zone has loaded (requests carry targetZone)
+        this.listen(events.ZONE_CHANGE, data => {
+            if (!data.targetZone) {
+                this.handleEvent(objectives.ENTER_ZONE, data);
+            }
+        });
+
+        this.startAutoQuests();
+    }
+
+    /**
+     * Subscribe to a scene event and remember the listener
+     *
+     * @param {string} eventType - Event type
+     * @param {Function} callback - Event handler
+     */
+    listen(eventType, callback) {
+        this.scene.events.on(eventType, callback, this);
+        this.listeners.push({ eventType, callback });
+    }
+
+    /**
+     * Start every quest marked autoStart that hasn't been started yet
+     */
+    startAutoQuests() {
+        Object.values(this.getDefinitions()).forEach(definition => {
+            if (definition.autoStart &&
+                this.getStatus(definition.id) === CONSTANTS.QUEST_STATUS.INACTIVE) {
+                this.startQuest(definition.id);
+            }
+        });
+    }
+
+    /**
+     * Get all quest definitions
+     *
+     * @returns {Object} Quest definitions keyed by ID
+     */
+    getDefinitions() {
+        return this.scene.dataManager ? this.scene.dataManager.quests : {};
+    }
+
+    /**
+     * Get a quest definition
+     *
+     * @param {string} questId - Quest ID
+     * @returns {Object|null} Quest definition or null if not found
+     */
+    getDefinition(questId) {
+        return this.getDefinitions()[questId] || null;
+    }
+
+    /**
+     * Get the status of a quest
+     *
+     * @param {string} questId - Quest ID
+     * @returns {string} Quest status (see CONSTANTS.QUEST_STATUS)
+     */
+    getStatus(questId) {
+        const quest = this.quests[questId];
+        return quest ? quest.status : CONSTANTS.QUEST_STATUS.INACTIVE;
+    }
+
+    /**
+     * Check if a quest is in progress
+     *
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Whether the quest is active
+     */
+    isActive(questId) {
+        return this.getStatus(questId) === CONSTANTS.QUEST_STATUS.ACTIVE;
+    }
+
+    /**
+     * Check if a quest has been completed
+     *
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Whether the quest is completed
+     */
+    isCompleted(questId) {
+        return this.getStatus(questId) === CONSTANTS.QUEST_STATUS.COMPLETED;
+    }
+
+    /**
+     * Get the IDs of all quests in progress
+     *
+     * @returns {Array<string>} Active quest IDs
+     */
+    getActiveQuests() {
+        return Object.keys(this.quests).filter(questId => this.isActive(questId));
+    }
+
+    /**
+     * Start a quest
+     *
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Whether the quest was started
+     */
+    startQuest(questId) {
+        const definition = this.getDefinition(questId);
+        if (!definition) {
+            console.error(`QuestManager.startQuest: Quest not found: ${questId}`);
+            return false;
+        }
+
+        if (this.getStatus(questId) !== CONSTANTS.QUEST_STATUS.INACTIVE) {
+            return false;
+        }
+
+        // Set up progress for each objective
+        const progress = {};
+        definition.objectives.forEach(objective => {
+            progress[objective.id] = 0;
+        });
+
+        this.quests[questId] = {
+            status: CONSTANTS.QUEST_STATUS.ACTIVE,
+            progress: progress
+        };
+
+        console.log(`Quest started: ${definition.title || questId}`);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.QUEST_START, {
+            questId: questId,
+            quest: definition
+        });
+
+        // Quests without objectives complete straight away
+        this.checkCompletion(questId);
+        return true;
+    }
+
+    /**
+     * Get the progress of an objective
+     *
+     * @param {string} questId - Quest ID
+     * @param {string} objectiveId - Objective ID
+     * @returns {number} Progress count
+     */
+    getProgress(questId, objectiveId) {
+        const quest = this.quests[questId];
+        return quest && quest.progress[objectiveId] ? quest.progress[objectiveId] : 0;
+    }
+
+    /**
+     * Get how much progress an objective needs
+     *
+     * @param {Object} objective - Objective definition
+     * @returns {number} Required count
+     */
+    getRequired(objective) {
+        return objective.quantity || 1;
+    }
+
+    /**
+     * Check if an objective is done
+     *
+     * @param {string} questId - Quest ID
+     * @param {Object} objective - Objective definition
+     * @returns {boolean} Whether the objective is complete
+     */
+    isObjectiveComplete(questId, objective) {
+        return this.getProgress(questId, objective.id) >= this.getRequired(objective);
+    }
+
+    /**
+     * Get the objectives of a quest that can currently make progress
+     * Sequential quests only progress their first unfinished objective
+     *
+     * @param {string} questId - Quest ID
+     * @returns {Array<Object>} Open objectives
+     */
+    getOpenObjectives(questId) {
+        const definition = this.getDefinition(questId);
+        const open = definition.objectives.filter(
+            objective => !this.isObjectiveComplete(questId, objective));
+
+        return definition.sequential ? open.slice(0, 1) : open;
+    }
+
+    /**
+     * Advance matching objectives of all active quests
+     *
+     * @param {string} objectiveType - Objective type the event relates to
+     * @param {Object} data - Event data
+     */
+    handleEvent(objectiveType, data) {
+        this.getActiveQuests().forEach(questId => {
+            this.getOpenObjectives(questId).forEach(objective => {
+                if (objective.type !== objectiveType) {
+                    return;
+                }
+
+                const amount = this.getEventAmount(objective, data);
+                if (amount > 0) {
+                    this.advanceObjective(questId, objective, amount);
+                }
+            });
+
+            this.checkCompletion(questId);
+        });
+    }
+
+    /**
+     * Work out how much an event counts towards an objective
+     *
+     * @param {Object} objective - Objective definition
+     * @param {Object} data - Event data
+     * @returns {number} Progress to add (0 if the event doesn't match)
+     */
+    getEventAmount(objective, data) {
+        const objectives = CONSTANTS.QUEST_OBJECTIVES;
+
+        switch (objective.type) {
+            case objectives.COLLECT_ITEM:
+                return data.item && data.item.itemId === objective.itemId ? data.item.quantity : 0;
+
+            case objectives.TALK_TO:
+                return data.target && data.target.id === objective.target &&
+                    this.isInZone(objective.zone) ? 1 : 0;
+
+            case objectives.ENTER_ZONE:
+                return data.zoneId === objective.zone ? 1 : 0;
+
+            case objectives.REACH_TILE:
+                return data.position &&
+                    data.position.x === objective.x &&
+                    data.position.y === objective.y &&
+                    this.isInZone(objective.zone) ? 1 : 0;
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Check if the player is in a zone
+     *
+     * @param {string} [zoneId] - Zone ID (any zone matches when omitted)
+     * @returns {boolean} Whether the current zone matches
+     */
+    isInZone(zoneId) {
+        return !zoneId || this.scene.currentZoneId === zoneId;
+    }
+
+    /**
+     * Add progress to an objective
+     *
+     * @param {string} questId - Quest ID
+     * @param {Object} objective - Objective definition
+     * @param {number} amount - Progress to add
+     */
+    advanceObjective(questId, objective, amount) {
+        const quest = this.quests[questId];
+        const required = this.getRequired(objective);
+
+        quest.progress[objective.id] = Math.min(required, quest.progress[objective.id] + amount);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.QUEST_UPDATE, {
+            questId: questId,
+            objective: objective,
+            progress: quest.progress[objective.id],
+            required: required
+        });
+    }
+
+    /**
+     * Complete a quest if all of its objectives are done
+     *
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Whether the quest was completed
+     */
+    checkCompletion(questId) {
+        if (!this.isActive(questId)) {
+            return false;
+        }
+
+        const definition = this.getDefinition(questId);
+        const done = definition.objectives.every(
+            objective => this.isObjectiveComplete(questId, objective));
+
+        if (done) {
+            this.completeQuest(questId);
+        }
+
+        return done;
+    }
+
+    /**
+     * Complete a quest and give its rewards
+     *
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Whether the quest was completed
+     */
+    completeQuest(questId) {
+        if (!this.isActive(questId)) {
+            return false;
+        }
+
+        const definition = this.getDefinition(questId);
+        this.quests[questId].status = CONSTANTS.QUEST_STATUS.COMPLETED;
+
+        console.log(`Quest completed: ${definition.title || questId}`);
+
+        this.giveRewards(definition.rewards);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.QUEST_COMPLETE, {
+            questId: questId,
+            quest: definition
+        });
+
+        return true;
+    }
+
+    /**
+     * Give quest rewards to the player
+     *
+     * @param {Object} [rewards] - Rewards ({items: [{itemId, quantity}], flags: {name: value}})
+     */
+    giveRewards(rewards) {
+        if (!rewards) {
+            return;
+        }
+
+        // Items
+        (rewards.items || []).forEach(reward => {
+            const item = this.scene.createItem(reward.itemId, reward.quantity || 1);
+            if (!item || !this.scene.player) {
+                return;
+            }
+
+            if (!this.scene.player.addToInventory(item, CONSTANTS.ITEM_SOURCES.REWARD)) {
+                console.warn(`QuestManager.giveRewards: ${item.displayName} ` +
+                    'did not fit into the inventory');
+            }
+        });
+
+        // Flags
+        for (const key in rewards.flags || {}) {
+            this.scene.flags.set(key, rewards.flags[key]);
+        }
+    }
+
+    /**
+     * Generate a serializable representation of all quest progress
+     *
+     * @returns {Object} Quest state keyed by quest ID
+     */
+    serialize() {
+        return Helpers.deepClone(this.quests);
+    }
+
+    /**
+     * Replace all quest progress with serialized data
+     *
+     * @param {Object} quests - Quest state keyed by quest ID (see serialize)
+     */
+    restore(quests) {
+        this.quests = {};
+
+        for (const questId in quests || {}) {
+            if (!this.getDefinition(questId)) {
+                console.warn(`QuestManager.restore: Skipping unknown quest ${questId}`);
+                continue;
+            }
+
+            this.quests[questId] = Helpers.deepClone(quests[questId]);
+        }
+
+        // Quests added to the data since the save was made
+        this.startAutoQuests();
+    }
+
+    /**
+     * Stop listening for events
+     */
+    destroy() {
+        this.listeners.forEach(listener => {
+            this.scene.events.off(listener.eventType, listener.callback, this);
+        });
+
+        this.listeners = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,341 @@
+/**
+ * Stats Tracker
+ * Records how the player plays and unlocks achievements when stats reach their thresholds
+ * Stats and achievements are kept in localStorage, independent of save slots; changed stats are
+ * written in batches rather than on every step
+ */
+class StatsTracker {
+    /**
+     * Create a new stats tracker
+     *
+     * @param {Object} scene - The game scene whose events are counted
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.storageKey = CONFIG.game.stats.storageKey;
+
+        // Stat values keyed by stat name (see CONSTANTS.STATS)
+        this.stats = this.createEmptyStats();
+
+        // Keys already counted by unique stats, keyed by stat name
+        this.seen = {};
+
+        // Unlock times of achievements keyed by achievement ID
+        this.unlocked = {};
+
+        // Whether stats changed since they were last stored, and for how long
+        this.dirty = false;
+        this.dirtyTime = 0;
+
+        // Stores changed stats when the page is closed
+        this.handlePageHide = () => this.flush();
+
+        // Event listeners, kept so they can be removed again
+        this.listeners = [];
+    }
+
+    /**
+     * Create a stats object with every stat at zero
+     *
+     * @returns {Object} Empty stats
+     */
+    createEmptyStats() {
+        const stats = {};
+        Object.values(CONSTANTS.STATS).forEach(stat => {
+            stats[stat] = 0;
+        });
+        return stats;
+    }
+
+    /**
+     * Load stored stats and start counting events
+     */
+    init() {
+        const events = CONSTANTS.EVENTS;
+        const stats = CONSTANTS.STATS;
+
+        this.load();
+
+        this.listen(events.PLAYER_MOVE, () => this.increment(stats.STEPS));
+
+        // Only items picked up from the ground, not rewards, gifts or container contents
+        this.listen(events.ITEM_PICKUP, data => {
+            if (data.source === CONSTANTS.ITEM_SOURCES.PICKUP) {
+                this.increment(stats.ITEMS_PICKED_UP, data.item ? data.item.quantity : 1);
+            }
+        });
+
+        this.listen(events.PLAYER_INTERACT, data => {
+            if (data.target && data.target.type === CONSTANTS.ENTITY_TYPES.NPC) {
+                const key = `${this.scene.currentZoneId}:${data.target.id}`;
+                this.recordUnique(stats.NPCS_TALKED_TO, key);
+            }
+        });
+
+        this.listen(events.DIALOG_START, () => this.increment(stats.DIALOG_PAGES));
+
+        // Only the notification sent after a zone has loaded (requests carry targetZone)
+        this.listen(events.ZONE_CHANGE, data => {
+            if (!data.targetZone) {
+                this.visitZone(data.zoneId);
+                this.flush();
+            }
+        });
+
+        // Store changed stats along with the game, and before the page goes away
+        this.listen(events.GAME_SAVED, () => this.flush());
+        this.listen(events.GAME_LOADED, () => this.flush());
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        // Achievements added to the data since the stats were stored
+        this.checkAchievements();
+    }
+
+    /**
+     * Subscribe to a scene event and remember the listener
+     *
+     * @param {string} eventType - Event type
+     * @param {Function} callback - Event handler
+     */
+    listen(eventType, callback) {
+        this.scene.events.on(eventType, callback, this);
+        this.listeners.push({ eventType, callback });
+    }
+
+    /**
+     * Get the value of a stat
+     *
+     * @param {string} stat - Stat name
+     * @returns {number} Stat value
+     */
+    getStat(stat) {
+        return this.stats[stat] || 0;
+    }
+
+    /**
+     * Get a copy of all stats
+     *
+     * @returns {Object} Stat values keyed by stat name
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Add to a stat
+     * The change is stored by the next flush; unlocking an achievement stores it straight away
+     *
+     * @param {string} stat - Stat name
+     * @param {number} [amount=1] - Amount to add
+     */
+    increment(stat, amount = 1) {
+        this.stats[stat] = this.getStat(stat) + amount;
+        this.dirty = true;
+
+        this.checkAchievements(stat);
+    }
+
+    /**
+     * Store changed stats once they have waited CONFIG.game.stats.saveInterval
+     *
+     * @param {number} delta - Time since last update
+     */
+    update(delta) {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.dirtyTime += delta;
+        if (this.dirtyTime >= CONFIG.game.stats.saveInterval) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Store the stats if they changed since they were last stored
+     *
+     * @returns {boolean} Whether the stats were stored
+     */
+    flush() {
+        return this.dirty ? this.save() : false;
+    }
+
+    /**
+     * Count something once per unique key
+     *
+     * @param {string} stat - Stat name
+     * @param {string} key - Unique key of the thing counted
+     * @returns {boolean} Whether the key was new
+     */
+    recordUnique(stat, key) {
+        if (!this.seen[stat]) {
+            this.seen[stat] = [];
+        }
+
+        if (this.seen[stat].includes(key)) {
+            return false;
+        }
+
+        this.seen[stat].push(key);
+        this.increment(stat);
+        return true;
+    }
+
+    /**
+     * Record a visit to a zone
+     *
+     * @param {string} zoneId - Zone ID
+     */
+    visitZone(zoneId) {
+        if (zoneId) {
+            this.recordUnique(CONSTANTS.STATS.ZONES_VISITED, zoneId);
+        }
+    }
+
+    /**
+     * Get all achievement definitions
+     *
+     * @returns {Object} Achievement definitions keyed by ID
+     */
+    getAchievements() {
+        return this.scene.dataManager ? this.scene.dataManager.achievements : {};
+    }
+
+    /**
+     * Check if an achievement is unlocked
+     *
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean} Whether the achievement is unlocked
+     */
+    isUnlocked(achievementId) {
+        return this.unlocked.hasOwnProperty(achievementId);
+    }
+
+    /**
+     * Get the IDs of all unlocked achievements
+     *
+     * @returns {Array<string>} Unlocked achievement IDs
+     */
+    getUnlocked() {
+        return Object.keys(this.unlocked);
+    }
+
+    /**
+     * Unlock every achievement whose threshold has been reached
+     *
+     * @param {string} [stat] - Only check achievements for this stat
+     */
+    checkAchievements(stat) {
+        Object.values(this.getAchievements()).forEach(achievement => {
+            if (stat && achievement.stat !== stat) {
+                return;
+            }
+
+            if (!this.isUnlocked(achievement.id) &&
+                this.getStat(achievement.stat) >= achievement.threshold) {
+                this.unlock(achievement.id);
+            }
+        });
+    }
+
+    /**
+     * Unlock an achievement
+     *
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean} Whether the achievement was newly unlocked
+     */
+    unlock(achievementId) {
+        const achievement = this.getAchievements()[achievementId];
+        if (!achievement || this.isUnlocked(achievementId)) {
+            return false;
+        }
+
+        this.unlocked[achievementId] = Date.now();
+        this.save();
+
+        console.log(`Achievement unlocked: ${achievement.title || achievementId}`);
+
+        this.scene.events.emit(CONSTANTS.EVENTS.ACHIEVEMENT_UNLOCKED, {
+            achievementId: achievementId,
+            achievement: achievement
+        });
+
+        return true;
+    }
+
+    /**
+     * Read stats and achievements from localStorage
+     *
+     * @returns {boolean} Whether stored data was loaded
+     */
+    load() {
+        try {
+            const json = window.localStorage.getItem(this.storageKey);
+            if (!json) {
+                return false;
+            }
+
+            const data = JSON.parse(json);
+            this.stats = { ...this.createEmptyStats(), ...(data.stats || {}) };
+            this.seen = data.seen || {};
+            this.unlocked = data.unlocked || {};
+            return true;
+        } catch (error) {
+            console.error('StatsTracker.load: Error reading stats:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Write stats and achievements to localStorage
+     *
+     * @returns {boolean} Whether the data was stored
+     */
+    save() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify({
+                stats: this.stats,
+                seen: this.seen,
+                unlocked: this.unlocked
+            }));
+
+            this.dirty = false;
+            this.dirtyTime = 0;
+            return true;
+        } catch (error) {
+            console.error('StatsTracker.save: Error writing stats:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear all stats and achievements, including the stored copy
+     */
+    reset() {
+        this.stats = this.createEmptyStats();
+        this.seen = {};
+        this.unlocked = {};
+        this.dirty = false;
+        this.dirtyTime = 0;
+
+        try {
+            window.localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('StatsTracker.reset: Error clearing stats:', error);
+        }
+    }
+
+    /**
+     * Store any changed stats and stop listening for events
+     */
+    destroy() {
+        this.flush();
+        window.removeEventListener('pagehide', this.handlePageHide);
+
+        this.listeners.forEach(listener => {
+            this.scene.events.off(listener.eventType, listener.callback, this);
+        });
+
+        this.listeners = [];
+    }
+}
\ No newline at end of file
@@ -143,9 +143,10 @@ class Camera {
     followEntity(delta) {
         if (!this.following) return;
 
-        // Convert entity position to world coordinates
-        const targetX = this.following.position.x * CONSTANTS.TILE_SIZE;
-        const targetY = this.following.position.y * CONSTANTS.TILE_SIZE;
+        // Convert the entity's drawn position to world coordinates, so the camera glides with it
+        const position = this.following.visualPosition || this.following.position;
+        const targetX = position.x * CONSTANTS.TILE_SIZE;
+        const targetY = position.y * CONSTANTS.TILE_SIZE;
 
         // Calculate center of camera
         const cameraX = this.x + this.width / 2;
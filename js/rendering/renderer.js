@@ -175,9 +175,56 @@ class Renderer {
                     screenX + CONSTANTS.TILE_SIZE * 3 / 4, screenY + CONSTANTS.TILE_SIZE * 3 / 4
                 );
                 break;
+
+            case CONSTANTS.TILE_TYPES.ICE:
+                // Draw a glint across the ice
+                this.graphics.lineStyle(2, 0xFFFFFF, 0.6);
+                this.graphics.lineBetween(
+                    screenX + CONSTANTS.TILE_SIZE / 4, screenY + CONSTANTS.TILE_SIZE * 3 / 4,
+                    screenX + CONSTANTS.TILE_SIZE * 3 / 4, screenY + CONSTANTS.TILE_SIZE / 4
+                );
+                break;
+
+            case CONSTANTS.TILE_TYPES.CONVEYOR:
+                this.drawConveyorArrow(screenX, screenY,
+                    tile.getProperty('direction', CONSTANTS.DIRECTIONS.SOUTH));
+                break;
         }
     }
 
+    /**
+     * Draw the arrow showing which way a conveyor pushes
+     *
+     * @param {number} screenX - Tile left position
+     * @param {number} screenY - Tile top position
+     * @param {string} direction - Conveyor direction
+     */
+    drawConveyorArrow(screenX, screenY, direction) {
+        const size = CONSTANTS.TILE_SIZE;
+        const centerX = screenX + size / 2;
+        const centerY = screenY + size / 2;
+
+        // Arrow tip and back corners for an arrow pointing south, turned to the direction
+        const angles = {
+            [CONSTANTS.DIRECTIONS.SOUTH]: 0,
+            [CONSTANTS.DIRECTIONS.WEST]: Math.PI / 2,
+            [CONSTANTS.DIRECTIONS.NORTH]: Math.PI,
+            [CONSTANTS.DIRECTIONS.EAST]: -Math.PI / 2
+        };
+        const angle = angles[direction] || 0;
+        const rotate = (x, y) => ({
+            x: centerX + x * Math.cos(angle) - y * Math.sin(angle),
+            y: centerY + x * Math.sin(angle) + y * Math.cos(angle)
+        });
+
+        const tip = rotate(0, size / 4);
+        const left = rotate(-size / 4, -size / 4);
+        const right = rotate(size / 4, -size / 4);
+
+        this.graphics.fillStyle(0xFFD700, 0.7);
+        this.graphics.fillTriangle(tip.x, tip.y, left.x, left.y, right.x, right.y);
+    }
+
     /**
      * Render entities
      *
@@ -185,16 +232,17 @@ class Renderer {
      * @param {Object} visibleArea - Visible area bounds
      */
     renderEntities(entities, visibleArea) {
-        // Sort entities by Y position for proper layering
-        const sortedEntities = [...entities].sort((a, b) => a.position.y - b.position.y);
+        // Sort entities by where they are drawn for proper layering
+        const sortedEntities = [...entities]
+            .sort((a, b) => a.visualPosition.y - b.visualPosition.y);
 
         // Render each entity
         for (const entity of sortedEntities) {
             // Skip entities outside visible area
-            if (entity.position.x < visibleArea.startX ||
-                entity.position.x > visibleArea.endX ||
-                entity.position.y < visibleArea.startY ||
-                entity.position.y > visibleArea.endY) {
+            if (entity.visualPosition.x < visibleArea.startX - 1 ||
+                entity.visualPosition.x > visibleArea.endX ||
+                entity.visualPosition.y < visibleArea.startY - 1 ||
+                entity.visualPosition.y > visibleArea.endY) {
                 continue;
             }
 
@@ -202,15 +250,36 @@ class Renderer {
         }
     }
 
+    /**
+     * Get where an entity is drawn: its gliding visual position, lifted by a bob
+     * that peaks halfway through each step
+     *
+     * @param {Object} entity - The entity
+     * @returns {Object} Screen position {x, y} of the top left of the entity's tile
+     */
+    getEntityDrawPosition(entity) {
+        const progress = entity.getMotionProgress();
+        const bobHeight = CONFIG.game.animation.bobHeight;
+        const bob = progress !== null ? Math.sin(progress * Math.PI) * bobHeight : 0;
+
+        return {
+            x: entity.visualPosition.x * CONSTANTS.TILE_SIZE,
+            y: entity.visualPosition.y * CONSTANTS.TILE_SIZE - bob
+        };
+    }
+
     /**
      * Render a single entity
+     * Entities are drawn at their visual position, which glides between tiles while
+     * collision and interaction go by the grid position
      *
      * @param {Object} entity - The entity to render
      */
     renderEntity(entity) {
-        // Calculate screen position (center of tile)
-        const screenX = entity.position.x * CONSTANTS.TILE_SIZE;
-        const screenY = entity.position.y * CONSTANTS.TILE_SIZE;
+        // Calculate screen position (the tile the entity is gliding over, with its bob)
+        const drawPosition = this.getEntityDrawPosition(entity);
+        const screenX = drawPosition.x;
+        const screenY = drawPosition.y;
 
         // Calculate entity size (relative to tile size)
         const size = entity.size * CONSTANTS.TILE_SIZE;
@@ -330,8 +399,10 @@ class Renderer {
                 break;
 
             case CONSTANTS.ENTITY_TYPES.NPC:
-                // Draw interactable indicator if NPC can be interacted with
-                if (entity.interactable) {
+                // Watchers that just spotted the player show an alert marker instead
+                if (entity.isAlerted && entity.isAlerted()) {
+                    this.drawAlertMarker(screenX, screenY);
+                } else if (entity.interactable) {
                     this.drawInteractableIndicator(screenX, screenY);
                 }
                 break;
@@ -345,6 +416,37 @@ class Renderer {
                     this.drawInteractableIndicator(screenX, screenY);
                 }
                 break;
+
+            case CONSTANTS.ENTITY_TYPES.CONTAINER:
+                this.drawContainerLid(entity, screenX, screenY);
+
+                // Emptied containers no longer invite interaction
+                if (entity.interactable && !entity.isEmpty()) {
+                    this.drawInteractableIndicator(screenX, screenY);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Draw the lid seam of a container, with a lock while it is locked
+     *
+     * @param {Container} entity - The container
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     */
+    drawContainerLid(entity, screenX, screenY) {
+        const size = entity.size * CONSTANTS.TILE_SIZE;
+        const offset = (CONSTANTS.TILE_SIZE - size) / 2;
+        const centerX = screenX + CONSTANTS.TILE_SIZE / 2;
+        const seamY = screenY + offset + size * 0.4;
+
+        this.graphics.lineStyle(2, 0x000000, 0.6);
+        this.graphics.lineBetween(screenX + offset, seamY, screenX + offset + size, seamY);
+
+        if (entity.isLocked()) {
+            this.graphics.fillStyle(0xFFD700, 1);
+            this.graphics.fillRect(centerX - 3, seamY - 2, 6, 7);
         }
     }
 
@@ -364,6 +466,25 @@ class Renderer {
         );
     }
 
+    /**
+     * Draw an alert marker (an exclamation mark) above an entity
+     *
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     */
+    drawAlertMarker(screenX, screenY) {
+        const centerX = screenX + CONSTANTS.TILE_SIZE / 2;
+
+        // Bubble
+        this.graphics.fillStyle(0xFFFFFF, 1);
+        this.graphics.fillRoundedRect(centerX - 7, screenY - 24, 14, 22, 4);
+
+        // Exclamation mark
+        this.graphics.fillStyle(0xCC0000, 1);
+        this.graphics.fillRect(centerX - 2, screenY - 21, 4, 10);
+        this.graphics.fillRect(centerX - 2, screenY - 8, 4, 4);
+    }
+
     /**
      * Draw a sparkle effect for items
      *
@@ -455,16 +576,17 @@ class Renderer {
     renderEntityInfo(entities, visibleArea) {
         for (const entity of entities) {
             // Skip entities outside visible area
-            if (entity.position.x < visibleArea.startX ||
-                entity.position.x > visibleArea.endX ||
-                entity.position.y < visibleArea.startY ||
-                entity.position.y > visibleArea.endY) {
+            if (entity.visualPosition.x < visibleArea.startX - 1 ||
+                entity.visualPosition.x > visibleArea.endX ||
+                entity.visualPosition.y < visibleArea.startY - 1 ||
+                entity.visualPosition.y > visibleArea.endY) {
                 continue;
             }
 
-            // Calculate screen position
-            const screenX = entity.position.x * CONSTANTS.TILE_SIZE;
-            const screenY = entity.position.y * CONSTANTS.TILE_SIZE;
+            // Calculate screen position (following the entity as it glides)
+            const drawPosition = this.getEntityDrawPosition(entity);
+            const screenX = drawPosition.x;
+            const screenY = drawPosition.y;
 
             // Draw entity info text
             const textX = screenX + CONSTANTS.TILE_SIZE / 2;
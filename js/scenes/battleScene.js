@@ -0,0 +1,487 @@
+/**
+ * Battle Scene
+ * Turn-based battle between the player's creature and an opponent, launched over the game scene
+ */
+class BattleScene extends Phaser.Scene {
+    /**
+     * Create the battle scene
+     */
+    constructor() {
+        super({
+            key: CONSTANTS.SCENES.BATTLE
+        });
+
+        // Battle participants
+        this.gameScene = null;
+        this.playerCreature = null;
+        this.enemyCreature = null;
+
+        // Systems
+        this.inputManager = null;
+        this.touchControls = null;
+        this.resolver = null;
+        this.shapeFactory = null;
+
+        // Display objects
+        this.creatureGraphics = null;
+        this.infoGraphics = null;
+        this.playerInfoText = null;
+        this.enemyInfoText = null;
+        this.messageText = null;
+        this.messagePrompt = null;
+        this.actionMenu = null;
+
+        // Battle state
+        this.phase = 'choose';
+        this.messages = [];
+        this.displayedHp = { player: 0, enemy: 0 };
+        this.outcome = null;
+    }
+
+    /**
+     * Initialize scene data
+     *
+     * @param {Object} data - Battle data
+     * @param {Object} data.gameScene - The game scene that launched the battle
+     * @param {Creature} data.playerCreature - The player's creature
+     * @param {Creature} data.enemyCreature - The opposing creature
+     */
+    init(data) {
+        this.gameScene = data.gameScene || this.scene.get(CONSTANTS.SCENES.GAME);
+        this.playerCreature = data.playerCreature;
+        this.enemyCreature = data.enemyCreature;
+
+        this.resolver = new BattleResolver(this.gameScene);
+        this.shapeFactory = new ShapeFactory(this);
+
+        // Reset state left over from an earlier battle
+        this.phase = 'choose';
+        this.messages = [];
+        this.outcome = null;
+        this.displayedHp = {
+            player: this.playerCreature.hp,
+            enemy: this.enemyCreature.hp
+        };
+    }
+
+    /**
+     * Create the battle display
+     */
+    create() {
+        this.inputManager = new InputManager(this);
+
+        // The scene is started afresh for every battle, so clean up after this one
+        this.events.once('shutdown', this.shutdown, this);
+
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+
+        // Background
+        const background = this.add.graphics();
+        background.fillStyle(0x20303a, 1);
+        background.fillRect(0, 0, width, height);
+
+        // Ground under each creature
+        background.fillStyle(0x3c5a3c, 1);
+        background.fillEllipse(width - 220, 200, 220, 50);
+        background.fillEllipse(220, 350, 260, 60);
+
+        // Creatures and info panels
+        this.creatureGraphics = this.add.graphics();
+        this.infoGraphics = this.add.graphics();
+
+        this.enemyInfoText = this.add.text(50, 48, '', {
+            font: 'bold 16px Arial',
+            fill: '#ffffff'
+        });
+
+        this.playerInfoText = this.add.text(width - 330, 288, '', {
+            font: 'bold 16px Arial',
+            fill: '#ffffff'
+        });
+
+        // Message box
+        background.fillStyle(0x000000, 0.85);
+        background.fillRect(10, height - 180, width - 300, 170);
+        background.lineStyle(2, 0xffffff, 0.8);
+        background.strokeRect(10, height - 180, width - 300, 170);
+
+        this.messageText = this.add.text(30, height - 160, '', {
+            font: '18px Arial',
+            fill: '#ffffff',
+            wordWrap: { width: width - 340 }
+        });
+
+        this.messagePrompt = this.add.text(width - 310, height - 20, '►', {
+            font: 'bold 20px Arial',
+            fill: '#ffffff'
+        }).setOrigin(1, 1);
+
+        // Action menu with the player's moves and Run
+        this.actionMenu = new ListMenu(this, {
+            x: width - 280,
+            y: height - 180,
+            width: 270,
+            height: 170,
+            title: 'Actions',
+            detailHeight: 36
+        });
+        const input = this.inputManager;
+        this.actionMenu.setFooter(`${input.getKeyLabel(CONSTANTS.ACTIONS.MOVE_UP)}/` +
+            `${input.getKeyLabel(CONSTANTS.ACTIONS.MOVE_DOWN)}  ` +
+            `${input.getKeyLabel(CONSTANTS.ACTIONS.INTERACT)}`);
+        this.actionMenu.setItems(this.getActions().map(action => ({
+            label: action.label,
+            detail: action.detail
+        })));
+
+        this.drawCreatures();
+        this.refreshInfo();
+
+        // Touch controls go last so they draw over the battle
+        this.createTouchControls();
+
+        // Opening message, then the first turn
+        this.showMessages([{ text: `A wild ${this.enemyCreature.getName()} appeared!` }]);
+    }
+
+    /**
+     * Create the on-screen touch controls, feeding the battle's own input manager
+     * They start out shown when the UI scene's controls are, so the battle can be played by touch
+     */
+    createTouchControls() {
+        this.touchControls = new TouchControls(this, this.inputManager);
+
+        const uiScene = this.scene.get(CONSTANTS.SCENES.UI);
+        if (uiScene && uiScene.touchControls && uiScene.touchControls.isVisible()) {
+            this.touchControls.show();
+        }
+
+        this.input.on('pointerdown', this.handlePointerDown, this);
+        this.input.on('pointermove', this.handlePointerMove, this);
+        this.input.on('pointerup', this.handlePointerUp, this);
+        this.input.on('pointerupoutside', this.handlePointerUp, this);
+    }
+
+    /**
+     * Handle a pointer going down on the touch controls
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went down
+     */
+    handlePointerDown(pointer) {
+        // A touch on a device that wasn't detected as one brings the controls up
+        if (pointer.wasTouch && !this.touchControls.isVisible() &&
+            CONFIG.game.input.touch.showControls === 'auto') {
+            this.touchControls.show();
+        }
+
+        this.touchControls.handlePointerDown(pointer);
+    }
+
+    /**
+     * Handle a pointer moving, for fingers sliding over the touch controls
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that moved
+     */
+    handlePointerMove(pointer) {
+        this.touchControls.handlePointerMove(pointer);
+    }
+
+    /**
+     * Handle a pointer going up
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went up
+     */
+    handlePointerUp(pointer) {
+        this.touchControls.handlePointerUp(pointer);
+    }
+
+    /**
+     * Get the actions the player can choose from
+     *
+     * @returns {Array<Object>} Actions ({label, detail, action})
+     */
+    getActions() {
+        const actions = this.playerCreature.moves
+            .map(moveId => this.resolver.getMove(moveId))
+            .filter(move => move)
+            .map(move => ({
+                label: move.displayName || move.id,
+                detail: `${move.type}  Power ${move.power}  ` +
+                    `Accuracy ${move.accuracy !== undefined ? move.accuracy : 100}`,
+                action: { type: 'move', moveId: move.id }
+            }));
+
+        actions.push({
+            label: 'Run',
+            detail: 'Try to get away.',
+            action: { type: 'run' }
+        });
+
+        return actions;
+    }
+
+    /**
+     * Draw both creatures
+     */
+    drawCreatures() {
+        this.creatureGraphics.clear();
+
+        this.drawCreature(this.enemyCreature, this.cameras.main.width - 220, 160, 50);
+        this.drawCreature(this.playerCreature, 220, 300, 60);
+    }
+
+    /**
+     * Draw a creature as its shape
+     *
+     * @param {Creature} creature - Creature to draw
+     * @param {number} x - Center X position
+     * @param {number} y - Center Y position
+     * @param {number} size - Half the creature's size in pixels
+     */
+    drawCreature(creature, x, y, size) {
+        // Fainted creatures fade out
+        const alpha = creature.isFainted() ? 0.25 : 1;
+        const graphics = this.creatureGraphics;
+
+        switch (creature.shape) {
+            case CONSTANTS.SHAPES.RECTANGLE:
+                this.shapeFactory.drawRectangle(graphics, x - size, y - size, size * 2, size * 2,
+                    creature.color, alpha, true, 0x000000, 2);
+                break;
+
+            case CONSTANTS.SHAPES.TRIANGLE:
+                this.shapeFactory.drawTriangle(graphics, x, y - size, x + size, y + size,
+                    x - size, y + size, creature.color, alpha, true, 0x000000, 2);
+                break;
+
+            default:
+                this.shapeFactory.drawCircle(graphics, x, y, size,
+                    creature.color, alpha, true, 0x000000, 2);
+                break;
+        }
+    }
+
+    /**
+     * Redraw the info panels with names, levels and HP bars
+     */
+    refreshInfo() {
+        const width = this.cameras.main.width;
+
+        this.infoGraphics.clear();
+        this.drawInfoPanel(this.enemyCreature, this.displayedHp.enemy, 40, 40);
+        this.drawInfoPanel(this.playerCreature, this.displayedHp.player, width - 340, 280);
+
+        this.enemyInfoText.setText(
+            `${this.enemyCreature.getName()}  Lv${this.enemyCreature.level}`);
+        this.playerInfoText.setText(
+            `${this.playerCreature.getName()}  Lv${this.playerCreature.level}` +
+            `\nHP ${this.displayedHp.player}/${this.playerCreature.maxHp}`
+        );
+    }
+
+    /**
+     * Draw an info panel with an HP bar
+     *
+     * @param {Creature} creature - Creature shown in the panel
+     * @param {number} hp - HP to show
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     */
+    drawInfoPanel(creature, hp, x, y) {
+        const graphics = this.infoGraphics;
+        const barWidth = 200;
+        const ratio = creature.maxHp > 0 ? hp / creature.maxHp : 0;
+
+        // Panel
+        graphics.fillStyle(0x000000, 0.7);
+        graphics.fillRect(x, y, 300, 80);
+        graphics.lineStyle(2, 0xffffff, 0.8);
+        graphics.strokeRect(x, y, 300, 80);
+
+        // HP bar, green to yellow to red as it drops
+        let color = 0x44cc44;
+        if (ratio <= 0.2) {
+            color = 0xcc3333;
+        } else if (ratio <= 0.5) {
+            color = 0xddcc33;
+        }
+
+        graphics.fillStyle(0x333333, 1);
+        graphics.fillRect(x + 90, y + 58, barWidth, 10);
+        graphics.fillStyle(color, 1);
+        graphics.fillRect(x + 90, y + 58, Math.round(barWidth * ratio), 10);
+    }
+
+    /**
+     * Show a sequence of messages, one per key press
+     *
+     * @param {Array<Object>} messages - Messages ({text, hp}) where hp updates the displayed HP
+     */
+    showMessages(messages) {
+        this.messages = messages;
+        this.phase = 'messages';
+        this.actionMenu.hide();
+        this.showNextMessage();
+    }
+
+    /**
+     * Show the next queued message, or move on when there are none left
+     */
+    showNextMessage() {
+        const message = this.messages.shift();
+
+        if (!message) {
+            if (this.outcome) {
+                this.finish();
+            } else {
+                this.startChoosing();
+            }
+            return;
+        }
+
+        // Update the HP bars in step with the messages
+        if (message.hp) {
+            this.displayedHp = { ...this.displayedHp, ...message.hp };
+            this.refreshInfo();
+            this.drawCreatures();
+        }
+
+        this.messageText.setText(message.text);
+        this.messagePrompt.setVisible(true);
+    }
+
+    /**
+     * Let the player pick an action
+     */
+    startChoosing() {
+        this.phase = 'choose';
+        this.messageText.setText(`What will ${this.playerCreature.getName()} do?`);
+        this.messagePrompt.setVisible(false);
+        this.actionMenu.show();
+    }
+
+    /**
+     * Resolve a turn with the chosen action
+     *
+     * @param {Object} action - Player action ({type: 'move', moveId} or {type: 'run'})
+     */
+    takeTurn(action) {
+        const events = this.resolver.resolveTurn(this.playerCreature, action, this.enemyCreature);
+        const messages = [];
+
+        events.forEach(event => {
+            messages.push(...this.describeEvent(event));
+        });
+
+        // Work out how the battle ended, if it did
+        if (events.some(event => event.type === 'run' && event.success)) {
+            this.outcome = CONSTANTS.BATTLE_OUTCOMES.FLEE;
+        } else if (this.enemyCreature.isFainted()) {
+            this.outcome = CONSTANTS.BATTLE_OUTCOMES.WIN;
+            messages.push({ text: 'You won the battle!' });
+        } else if (this.playerCreature.isFainted()) {
+            this.outcome = CONSTANTS.BATTLE_OUTCOMES.LOSE;
+            messages.push({ text: 'You lost the battle...' });
+        }
+
+        this.showMessages(messages);
+    }
+
+    /**
+     * Turn a turn event into battle messages
+     *
+     * @param {Object} event - Turn event from the battle resolver
+     * @returns {Array<Object>} Messages ({text, hp})
+     */
+    describeEvent(event) {
+        if (event.type === 'run') {
+            return [{ text: event.success ? 'Got away safely!' : "Couldn't get away!" }];
+        }
+
+        const prefix = event.side === 'enemy' ? 'The wild ' : '';
+        const target = event.side === 'enemy' ? 'player' : 'enemy';
+        const moveName = event.move.displayName || event.move.id;
+        const messages = [{ text: `${prefix}${event.attacker.getName()} used ${moveName}!` }];
+
+        if (!event.hit) {
+            messages.push({ text: 'But it missed!' });
+            return messages;
+        }
+
+        // The HP bar drops with the effectiveness message (or right away on neutral hits)
+        const hp = { [target]: event.defender.hp };
+        const effectiveness = TypeChart.getMessage(event.multiplier);
+        if (effectiveness) {
+            messages.push({ text: effectiveness, hp: hp });
+        } else {
+            messages[0].hp = hp;
+        }
+
+        if (event.fainted) {
+            const defenderPrefix = target === 'enemy' ? 'The wild ' : '';
+            messages.push({ text: `${defenderPrefix}${event.defender.getName()} fainted!` });
+        }
+
+        return messages;
+    }
+
+    /**
+     * End the battle and return to the overworld
+     */
+    finish() {
+        this.phase = 'done';
+
+        this.gameScene.endBattle({
+            outcome: this.outcome,
+            playerCreature: this.playerCreature,
+            enemyCreature: this.enemyCreature
+        });
+    }
+
+    /**
+     * Clean up when the battle scene stops, so its keys and input don't outlive the battle
+     */
+    shutdown() {
+        if (this.touchControls) {
+            this.touchControls.destroy();
+            this.touchControls = null;
+        }
+
+        if (this.inputManager) {
+            this.inputManager.destroy();
+            this.inputManager = null;
+        }
+    }
+
+    /**
+     * Update the battle
+     *
+     * @param {number} time - Current time
+     * @param {number} delta - Time since last update
+     */
+    update(time, delta) {
+        this.inputManager.update();
+
+        switch (this.phase) {
+            case 'choose':
+                if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+                    this.actionMenu.moveCursor(-1);
+                } else if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+                    this.actionMenu.moveCursor(1);
+                } else if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
+                    const choice = this.getActions()[this.actionMenu.getSelectedIndex()];
+                    if (choice) {
+                        this.takeTurn(choice.action);
+                    }
+                }
+                break;
+
+            case 'messages':
+                if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
+                    this.showNextMessage();
+                }
+                break;
+        }
+    }
+}
\ No newline at end of file
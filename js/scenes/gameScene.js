@@ -25,9 +25,30 @@ class GameScene extends Phaser.Scene {
         this.renderer = null;
         this.inputManager = null;
         this.dialog = null;
+        this.dialogRunner = null;
+        this.saveManager = null;
+        this.worldState = null;
+        this.flags = null;
+        this.questManager = null;
+        this.statsTracker = null;
+        this.encounterManager = null;
+        this.pathfinder = null;
+
+        // Interaction definitions the player can use on entities
+        this.interactions = [];
 
         // State
         this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+        this.stateBeforeDialog = CONSTANTS.GAME_STATES.PLAYING;
+        this.inventoryOpen = false;
+        this.partyOpen = false;
+        this.shopMerchant = null;
+        this.openedContainer = null;
+        this.interactionMenu = null;
+        this.keybindingsOpen = false;
+
+        // Entity holding the player in place (e.g. a watcher NPC walking up)
+        this.playerLock = null;
 
         // Debug mode
         this.debugMode = CONFIG.game.debug.showEntityInfo || false;
@@ -53,6 +74,14 @@ class GameScene extends Phaser.Scene {
         this.renderer = new Renderer(this);
         this.inputManager = new InputManager(this);
         this.dialog = new Dialog(this);
+        this.dialogRunner = new DialogRunner(this);
+        this.saveManager = new SaveManager(this);
+        this.worldState = new WorldState(this);
+        this.flags = new FlagStore(this);
+        this.questManager = new QuestManager(this);
+        this.statsTracker = new StatsTracker(this);
+        this.encounterManager = new EncounterManager(this);
+        this.pathfinder = new Pathfinder(this);
 
         // Set initial zone
         this.currentZoneId = data.zoneId || CONFIG.game.world.defaultZone;
@@ -60,6 +89,9 @@ class GameScene extends Phaser.Scene {
         // Set up events for this scene
         this.events = this.eventSystem;
 
+        // Build the data-defined interactions
+        this.interactions = this.createInteractions();
+
         // Debug data loading
         if (this.dataManager) {
             console.log("Data manager zones:", Object.keys(this.dataManager.zones));
@@ -82,19 +114,10 @@ class GameScene extends Phaser.Scene {
     create() {
         console.log("GameScene create method called");
 
-        // Setup key capture to prevent browser default actions
-        this.input.keyboard.addCapture([
-            Phaser.Input.Keyboard.KeyCodes.W,
-            Phaser.Input.Keyboard.KeyCodes.A,
-            Phaser.Input.Keyboard.KeyCodes.S,
-            Phaser.Input.Keyboard.KeyCodes.D,
-            Phaser.Input.Keyboard.KeyCodes.E
-        ]);
-
-        console.log("Keyboard capture set up for WASD+E");
-
         // Set up event listeners
         this.setupEventListeners();
+        this.questManager.init();
+        this.statsTracker.init();
 
         // Load the initial zone
         if (!this.loadZone(this.currentZoneId)) {
@@ -103,6 +126,9 @@ class GameScene extends Phaser.Scene {
             this.createDefaultZone();
         }
 
+        // The starting zone counts as visited
+        this.statsTracker.visitZone(this.currentZoneId);
+
         // Create player
         this.createPlayer();
 
@@ -117,14 +143,10 @@ class GameScene extends Phaser.Scene {
             this.camera.setBounds(0, 0, 800, 600);
         }
 
-        // Add debug key to toggle debug mode
-        this.input.keyboard.on('keydown-B', () => {
-            this.debugMode = !this.debugMode;
-            console.log(`Debug mode ${this.debugMode ? 'enabled' : 'disabled'}`);
-        });
-
         // Log that scene is ready
-        console.log("GameScene ready - press WASD to move, E to interact");
+        const input = this.inputManager;
+        console.log(`GameScene ready - press ${input.getKeyLabel(CONSTANTS.ACTIONS.INTERACT)} ` +
+            `to interact, ${input.getKeyLabel(CONSTANTS.ACTIONS.KEYBINDINGS)} to change keys`);
     }
 
     /**
@@ -165,20 +187,33 @@ class GameScene extends Phaser.Scene {
         try {
             // Listen for dialog events
             this.events.on(CONSTANTS.EVENTS.DIALOG_START, data => {
-                // Pause game during dialog
+                // Pause game during dialog, remembering what to return to
+                if (this.gameState !== CONSTANTS.GAME_STATES.DIALOG) {
+                    this.stateBeforeDialog = this.gameState;
+                }
                 this.gameState = CONSTANTS.GAME_STATES.DIALOG;
                 console.log("Game state changed to DIALOG");
             });
 
             this.events.on(CONSTANTS.EVENTS.DIALOG_END, data => {
-                // Resume game after dialog
-                this.gameState = CONSTANTS.GAME_STATES.PLAYING;
-                console.log("Game state changed to PLAYING");
+                // Resume the state the dialog interrupted (e.g. an open inventory)
+                this.gameState = this.stateBeforeDialog;
+                this.stateBeforeDialog = CONSTANTS.GAME_STATES.PLAYING;
+                console.log(`Game state changed to ${this.gameState}`);
             });
 
-            // Zone change events
+            // Zone change requests (ignore the notification emitted by changeZone itself)
             this.events.on(CONSTANTS.EVENTS.ZONE_CHANGE, data => {
-                this.changeZone(data.targetZone, data.targetX, data.targetY);
+                if (data.targetZone) {
+                    this.changeZone(data.targetZone, data.targetX, data.targetY);
+                }
+            });
+
+            // The player faints when their health runs out
+            this.events.on(CONSTANTS.EVENTS.ENTITY_FAINT, data => {
+                if (data.entity === this.player) {
+                    this.faintPlayer();
+                }
             });
 
             // Player move events for debugging
@@ -192,8 +227,25 @@ class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Record the current zone in the world state and release it
+     */
+    unloadZone() {
+        if (!this.currentZone) {
+            return;
+        }
+
+        // Remember what changed so the zone comes back the same way
+        this.worldState.storeZone(this.currentZone);
+
+        // Stop entity timers and clean up their visuals
+        this.currentZone.destroy();
+        this.currentZone = null;
+    }
+
     /**
      * Load a zone
+     * Changes recorded in the world state for the zone are reapplied
      *
      * @param {string} zoneId - ID of the zone to load
      * @returns {boolean} Whether the zone was successfully loaded
@@ -211,11 +263,17 @@ class GameScene extends Phaser.Scene {
 
         console.log("Found zone data:", zoneData);
 
+        // Leave the current zone
+        this.unloadZone();
+
         // Create zone
         try {
             this.currentZone = new Zone(this, zoneData);
             this.currentZoneId = zoneId;
 
+            // Reapply changes made to the zone on earlier visits
+            this.currentZone.applyDelta(this.worldState.getZoneDelta(zoneId));
+
             // Get grid reference
             this.grid = this.currentZone.grid;
 
@@ -248,8 +306,14 @@ class GameScene extends Phaser.Scene {
      * Create the player character
      */
     createPlayer() {
+        // Use the player definition from entity data if there is one
+        const playerData = this.dataManager && this.dataManager.entities.player
+            ? Helpers.deepClone(this.dataManager.getEntity('player'))
+            : {};
+
         // Create player at default position
         this.player = new Player(this, {
+            ...playerData,
             x: 1,
             y: 1,
             direction: CONSTANTS.DIRECTIONS.SOUTH
@@ -270,6 +334,76 @@ class GameScene extends Phaser.Scene {
         this.player = player;
     }
 
+    /**
+     * Replace the player with one created from serialized data
+     *
+     * @param {Object} playerData - Serialized player data (see Player.serialize)
+     */
+    restorePlayer(playerData) {
+        // Remove current player from entities; after a zone load it is no longer in the list,
+        // so release it directly
+        if (this.player && !this.removeEntity(this.player)) {
+            this.player.destroy();
+        }
+
+        // Create new player from the data
+        this.player = new Player(this, playerData);
+
+        // Add to entities
+        this.entities.push(this.player);
+
+        // Update camera
+        this.camera.follow(this.player);
+    }
+
+    /**
+     * Save the game to the quick save slot
+     *
+     * @returns {boolean} Whether the game was saved
+     */
+    quickSave() {
+        // Don't save in the middle of a dialog, since the confirmation is a dialog too
+        if (this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        const saved = this.saveManager.save(CONFIG.game.save.quickSlot);
+
+        this.showDialog({
+            content: saved ? 'Game saved.' : 'Could not save the game.',
+            speaker: '',
+            waitForInput: false,
+            duration: 1000
+        });
+
+        return saved;
+    }
+
+    /**
+     * Load the game from the quick save slot
+     *
+     * @returns {boolean} Whether the game was loaded
+     */
+    quickLoad() {
+        // Don't reload in the middle of a dialog
+        if (this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        const loaded = this.saveManager.load(CONFIG.game.save.quickSlot);
+
+        if (!loaded) {
+            this.showDialog({
+                content: 'No saved game found.',
+                speaker: '',
+                waitForInput: false,
+                duration: 1000
+            });
+        }
+
+        return loaded;
+    }
+
     /**
      * Change to a different zone
      *
@@ -291,21 +425,11 @@ class GameScene extends Phaser.Scene {
 
         // Restore player at target position
         if (playerData) {
-            // Remove current player from entities
-            this.removeEntity(this.player);
-
-            // Create new player at target position
-            this.player = new Player(this, {
+            this.restorePlayer({
                 ...playerData,
                 x: targetX,
                 y: targetY
             });
-
-            // Add to entities
-            this.entities.push(this.player);
-
-            // Update camera
-            this.camera.follow(this.player);
         }
 
         // Emit zone change event
@@ -330,6 +454,48 @@ class GameScene extends Phaser.Scene {
         ) || null;
     }
 
+    /**
+     * Create the interactions from the loaded interaction definitions
+     *
+     * @returns {Array<Interaction>} Interactions
+     */
+    createInteractions() {
+        const definitions = this.dataManager ? this.dataManager.getAllInteractions() : {};
+        return Object.values(definitions).map(definition => new Interaction(this, definition));
+    }
+
+    /**
+     * Get the interactions that apply to an entity approached from a direction with an action
+     *
+     * @param {Entity} entity - Entity being interacted with
+     * @param {string} direction - Direction of interaction
+     *                             (the side of the entity being approached)
+     * @param {string} [action] - Action that was pressed (defaults to the interact action)
+     * @returns {Array<Interaction>} Matching interactions, in definition order
+     */
+    getInteractionsFor(entity, direction, action = CONSTANTS.ACTIONS.INTERACT) {
+        return this.interactions.filter(interaction =>
+            interaction.appliesTo(entity, direction, action));
+    }
+
+    /**
+     * Get the actions that trigger interactions
+     *
+     * @returns {Array<string>} Interact action followed by any other action the definitions
+     *                          are bound to
+     */
+    getInteractionActions() {
+        const actions = [CONSTANTS.ACTIONS.INTERACT];
+
+        this.interactions.forEach(interaction => {
+            if (!actions.includes(interaction.keyBinding)) {
+                actions.push(interaction.keyBinding);
+            }
+        });
+
+        return actions;
+    }
+
     /**
      * Get all entities at a specific position
      *
@@ -353,6 +519,28 @@ class GameScene extends Phaser.Scene {
         return this.entities.find(entity => entity.id === id) || null;
     }
 
+    /**
+     * Create an item from its entity definition
+     *
+     * @param {string} itemId - Item definition ID
+     * @param {number} [quantity=1] - Stack size
+     * @returns {Item|null} New item or null if there is no such item definition
+     */
+    createItem(itemId, quantity = 1) {
+        const definition = this.dataManager ? this.dataManager.entities[itemId] : null;
+        if (!definition || definition.type !== CONSTANTS.ENTITY_TYPES.ITEM) {
+            console.warn(`GameScene.createItem: No item definition for ${itemId}`);
+            return null;
+        }
+
+        return new Item(this, {
+            ...Helpers.deepClone(definition),
+            id: Helpers.generateId(),
+            itemId: itemId,
+            quantity: quantity
+        });
+    }
+
     /**
      * Add an entity to the scene
      *
@@ -360,6 +548,11 @@ class GameScene extends Phaser.Scene {
      */
     addEntity(entity) {
         this.entities.push(entity);
+
+        // Keep the zone in sync so changes are part of its state
+        if (this.currentZone && entity !== this.player) {
+            this.currentZone.addEntity(entity);
+        }
     }
 
     /**
@@ -375,6 +568,15 @@ class GameScene extends Phaser.Scene {
         if (index !== -1) {
             const entity = this.entities[index];
             this.entities.splice(index, 1);
+
+            // Release timers and visuals held by the entity
+            entity.destroy();
+
+            // Keep the zone in sync so changes are part of its state
+            if (this.currentZone && entity !== this.player) {
+                this.currentZone.removeEntity(entity);
+            }
+
             return entity;
         }
 
@@ -390,6 +592,544 @@ class GameScene extends Phaser.Scene {
         this.dialog.show(options);
     }
 
+    /**
+     * Hold the player in place while an entity acts on them
+     *
+     * @param {Entity} entity - Entity taking the lock
+     * @returns {boolean} Whether the lock was taken (false if another entity holds it)
+     */
+    lockPlayer(entity) {
+        if (this.playerLock && this.playerLock !== entity) {
+            return false;
+        }
+
+        this.playerLock = entity;
+
+        // Stop any tap-to-move walk so the player stays put once released
+        if (this.player) {
+            this.player.clearWalkPath();
+        }
+
+        return true;
+    }
+
+    /**
+     * Release the player lock
+     *
+     * @param {Entity} entity - Entity that took the lock
+     */
+    unlockPlayer(entity) {
+        if (this.playerLock === entity) {
+            this.playerLock = null;
+        }
+    }
+
+    /**
+     * Check if the player is held in place
+     *
+     * @returns {boolean} Whether an entity holds the player lock
+     */
+    isPlayerLocked() {
+        return this.playerLock !== null;
+    }
+
+    /**
+     * Walk the player to the tile under a point on the screen (tap-to-move)
+     *
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     * @returns {boolean} Whether the player set off or interacted
+     */
+    walkToScreenPoint(screenX, screenY) {
+        if (this.gameState !== CONSTANTS.GAME_STATES.PLAYING || !this.player ||
+            this.isPlayerLocked()) {
+            return false;
+        }
+
+        const world = this.camera.screenToWorld(screenX, screenY);
+
+        return this.walkTo(
+            Math.floor(world.x / CONSTANTS.TILE_SIZE),
+            Math.floor(world.y / CONSTANTS.TILE_SIZE)
+        );
+    }
+
+    /**
+     * Walk the player to a tile along a path over the grid
+     * An entity to interact with (or that blocks its tile) is walked up to and faced instead;
+     * when the player is already next to it, the player turns to it and interacts
+     *
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @returns {boolean} Whether the player set off or interacted
+     */
+    walkTo(x, y) {
+        const player = this.player;
+        if (!player || (player.position.x === x && player.position.y === y)) {
+            return false;
+        }
+
+        const target = this.getEntitiesAt(x, y).find(entity =>
+            entity !== player &&
+            (entity.interactable || Helpers.hasTag(entity, CONSTANTS.TAGS.BLOCKING))
+        ) || null;
+
+        // Already next to the target: face it and interact
+        if (target &&
+            MathUtils.manhattanDistance(player.position.x, player.position.y, x, y) === 1) {
+            player.clearWalkPath();
+            player.setDirection(Helpers.getDirection(player.position, target.position));
+            return target.interactable ? player.interact() : false;
+        }
+
+        const path = this.pathfinder.findPath(player.position, { x: x, y: y }, {
+            entity: player,
+            adjacent: target !== null
+        });
+
+        if (!path || path.length === 0) {
+            console.log(`No path from ${player.position.x},${player.position.y} to ${x},${y}`);
+            return false;
+        }
+
+        player.setWalkPath(path, target);
+        return true;
+    }
+
+    /**
+     * Open the inventory screen and pause the game
+     *
+     * @returns {boolean} Whether the inventory was opened
+     */
+    openInventory() {
+        if (!this.player || this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.inventoryOpen = true;
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        this.events.emit(CONSTANTS.EVENTS.INVENTORY_OPEN, {
+            player: this.player,
+            inventory: this.player.inventory
+        });
+
+        return true;
+    }
+
+    /**
+     * Close the inventory screen and resume the game
+     */
+    closeInventory() {
+        if (!this.inventoryOpen) {
+            return;
+        }
+
+        this.inventoryOpen = false;
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.INVENTORY_CLOSE, {
+            player: this.player
+        });
+    }
+
+    /**
+     * Open the party screen and pause the game
+     *
+     * @returns {boolean} Whether the party screen was opened
+     */
+    openParty() {
+        if (!this.player || this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.partyOpen = true;
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        this.events.emit(CONSTANTS.EVENTS.PARTY_OPEN, {
+            player: this.player,
+            party: this.player.party
+        });
+
+        return true;
+    }
+
+    /**
+     * Close the party screen and resume the game
+     */
+    closeParty() {
+        if (!this.partyOpen) {
+            return;
+        }
+
+        this.partyOpen = false;
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.PARTY_CLOSE, {
+            player: this.player
+        });
+    }
+
+    /**
+     * Open a merchant's shop screen and pause the game
+     *
+     * @param {NPC} merchant - NPC whose shop is opened
+     * @param {string} [mode='buy'] - Tab shown first ('buy' or 'sell')
+     * @returns {boolean} Whether the shop was opened
+     */
+    openShop(merchant, mode = 'buy') {
+        if (!this.player || !merchant || !merchant.shop ||
+            this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.shopMerchant = merchant;
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        this.events.emit(CONSTANTS.EVENTS.SHOP_OPEN, {
+            player: this.player,
+            merchant: merchant,
+            shop: merchant.shop,
+            mode: mode
+        });
+
+        return true;
+    }
+
+    /**
+     * Close the shop screen and resume the game
+     */
+    closeShop() {
+        if (!this.shopMerchant) {
+            return;
+        }
+
+        const merchant = this.shopMerchant;
+        this.shopMerchant = null;
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.SHOP_CLOSE, {
+            player: this.player,
+            merchant: merchant
+        });
+    }
+
+    /**
+     * Open a container screen and pause the game
+     *
+     * @param {Container} container - Container to open
+     * @param {Entity} opener - Entity opening the container
+     * @returns {boolean} Whether the container was opened
+     */
+    openContainer(container, opener) {
+        if (!container || this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.openedContainer = container;
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        this.events.emit(CONSTANTS.EVENTS.CONTAINER_OPEN, {
+            player: opener,
+            container: container
+        });
+
+        return true;
+    }
+
+    /**
+     * Open the menu for choosing between several interactions and pause the game
+     *
+     * @param {Player} player - Player interacting
+     * @param {Entity} target - Entity being interacted with
+     * @param {Array<Interaction>} interactions - Interactions to choose from
+     * @param {string} direction - Direction of interaction
+     *                             (the side of the entity being approached)
+     * @param {string} action - Action that was pressed
+     * @returns {boolean} Whether the menu was opened
+     */
+    openInteractionMenu(player, target, interactions, direction, action) {
+        if (!target || interactions.length === 0 ||
+            this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.interactionMenu = {
+            player: player,
+            target: target,
+            interactions: interactions,
+            direction: direction,
+            action: action
+        };
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        // Start on the entity's default interaction
+        const defaultIndex = interactions.findIndex(
+            interaction => interaction.id === target.defaultInteraction);
+
+        this.events.emit(CONSTANTS.EVENTS.INTERACTION_MENU_OPEN, {
+            player: player,
+            target: target,
+            interactions: interactions,
+            defaultIndex: Math.max(0, defaultIndex)
+        });
+
+        return true;
+    }
+
+    /**
+     * Close the interaction menu and run the chosen interaction
+     *
+     * @param {number} index - Index of the chosen interaction
+     * @returns {boolean} Whether the interaction occurred
+     */
+    chooseInteraction(index) {
+        const menu = this.interactionMenu;
+        if (!menu || !menu.interactions[index]) {
+            return false;
+        }
+
+        // Resume play first so the interaction can open a dialog or another screen
+        this.closeInteractionMenu();
+
+        return menu.player.runInteractions(menu.target, [menu.interactions[index]],
+            menu.direction, menu.action);
+    }
+
+    /**
+     * Close the interaction menu without choosing and resume the game
+     */
+    closeInteractionMenu() {
+        if (!this.interactionMenu) {
+            return;
+        }
+
+        const target = this.interactionMenu.target;
+        this.interactionMenu = null;
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.INTERACTION_MENU_CLOSE, {
+            player: this.player,
+            target: target
+        });
+    }
+
+    /**
+     * Close the container screen and resume the game
+     */
+    closeContainer() {
+        if (!this.openedContainer) {
+            return;
+        }
+
+        const container = this.openedContainer;
+        this.openedContainer = null;
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.CONTAINER_CLOSE, {
+            player: this.player,
+            container: container
+        });
+    }
+
+    /**
+     * Open the key bindings screen and pause the game
+     *
+     * @returns {boolean} Whether the screen was opened
+     */
+    openKeybindings() {
+        if (this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        this.keybindingsOpen = true;
+        this.gameState = CONSTANTS.GAME_STATES.PAUSED;
+
+        this.events.emit(CONSTANTS.EVENTS.KEYBINDINGS_OPEN, {
+            inputManager: this.inputManager
+        });
+
+        return true;
+    }
+
+    /**
+     * Close the key bindings screen and resume the game
+     */
+    closeKeybindings() {
+        if (!this.keybindingsOpen) {
+            return;
+        }
+
+        this.keybindingsOpen = false;
+        this.inputManager.cancelCapture();
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.KEYBINDINGS_CLOSE, {
+            inputManager: this.inputManager
+        });
+    }
+
+    /**
+     * Fade the screen out, run a callback, then fade back in
+     * Emits transition_start and transition_end so other scenes can hook in
+     *
+     * @param {string} type - Transition type passed with the events (e.g. 'encounter')
+     * @param {Function} [onComplete] - Called once the screen is black
+     * @returns {boolean} Whether the transition started
+     */
+    playTransition(type, onComplete) {
+        if (this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        const camera = this.cameras.main;
+        const duration = CONFIG.game.encounters.transitionDuration;
+
+        this.gameState = CONSTANTS.GAME_STATES.TRANSITION;
+        this.events.emit(CONSTANTS.EVENTS.TRANSITION_START, { type: type });
+
+        camera.once(Phaser.Cameras.Scene2D.Events.FADE_OUT_COMPLETE, () => {
+            this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+            this.events.emit(CONSTANTS.EVENTS.TRANSITION_END, { type: type });
+
+            if (onComplete) {
+                onComplete();
+            }
+
+            // Fades back in once the scene runs again (after a battle, for example)
+            camera.fadeIn(duration);
+        });
+
+        camera.fadeOut(duration);
+        return true;
+    }
+
+    /**
+     * Start a battle against a wild creature
+     * The game scene is paused while the battle scene runs
+     *
+     * @param {Object} options - Battle options
+     * @param {string} options.creatureId - Creature definition ID of the opponent
+     * @param {number} [options.level=1] - Level of the opponent
+     * @returns {boolean} Whether the battle started
+     */
+    startBattle(options) {
+        if (!this.player || this.gameState !== CONSTANTS.GAME_STATES.PLAYING) {
+            return false;
+        }
+
+        if (!this.dataManager || !this.dataManager.creatures[options.creatureId]) {
+            console.warn(`GameScene.startBattle: No creature definition for ${options.creatureId}`);
+            return false;
+        }
+
+        // The player needs a creature that can still fight
+        const playerCreature = this.player.getActiveCreature();
+        if (!playerCreature) {
+            this.showDialog({
+                content: 'You have no creatures that are able to battle.',
+                waitForInput: true
+            });
+            return false;
+        }
+
+        const enemyCreature = new Creature(this, {
+            creatureId: options.creatureId,
+            level: options.level || 1
+        });
+
+        this.gameState = CONSTANTS.GAME_STATES.BATTLE;
+
+        this.events.emit(CONSTANTS.EVENTS.BATTLE_START, {
+            playerCreature: playerCreature,
+            enemyCreature: enemyCreature
+        });
+
+        // Run the battle on top of the paused overworld
+        this.scene.launch(CONSTANTS.SCENES.BATTLE, {
+            gameScene: this,
+            playerCreature: playerCreature,
+            enemyCreature: enemyCreature
+        });
+        this.scene.pause();
+
+        return true;
+    }
+
+    /**
+     * Return to the overworld after a battle
+     *
+     * @param {Object} result - Battle result
+     * @param {string} result.outcome - Outcome (see CONSTANTS.BATTLE_OUTCOMES)
+     * @param {Creature} result.playerCreature - The player's creature
+     * @param {Creature} result.enemyCreature - The opposing creature
+     */
+    endBattle(result) {
+        if (this.gameState !== CONSTANTS.GAME_STATES.BATTLE) {
+            return;
+        }
+
+        this.scene.stop(CONSTANTS.SCENES.BATTLE);
+        this.scene.resume();
+
+        // A key still held from closing the last battle message isn't a new press
+        this.inputManager.clearPresses();
+
+        this.gameState = CONSTANTS.GAME_STATES.PLAYING;
+
+        this.events.emit(CONSTANTS.EVENTS.BATTLE_END, {
+            outcome: result.outcome,
+            playerCreature: result.playerCreature,
+            enemyCreature: result.enemyCreature
+        });
+    }
+
+    /**
+     * Tell the player they fainted, then send them to their respawn point
+     */
+    faintPlayer() {
+        this.showDialog({
+            content: 'You collapsed from exhaustion...',
+            speaker: '',
+            waitForInput: true,
+            onComplete: () => {
+                // Respawn behind a fade when possible
+                if (!this.playTransition('respawn', () => this.respawnPlayer())) {
+                    this.respawnPlayer();
+                }
+            }
+        });
+    }
+
+    /**
+     * Move the player to their respawn point with full health and no status effects
+     * Without a respawn point in the player data, the start of the default zone is used
+     */
+    respawnPlayer() {
+        if (!this.player) {
+            return;
+        }
+
+        const respawn = this.player.respawn ||
+            { zoneId: CONFIG.game.world.defaultZone, x: 1, y: 1 };
+
+        if (respawn.zoneId === this.currentZoneId) {
+            this.player.position.x = respawn.x;
+            this.player.position.y = respawn.y;
+        } else {
+            this.changeZone(respawn.zoneId, respawn.x, respawn.y);
+        }
+
+        this.player.stats.clearEffects();
+        this.player.stats.fullHeal();
+
+        this.events.emit(CONSTANTS.EVENTS.PLAYER_RESPAWN, {
+            player: this.player,
+            zoneId: this.currentZoneId,
+            position: { ...this.player.position }
+        });
+    }
+
     /**
      * Update game state
      *
@@ -398,7 +1138,13 @@ class GameScene extends Phaser.Scene {
      */
     update(time, delta) {
         // Always update input manager
-        this.inputManager.update();
+        this.inputManager.update(delta);
+
+        // Debug, quick save and quick load work in every state
+        this.updateShortcuts();
+
+        // Store changed play stats now and then
+        this.statsTracker.update(delta);
 
         // Update based on game state
         switch (this.gameState) {
@@ -411,7 +1157,9 @@ class GameScene extends Phaser.Scene {
                 break;
 
             case CONSTANTS.GAME_STATES.PAUSED:
-                // Do nothing while paused
+            case CONSTANTS.GAME_STATES.BATTLE:
+            case CONSTANTS.GAME_STATES.TRANSITION:
+                // Do nothing while paused, battling or fading out
                 break;
         }
 
@@ -419,6 +1167,24 @@ class GameScene extends Phaser.Scene {
         this.updateRenderer(time, delta);
     }
 
+    /**
+     * Handle the actions that work whatever the game is doing
+     */
+    updateShortcuts() {
+        const input = this.inputManager;
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.DEBUG)) {
+            this.debugMode = !this.debugMode;
+            console.log(`Debug mode ${this.debugMode ? 'enabled' : 'disabled'}`);
+        }
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.QUICK_SAVE)) {
+            this.quickSave();
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.QUICK_LOAD)) {
+            this.quickLoad();
+        }
+    }
+
     /**
      * Update playing state
      *
@@ -426,10 +1192,30 @@ class GameScene extends Phaser.Scene {
      * @param {number} delta - Time since last update
      */
     updatePlaying(time, delta) {
-        // Process input
-        if (this.player) {
+        const locked = this.isPlayerLocked();
+
+        // Open the inventory screen (input is then handled by the UI scene)
+        if (!locked && this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.MENU)) {
+            this.openInventory();
+            return;
+        }
+
+        // Open the party screen
+        if (!locked && this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.PARTY)) {
+            this.openParty();
+            return;
+        }
+
+        // Open the key bindings screen
+        if (!locked && this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.KEYBINDINGS)) {
+            this.openKeybindings();
+            return;
+        }
+
+        // Process input unless something is holding the player in place
+        if (this.player && !locked) {
             // Handle player input
-            this.player.handleInput(this.inputManager);
+            this.player.handleInput(this.inputManager, delta);
         }
 
         // Update all entities
@@ -450,8 +1236,15 @@ class GameScene extends Phaser.Scene {
      * @param {number} delta - Time since last update
      */
     updateDialog(time, delta) {
+        // Move between choices
+        if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.dialog.moveChoice(-1);
+        } else if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.dialog.moveChoice(1);
+        }
+
         // Check for dialog input
-        if (this.inputManager.wasKeyJustPressed(CONSTANTS.KEYS.INTERACT)) {
+        if (this.inputManager.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
             this.dialog.handleInput();
         }
     }
@@ -463,6 +1256,11 @@ class GameScene extends Phaser.Scene {
      * @param {number} delta - Time since last update
      */
     updateRenderer(time, delta) {
+        // Glide entities towards their tiles, even while a dialog or screen is open
+        for (const entity of this.entities) {
+            entity.updateMotion(delta);
+        }
+
         // Only render if we have a grid
         if (this.grid) {
             // Render the current state
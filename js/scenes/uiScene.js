@@ -17,6 +17,32 @@ class UIScene extends Phaser.Scene {
         this.dialogText = null;
         this.dialogSpeakerText = null;
         this.dialogPrompt = null;
+        this.choiceBox = null;
+        this.choiceText = null;
+        this.inventoryMenu = null;
+        this.partyMenu = null;
+        this.partyView = 'party';
+        this.partyMode = 'manage';
+        this.movingIndex = null;
+        this.healItemIndex = null;
+        this.shopMenu = null;
+        this.shopMode = 'buy';
+        this.shopMerchant = null;
+        this.containerMenu = null;
+        this.openedContainer = null;
+        this.interactionMenu = null;
+        this.keybindingsMenu = null;
+        this.rebindingAction = null;
+        this.hudGraphics = null;
+        this.hudText = null;
+        this.hudStatusText = null;
+        this.toastBox = null;
+        this.toastTitle = null;
+        this.toastText = null;
+        this.toastQueue = [];
+        this.toastActive = false;
+        this.touchControls = null;
+        this.lastGameState = null;
     }
 
     /**
@@ -36,8 +62,37 @@ class UIScene extends Phaser.Scene {
         // Create dialog UI
         this.createDialogUI();
 
+        // Create inventory screen
+        this.createInventoryUI();
+
+        // Create party screen
+        this.createPartyUI();
+
+        // Create shop screen
+        this.createShopUI();
+
+        // Create container screen
+        this.createContainerUI();
+
+        // Create interaction menu
+        this.createInteractionMenuUI();
+
+        // Create key bindings screen
+        this.createKeybindingsUI();
+
+        // Create health bar
+        this.createHudUI();
+
+        // Create achievement toast
+        this.createToastUI();
+
+        // Create the on-screen d-pad and buttons
+        this.createTouchControlsUI();
+
         // Set up event listeners
         this.setupEventListeners();
+
+        this.refreshHud();
     }
 
     /**
@@ -84,6 +139,14 @@ class UIScene extends Phaser.Scene {
             }
         ).setOrigin(1, 1);
 
+        // Create choice box shown above the dialog box
+        this.choiceBox = this.add.graphics();
+        this.choiceText = this.add.text(0, 0, '', {
+            font: '16px Arial',
+            fill: '#ffffff',
+            lineSpacing: 6
+        });
+
         // Hide dialog elements initially
         this.hideDialog();
     }
@@ -113,6 +176,391 @@ class UIScene extends Phaser.Scene {
         );
     }
 
+    /**
+     * Draw the dialog choices above the dialog box
+     *
+     * @param {Array<string>} choices - Choice texts
+     * @param {number} selectedChoice - Index of the highlighted choice
+     */
+    drawChoices(choices, selectedChoice) {
+        const lineHeight = 24;
+        const width = Math.min(320, this.cameras.main.width - 20);
+        const height = choices.length * lineHeight + 16;
+        const x = this.cameras.main.width - 10 - width;
+        const y = this.cameras.main.height - 120 - height;
+
+        // Draw choice background
+        this.choiceBox.clear();
+        this.choiceBox.fillStyle(0x000000, 0.8);
+        this.choiceBox.fillRect(x, y, width, height);
+        this.choiceBox.lineStyle(2, 0xffffff, 0.8);
+        this.choiceBox.strokeRect(x, y, width, height);
+
+        // Highlight the selected choice
+        this.choiceBox.fillStyle(0xffffff, 0.15);
+        this.choiceBox.fillRect(x + 4, y + 8 + selectedChoice * lineHeight - 2,
+            width - 8, lineHeight);
+
+        // Draw choice text
+        this.choiceText.setText(choices
+            .map((choice, index) => `${index === selectedChoice ? '► ' : '   '}${choice}`)
+            .join('\n'));
+        this.choiceText.setPosition(x + 12, y + 8);
+
+        this.choiceBox.setVisible(true);
+        this.choiceText.setVisible(true);
+    }
+
+    /**
+     * Hide the dialog choices
+     */
+    hideChoices() {
+        this.choiceBox.setVisible(false);
+        this.choiceText.setVisible(false);
+    }
+
+    /**
+     * Create the inventory screen
+     */
+    createInventoryUI() {
+        const width = Math.min(420, this.cameras.main.width - 40);
+        const height = Math.min(400, this.cameras.main.height - 40);
+
+        this.inventoryMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: (this.cameras.main.height - height) / 2,
+            width: width,
+            height: height,
+            title: 'Inventory',
+            emptyText: 'You are not carrying anything.'
+        });
+    }
+
+    /**
+     * Create the party screen
+     */
+    createPartyUI() {
+        const width = Math.min(420, this.cameras.main.width - 40);
+        const height = Math.min(400, this.cameras.main.height - 40);
+
+        this.partyMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: (this.cameras.main.height - height) / 2,
+            width: width,
+            height: height,
+            title: 'Party',
+            emptyText: 'No creatures here.'
+        });
+    }
+
+    /**
+     * Create the shop screen
+     */
+    createShopUI() {
+        const width = Math.min(420, this.cameras.main.width - 40);
+        const height = Math.min(400, this.cameras.main.height - 40);
+
+        this.shopMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: (this.cameras.main.height - height) / 2,
+            width: width,
+            height: height,
+            title: 'Shop',
+            emptyText: 'Nothing to trade.'
+        });
+    }
+
+    /**
+     * Create the container screen
+     */
+    createContainerUI() {
+        const width = Math.min(420, this.cameras.main.width - 40);
+        const height = Math.min(400, this.cameras.main.height - 40);
+
+        this.containerMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: (this.cameras.main.height - height) / 2,
+            width: width,
+            height: height,
+            title: 'Container',
+            emptyText: "It's empty."
+        });
+    }
+
+    /**
+     * Create the small menu for choosing between several interactions
+     */
+    createInteractionMenuUI() {
+        const width = 260;
+        const height = 50 + 4 * 22;
+
+        this.interactionMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: this.cameras.main.height - height - 20,
+            width: width,
+            height: height,
+            title: 'Interact',
+            detailHeight: 0
+        });
+    }
+
+    /**
+     * Create the key bindings screen
+     */
+    createKeybindingsUI() {
+        const width = Math.min(420, this.cameras.main.width - 40);
+        const height = Math.min(440, this.cameras.main.height - 40);
+
+        this.keybindingsMenu = new ListMenu(this, {
+            x: (this.cameras.main.width - width) / 2,
+            y: (this.cameras.main.height - height) / 2,
+            width: width,
+            height: height,
+            title: 'Key Bindings',
+            detailHeight: 40
+        });
+    }
+
+    /**
+     * Check if a screen's own close action or the cancel action was just pressed
+     *
+     * @param {string} action - Action that closes the screen (CONSTANTS.ACTIONS)
+     * @returns {boolean} Whether the screen should close
+     */
+    wasClosePressed(action) {
+        const input = this.gameScene.inputManager;
+        return input.wasActionJustPressed(action) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.CANCEL);
+    }
+
+    /**
+     * Build a menu footer hint from the keys currently bound to actions
+     *
+     * @param {string} label - What the keys do
+     * @param {...string} actions - Actions whose first keys are listed
+     * @returns {string} Hint (e.g. 'W/S: Select')
+     */
+    keyHint(label, ...actions) {
+        const input = this.gameScene.inputManager;
+        return `${actions.map(action => input.getKeyLabel(action)).join('/')}: ${label}`;
+    }
+
+    /**
+     * Create the HUD with the player's health bar and status effects in the top left corner
+     */
+    createHudUI() {
+        this.hudGraphics = this.add.graphics();
+
+        this.hudText = this.add.text(18, 14, '', {
+            font: 'bold 13px Arial',
+            fill: '#ffffff'
+        });
+
+        this.hudStatusText = this.add.text(18, 40, '', {
+            font: '13px Arial',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        });
+    }
+
+    /**
+     * Redraw the HUD from the player's stats
+     */
+    refreshHud() {
+        const player = this.gameScene.player;
+        if (!player || !player.stats) {
+            return;
+        }
+
+        const stats = player.stats;
+        const barWidth = 180;
+        const ratio = stats.getMaxHealth() > 0 ? stats.getHealth() / stats.getMaxHealth() : 0;
+
+        // Panel
+        this.hudGraphics.clear();
+        this.hudGraphics.fillStyle(0x000000, 0.7);
+        this.hudGraphics.fillRect(10, 10, barWidth + 16, 28);
+        this.hudGraphics.lineStyle(2, 0xffffff, 0.8);
+        this.hudGraphics.strokeRect(10, 10, barWidth + 16, 28);
+
+        // Health bar, purple while poisoned, otherwise green to yellow to red as it drops
+        let color = 0x44cc44;
+        if (stats.hasEffect(CONSTANTS.STATUS_EFFECTS.POISON)) {
+            color = 0x9944cc;
+        } else if (ratio <= 0.2) {
+            color = 0xcc3333;
+        } else if (ratio <= 0.5) {
+            color = 0xddcc33;
+        }
+
+        this.hudGraphics.fillStyle(0x333333, 1);
+        this.hudGraphics.fillRect(18, 16, barWidth, 16);
+        this.hudGraphics.fillStyle(color, 1);
+        this.hudGraphics.fillRect(18, 16, Math.round(barWidth * ratio), 16);
+
+        this.hudText.setText(`HP ${stats.getHealth()}/${stats.getMaxHealth()}`);
+        const effects = stats.getEffects().map(effect => this.describeStatus(effect));
+        this.hudStatusText.setText(effects.join('  '));
+    }
+
+    /**
+     * Get the name shown for a status effect
+     *
+     * @param {Object} effect - Status effect
+     * @returns {string} Status name
+     */
+    describeStatus(effect) {
+        switch (effect.type) {
+            case CONSTANTS.STATUS_EFFECTS.POISON:
+                return 'Poisoned';
+
+            case CONSTANTS.STATUS_EFFECTS.SPEED:
+                return (effect.multiplier || 1) >= 1 ? 'Fast' : 'Slow';
+
+            default:
+                return effect.type;
+        }
+    }
+
+    /**
+     * Redraw the HUD when the player's stats change
+     *
+     * @param {Object} data - Stats change data
+     */
+    handleStatsChange(data) {
+        if (data.entity === this.gameScene.player) {
+            this.refreshHud();
+        }
+    }
+
+    /**
+     * Create the achievement toast shown in the top right corner
+     */
+    createToastUI() {
+        const width = 260;
+        const x = this.cameras.main.width - width - 10;
+
+        this.toastBox = this.add.graphics();
+        this.toastBox.fillStyle(0x000000, 0.8);
+        this.toastBox.fillRect(x, 10, width, 56);
+        this.toastBox.lineStyle(2, 0xffd700, 0.9);
+        this.toastBox.strokeRect(x, 10, width, 56);
+
+        this.toastTitle = this.add.text(x + 12, 16, '', {
+            font: 'bold 14px Arial',
+            fill: '#ffd700'
+        });
+
+        this.toastText = this.add.text(x + 12, 38, '', {
+            font: '13px Arial',
+            fill: '#ffffff',
+            wordWrap: { width: width - 24 }
+        });
+
+        this.setToastVisible(false);
+    }
+
+    /**
+     * Set the visibility of the achievement toast
+     *
+     * @param {boolean} visible - Whether to show the toast
+     */
+    setToastVisible(visible) {
+        this.toastBox.setVisible(visible);
+        this.toastTitle.setVisible(visible);
+        this.toastText.setVisible(visible);
+    }
+
+    /**
+     * Queue a toast for an unlocked achievement
+     *
+     * @param {Object} data - Achievement unlock data
+     */
+    showAchievementToast(data) {
+        this.toastQueue.push(data.achievement);
+
+        if (!this.toastActive) {
+            this.showNextToast();
+        }
+    }
+
+    /**
+     * Show the next queued toast
+     */
+    showNextToast() {
+        const achievement = this.toastQueue.shift();
+        if (!achievement) {
+            this.toastActive = false;
+            this.setToastVisible(false);
+            return;
+        }
+
+        this.toastActive = true;
+        this.toastTitle.setText(`Achievement unlocked: ${achievement.title || achievement.id}`);
+        this.toastText.setText(achievement.description || '');
+        this.setToastVisible(true);
+
+        // Hide after a while, then show the next one
+        this.time.delayedCall(CONFIG.game.stats.toastDuration, this.showNextToast, [], this);
+    }
+
+    /**
+     * Create the on-screen touch controls, shown straight away on touch devices
+     */
+    createTouchControlsUI() {
+        this.touchControls = new TouchControls(this, this.gameScene.inputManager);
+
+        const showControls = CONFIG.game.input.touch.showControls;
+        if (showControls === true || (showControls === 'auto' && TouchControls.isTouchDevice())) {
+            this.touchControls.show();
+        }
+    }
+
+    /**
+     * Handle a pointer going down: touch controls first, then tap-to-move
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went down
+     */
+    handlePointerDown(pointer) {
+        // The battle scene runs its own touch controls over the paused game
+        if (this.gameScene.gameState === CONSTANTS.GAME_STATES.BATTLE) {
+            return;
+        }
+
+        // A touch on a device that wasn't detected as one brings the controls up
+        if (pointer.wasTouch && !this.touchControls.isVisible() &&
+            CONFIG.game.input.touch.showControls === 'auto') {
+            this.touchControls.show();
+        }
+
+        if (this.touchControls.handlePointerDown(pointer)) {
+            return;
+        }
+
+        if (CONFIG.game.input.touch.tapToMove) {
+            this.gameScene.walkToScreenPoint(pointer.x, pointer.y);
+        }
+    }
+
+    /**
+     * Handle a pointer moving, for fingers sliding over the touch controls
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that moved
+     */
+    handlePointerMove(pointer) {
+        this.touchControls.handlePointerMove(pointer);
+    }
+
+    /**
+     * Handle a pointer going up
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went up
+     */
+    handlePointerUp(pointer) {
+        this.touchControls.handlePointerUp(pointer);
+    }
+
     /**
      * Set up event listeners
      */
@@ -122,6 +570,54 @@ class UIScene extends Phaser.Scene {
         this.gameScene.events.on(CONSTANTS.EVENTS.DIALOG_END, this.hideDialog, this);
         this.gameScene.events.on('dialog-update', this.updateDialog, this);
 
+        // Listen for inventory events
+        this.gameScene.events.on(CONSTANTS.EVENTS.INVENTORY_OPEN, this.showInventory, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.INVENTORY_CLOSE, this.hideInventory, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.INVENTORY_CHANGE, this.refreshInventory, this);
+
+        // Listen for party events
+        this.gameScene.events.on(CONSTANTS.EVENTS.PARTY_OPEN, this.showParty, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.PARTY_CLOSE, this.hideParty, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.PARTY_CHANGE, this.refreshParty, this);
+
+        // Listen for shop events
+        this.gameScene.events.on(CONSTANTS.EVENTS.SHOP_OPEN, this.showShop, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.SHOP_CLOSE, this.hideShop, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.INVENTORY_CHANGE, this.refreshShop, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.WALLET_CHANGE, this.refreshShop, this);
+
+        // Listen for container events
+        this.gameScene.events.on(CONSTANTS.EVENTS.CONTAINER_OPEN, this.showContainer, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.CONTAINER_CLOSE, this.hideContainer, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.CONTAINER_CHANGE, this.refreshContainer, this);
+
+        // Listen for interaction menu events
+        this.gameScene.events.on(CONSTANTS.EVENTS.INTERACTION_MENU_OPEN,
+            this.showInteractionMenu, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.INTERACTION_MENU_CLOSE,
+            this.hideInteractionMenu, this);
+
+        // Listen for key bindings events
+        this.gameScene.events.on(CONSTANTS.EVENTS.KEYBINDINGS_OPEN, this.showKeybindings, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.KEYBINDINGS_CLOSE, this.hideKeybindings, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.KEYMAP_CHANGE, this.refreshKeybindings, this);
+
+        // Keep the HUD in step with the player's stats
+        // (the player is replaced on zone changes and loads)
+        this.gameScene.events.on(CONSTANTS.EVENTS.STATS_CHANGE, this.handleStatsChange, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.ZONE_CHANGE, this.refreshHud, this);
+        this.gameScene.events.on(CONSTANTS.EVENTS.GAME_LOADED, this.refreshHud, this);
+
+        // Listen for achievement unlocks
+        this.gameScene.events.on(CONSTANTS.EVENTS.ACHIEVEMENT_UNLOCKED,
+            this.showAchievementToast, this);
+
+        // Touch controls and tap-to-move
+        this.input.on('pointerdown', this.handlePointerDown, this);
+        this.input.on('pointermove', this.handlePointerMove, this);
+        this.input.on('pointerup', this.handlePointerUp, this);
+        this.input.on('pointerupoutside', this.handlePointerUp, this);
+
         // Resize event to update UI positions
         this.scale.on('resize', this.handleResize, this);
     }
@@ -166,8 +662,9 @@ class UIScene extends Phaser.Scene {
             this.dialogSpeakerText.setVisible(false);
         }
 
-        // Initially hide prompt (will show when text is complete)
+        // Initially hide prompt and choices (will show when text is complete)
         this.dialogPrompt.setVisible(false);
+        this.hideChoices();
     }
 
     /**
@@ -179,6 +676,13 @@ class UIScene extends Phaser.Scene {
         // Update text
         this.dialogText.setText(data.content);
 
+        // Show choices once the text is complete
+        if (data.isComplete && data.choices && data.choices.length > 0) {
+            this.drawChoices(data.choices, data.selectedChoice || 0);
+        } else {
+            this.hideChoices();
+        }
+
         // Show prompt if text is complete
         if (data.isComplete) {
             this.dialogPrompt.setVisible(true);
@@ -217,6 +721,7 @@ class UIScene extends Phaser.Scene {
         this.dialogSpeakerText.setVisible(false);
         this.dialogText.setVisible(false);
         this.dialogPrompt.setVisible(false);
+        this.hideChoices();
 
         // Stop prompt animation
         if (this.promptTween) {
@@ -224,6 +729,711 @@ class UIScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Show the inventory screen
+     *
+     * @param {Object} data - Inventory open data
+     */
+    showInventory(data) {
+        this.inventoryMenu.setFooter([
+            this.keyHint('Select', CONSTANTS.ACTIONS.MOVE_UP, CONSTANTS.ACTIONS.MOVE_DOWN),
+            this.keyHint('Use', CONSTANTS.ACTIONS.INTERACT),
+            this.keyHint('Drop', CONSTANTS.ACTIONS.DROP),
+            this.keyHint('Close', CONSTANTS.ACTIONS.MENU)
+        ].join('  '));
+        this.inventoryMenu.show();
+        this.refreshInventory({ inventory: data.inventory });
+    }
+
+    /**
+     * Hide the inventory screen
+     */
+    hideInventory() {
+        this.inventoryMenu.hide();
+    }
+
+    /**
+     * Rebuild the inventory rows from the player's inventory
+     *
+     * @param {Object} [data] - Inventory change data
+     */
+    refreshInventory(data) {
+        const player = this.gameScene.player;
+        if (!player || !this.inventoryMenu.isVisible()) {
+            return;
+        }
+
+        // Only the player's inventory is shown
+        if (data && data.inventory && data.inventory !== player.inventory) {
+            return;
+        }
+
+        const inventory = player.inventory;
+
+        // Title with slot and weight usage
+        let title = `Inventory (${inventory.getSlotCount()}/${inventory.maxSlots})`;
+        if (inventory.maxWeight !== null) {
+            title += `  Weight ${inventory.getTotalWeight()}/${inventory.maxWeight}`;
+        }
+        title += `  ${this.formatMoney(player.wallet.getBalance())}`;
+        this.inventoryMenu.setTitle(title);
+
+        // One row per stack
+        this.inventoryMenu.setItems(inventory.getItems().map(item => ({
+            label: item.quantity > 1 ? `${item.displayName} x${item.quantity}` : item.displayName,
+            detail: [item.description, this.describeEffect(item.useEffect)]
+                .filter(text => text)
+                .join('\n')
+        })));
+    }
+
+    /**
+     * Get a short description of an item's use effect
+     *
+     * @param {Object|Array} useEffect - Item use effect
+     * @returns {string} Effect description or an empty string
+     */
+    describeEffect(useEffect) {
+        if (!useEffect) {
+            return '';
+        }
+
+        const description = EffectRegistry.describe(useEffect);
+        return description ? `Use: ${description}` : '';
+    }
+
+    /**
+     * Handle inventory screen input
+     */
+    updateInventory() {
+        const input = this.gameScene.inputManager;
+        const inventory = this.gameScene.player.inventory;
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.inventoryMenu.moveCursor(-1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.inventoryMenu.moveCursor(1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
+            const index = this.inventoryMenu.getSelectedIndex();
+            const item = inventory.getItem(index);
+
+            // Healing items are used on the player or a party member picked on the party screen
+            if (item && EffectRegistry.includesType(item.useEffect, 'heal') &&
+                this.gameScene.player.party.getSize() > 0) {
+                this.showHealTarget(index);
+            } else if (item) {
+                inventory.use(index);
+            }
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.DROP)) {
+            const index = this.inventoryMenu.getSelectedIndex();
+            if (index >= 0 && !inventory.drop(index, 1)) {
+                this.gameScene.showDialog({
+                    content: 'There is no room to drop that here.',
+                    waitForInput: true
+                });
+            }
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+            this.gameScene.closeInventory();
+        }
+    }
+
+    /**
+     * Show the party screen
+     */
+    showParty() {
+        this.partyMode = 'manage';
+        this.partyView = 'party';
+        this.movingIndex = null;
+
+        this.partyMenu.show();
+        this.refreshParty();
+    }
+
+    /**
+     * Hide the party screen
+     */
+    hideParty() {
+        this.partyMenu.hide();
+    }
+
+    /**
+     * Swap the inventory screen for the party screen to pick who a healing item is used on
+     * The first row is the player, followed by the party members
+     *
+     * @param {number} itemIndex - Inventory slot of the healing item
+     */
+    showHealTarget(itemIndex) {
+        this.partyMode = 'target';
+        this.partyView = 'party';
+        this.movingIndex = null;
+        this.healItemIndex = itemIndex;
+
+        this.inventoryMenu.hide();
+        this.partyMenu.show();
+        this.refreshParty();
+    }
+
+    /**
+     * Go back from picking a heal target to the inventory screen
+     */
+    closeHealTarget() {
+        this.healItemIndex = null;
+        this.partyMenu.hide();
+        this.inventoryMenu.show();
+        this.refreshInventory();
+    }
+
+    /**
+     * Rebuild the party screen rows from the player's party or storage box
+     */
+    refreshParty() {
+        const player = this.gameScene.player;
+        if (!player || !this.partyMenu.isVisible()) {
+            return;
+        }
+
+        const party = player.party;
+        const inStorage = this.partyView === 'storage';
+        const creatures = inStorage ? party.getStorage() : party.getMembers();
+
+        // Title and key hints for the current view
+        if (this.partyMode === 'target') {
+            const item = player.inventory.getItem(this.healItemIndex);
+            this.partyMenu.setTitle(`Use ${item ? item.displayName : 'item'} on...`);
+            this.partyMenu.setFooter([
+                this.keyHint('Select', CONSTANTS.ACTIONS.MOVE_UP, CONSTANTS.ACTIONS.MOVE_DOWN),
+                this.keyHint('Use', CONSTANTS.ACTIONS.INTERACT),
+                this.keyHint('Back', CONSTANTS.ACTIONS.MENU)
+            ].join('  '));
+        } else if (inStorage) {
+            this.partyMenu.setTitle(`Storage Box (${creatures.length}/${party.storageSize})`);
+            this.partyMenu.setFooter([
+                this.keyHint('Select', CONSTANTS.ACTIONS.MOVE_UP, CONSTANTS.ACTIONS.MOVE_DOWN),
+                this.keyHint('Take', CONSTANTS.ACTIONS.DROP),
+                this.keyHint('Party', CONSTANTS.ACTIONS.MOVE_LEFT, CONSTANTS.ACTIONS.MOVE_RIGHT),
+                this.keyHint('Close', CONSTANTS.ACTIONS.PARTY)
+            ].join('  '));
+        } else {
+            this.partyMenu.setTitle(`Party (${creatures.length}/${party.maxSize})`);
+            this.partyMenu.setFooter([
+                this.keyHint('Move', CONSTANTS.ACTIONS.INTERACT),
+                this.keyHint('Store', CONSTANTS.ACTIONS.DROP),
+                this.keyHint('Box', CONSTANTS.ACTIONS.MOVE_LEFT, CONSTANTS.ACTIONS.MOVE_RIGHT),
+                this.keyHint('Close', CONSTANTS.ACTIONS.PARTY)
+            ].join('  '));
+        }
+
+        // One row per creature, marking the one being moved
+        const rows = creatures.map((creature, index) => ({
+            label: `${index === this.movingIndex ? '↕ ' : ''}` +
+                `${creature.getName()}  Lv${creature.level}  ` +
+                `HP ${creature.hp}/${creature.maxHp}${creature.isFainted() ? '  (fainted)' : ''}`,
+            detail: this.describeCreature(creature),
+            disabled: creature.isFainted()
+        }));
+
+        // Healing items can also be used on the player
+        if (this.partyMode === 'target') {
+            rows.unshift({
+                label: `You  HP ${player.stats.getHealth()}/${player.stats.getMaxHealth()}`,
+                detail: player.stats.getEffects()
+                    .map(effect => this.describeStatus(effect))
+                    .join('  ')
+            });
+        }
+
+        this.partyMenu.setItems(rows);
+    }
+
+    /**
+     * Show the shop screen
+     *
+     * @param {Object} data - Shop open data ({merchant, mode})
+     */
+    showShop(data) {
+        this.shopMerchant = data.merchant;
+        this.shopMode = data.mode === 'sell' ? 'sell' : 'buy';
+
+        this.shopMenu.show();
+        this.refreshShop();
+    }
+
+    /**
+     * Hide the shop screen
+     */
+    hideShop() {
+        this.shopMerchant = null;
+        this.shopMenu.hide();
+    }
+
+    /**
+     * Format an amount of money for display
+     *
+     * @param {number} amount - Money
+     * @returns {string} Amount with the currency name
+     */
+    formatMoney(amount) {
+        return `${amount} ${CONFIG.game.wallet.currencyName}`;
+    }
+
+    /**
+     * Rebuild the shop rows from the merchant's stock or the player's inventory
+     */
+    refreshShop() {
+        const player = this.gameScene.player;
+        if (!player || !this.shopMerchant || !this.shopMenu.isVisible()) {
+            return;
+        }
+
+        const shop = this.shopMerchant.shop;
+        const balance = player.wallet.getBalance();
+        const mode = this.shopMode === 'buy' ? 'Buy' : 'Sell';
+
+        this.shopMenu.setTitle(
+            `${this.shopMerchant.displayName} - ${mode}  (${this.formatMoney(balance)})`);
+        this.shopMenu.setFooter([
+            this.keyHint('Select', CONSTANTS.ACTIONS.MOVE_UP, CONSTANTS.ACTIONS.MOVE_DOWN),
+            this.keyHint(mode, CONSTANTS.ACTIONS.INTERACT),
+            this.keyHint(this.shopMode === 'buy' ? 'Sell' : 'Buy',
+                CONSTANTS.ACTIONS.MOVE_LEFT, CONSTANTS.ACTIONS.MOVE_RIGHT),
+            this.keyHint('Close', CONSTANTS.ACTIONS.MENU)
+        ].join('  '));
+
+        if (this.shopMode === 'buy') {
+            // One row per stock entry, greyed out when sold out or too expensive
+            this.shopMenu.setItems(shop.getStock().map(entry => {
+                const definition = shop.getDefinition(entry.itemId) || {};
+                const price = shop.getBuyPrice(entry);
+                const soldOut = entry.quantity !== undefined && entry.quantity <= 0;
+                const left = soldOut ? 'sold out' : `${entry.quantity} left`;
+
+                return {
+                    label: `${definition.displayName || entry.itemId}  ${this.formatMoney(price)}` +
+                        (entry.quantity !== undefined ? `  (${left})` : ''),
+                    detail: [definition.description, this.describeEffect(definition.useEffect)]
+                        .filter(text => text)
+                        .join('\n'),
+                    disabled: soldOut || price > balance
+                };
+            }));
+        } else {
+            // One row per inventory stack, greyed out when the merchant won't buy it
+            this.shopMenu.setItems(player.inventory.getItems().map(item => {
+                const price = shop.getSellPrice(item);
+                const name = item.quantity > 1
+                    ? `${item.displayName} x${item.quantity}`
+                    : item.displayName;
+
+                return {
+                    label: `${name}  ${price > 0 ? this.formatMoney(price) : '-'}`,
+                    detail: item.description,
+                    disabled: price <= 0
+                };
+            }));
+        }
+    }
+
+    /**
+     * Handle shop screen input
+     */
+    updateShop() {
+        const input = this.gameScene.inputManager;
+        const player = this.gameScene.player;
+        const shop = this.shopMerchant.shop;
+        const index = this.shopMenu.getSelectedIndex();
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.shopMenu.moveCursor(-1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.shopMenu.moveCursor(1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_LEFT) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_RIGHT)) {
+            // Switch between buying and selling
+            this.shopMode = this.shopMode === 'buy' ? 'sell' : 'buy';
+            this.refreshShop();
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT) && index >= 0) {
+            // Trade one item at a time
+            const failure = this.shopMode === 'buy'
+                ? shop.buy(player, index, 1)
+                : shop.sell(player, index, 1);
+            const messages = {
+                sold_out: "Sorry, that's sold out.",
+                money: this.shopMode === 'buy'
+                    ? "You can't afford that."
+                    : "You can't carry any more money.",
+                space: "You can't carry any more.",
+                worthless: "I'm not interested in that."
+            };
+
+            if (failure) {
+                this.gameScene.showDialog({
+                    content: messages[failure],
+                    speaker: this.shopMerchant.displayName,
+                    waitForInput: true
+                });
+            } else {
+                this.refreshShop();
+            }
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+            this.gameScene.closeShop();
+        }
+    }
+
+    /**
+     * Show the container screen
+     *
+     * @param {Object} data - Container open data ({player, container})
+     */
+    showContainer(data) {
+        this.openedContainer = data.container;
+
+        this.containerMenu.setTitle(data.container.displayName);
+        this.containerMenu.setFooter([
+            this.keyHint('Select', CONSTANTS.ACTIONS.MOVE_UP, CONSTANTS.ACTIONS.MOVE_DOWN),
+            this.keyHint('Take', CONSTANTS.ACTIONS.INTERACT),
+            this.keyHint('Take all', CONSTANTS.ACTIONS.DROP),
+            this.keyHint('Close', CONSTANTS.ACTIONS.MENU)
+        ].join('  '));
+        this.containerMenu.show();
+        this.refreshContainer();
+    }
+
+    /**
+     * Hide the container screen
+     */
+    hideContainer() {
+        this.openedContainer = null;
+        this.containerMenu.hide();
+    }
+
+    /**
+     * Rebuild the container rows from its contents
+     */
+    refreshContainer() {
+        if (!this.openedContainer || !this.containerMenu.isVisible()) {
+            return;
+        }
+
+        const dataManager = this.gameScene.dataManager;
+
+        this.containerMenu.setItems(this.openedContainer.getContents().map(entry => {
+            const definition = (dataManager && dataManager.entities[entry.itemId]) || {};
+            const name = definition.displayName || entry.itemId;
+
+            return {
+                label: entry.quantity > 1 ? `${name} x${entry.quantity}` : name,
+                detail: [definition.description, this.describeEffect(definition.useEffect)]
+                    .filter(text => text)
+                    .join('\n')
+            };
+        }));
+    }
+
+    /**
+     * Show the interaction menu
+     *
+     * @param {Object} data - Menu open data ({player, target, interactions, defaultIndex})
+     */
+    showInteractionMenu(data) {
+        this.interactionMenu.setTitle(data.target.displayName);
+        this.interactionMenu.setItems(data.interactions.map(interaction => ({
+            label: interaction.getMessage(data.target)
+        })));
+        this.interactionMenu.setSelectedIndex(data.defaultIndex);
+        this.interactionMenu.setFooter(`${this.keyHint('Choose', CONSTANTS.ACTIONS.INTERACT)}  ` +
+            this.keyHint('Cancel', CONSTANTS.ACTIONS.MENU));
+        this.interactionMenu.show();
+    }
+
+    /**
+     * Hide the interaction menu
+     */
+    hideInteractionMenu() {
+        this.interactionMenu.hide();
+    }
+
+    /**
+     * Handle interaction menu input (up/left and down/right move the cursor)
+     */
+    updateInteractionMenu() {
+        const input = this.gameScene.inputManager;
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_LEFT)) {
+            this.interactionMenu.moveCursor(-1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_RIGHT)) {
+            this.interactionMenu.moveCursor(1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
+            this.gameScene.chooseInteraction(this.interactionMenu.getSelectedIndex());
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+            this.gameScene.closeInteractionMenu();
+        }
+    }
+
+    /**
+     * Handle container screen input
+     */
+    updateContainer() {
+        const input = this.gameScene.inputManager;
+        const player = this.gameScene.player;
+        const container = this.openedContainer;
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.containerMenu.moveCursor(-1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.containerMenu.moveCursor(1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.DROP)) {
+            // Interact takes one of the selected item, drop takes everything
+            const index = this.containerMenu.getSelectedIndex();
+            const taken = input.wasActionJustPressed(CONSTANTS.ACTIONS.DROP)
+                ? container.takeAll(player)
+                : index >= 0 && container.take(player, index, 1);
+
+            if (!taken && !container.isEmpty()) {
+                this.gameScene.showDialog({
+                    content: "You can't carry any more.",
+                    waitForInput: true
+                });
+            }
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+            this.gameScene.closeContainer();
+        }
+    }
+
+    /**
+     * Get a short description of a creature's types, stats and moves
+     *
+     * @param {Creature} creature - Creature to describe
+     * @returns {string} Creature description
+     */
+    describeCreature(creature) {
+        const dataManager = this.gameScene.dataManager;
+        const moves = creature.moves.map(moveId => {
+            const move = dataManager ? dataManager.moves[moveId] : null;
+            return move ? move.displayName || move.id : moveId;
+        });
+
+        return [
+            `Type: ${creature.types.join('/')}`,
+            `Attack ${creature.stats.attack}  Defense ${creature.stats.defense}  ` +
+                `Speed ${creature.stats.speed}`,
+            `Moves: ${moves.join(', ')}`
+        ].join('\n');
+    }
+
+    /**
+     * Handle party screen input
+     */
+    updateParty() {
+        const input = this.gameScene.inputManager;
+        const player = this.gameScene.player;
+        const party = player.party;
+        const index = this.partyMenu.getSelectedIndex();
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.partyMenu.moveCursor(-1);
+            return;
+        }
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.partyMenu.moveCursor(1);
+            return;
+        }
+
+        // Picking who a healing item is used on
+        if (this.partyMode === 'target') {
+            if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT) && index >= 0) {
+                // Row 0 is the player
+                const target = index > 0 ? party.getMember(index - 1) : undefined;
+                if (player.inventory.use(this.healItemIndex, target)) {
+                    this.closeHealTarget();
+                } else {
+                    this.gameScene.showDialog({
+                        content: "It won't have any effect.",
+                        waitForInput: true
+                    });
+                }
+            } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+                this.closeHealTarget();
+            }
+            return;
+        }
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_LEFT) ||
+            input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_RIGHT)) {
+            // Switch between the party and the storage box
+            this.partyView = this.partyView === 'party' ? 'storage' : 'party';
+            this.movingIndex = null;
+            this.refreshParty();
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT) &&
+            this.partyView === 'party' && index >= 0) {
+            // First press picks a creature up, the second puts it in the selected place
+            if (this.movingIndex === null) {
+                this.movingIndex = index;
+                this.refreshParty();
+            } else {
+                const from = this.movingIndex;
+                this.movingIndex = null;
+                if (!party.swap(from, index)) {
+                    this.refreshParty();
+                }
+            }
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.DROP) && index >= 0) {
+            this.movingIndex = null;
+
+            if (this.partyView === 'party' && !party.deposit(index)) {
+                this.gameScene.showDialog({
+                    content: party.getSize() <= 1
+                        ? 'You need to keep at least one creature with you.'
+                        : 'The storage box is full.',
+                    waitForInput: true
+                });
+            } else if (this.partyView === 'storage' && !party.withdraw(index)) {
+                this.gameScene.showDialog({
+                    content: 'Your party is full.',
+                    waitForInput: true
+                });
+            }
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.PARTY)) {
+            this.gameScene.closeParty();
+        }
+    }
+
+    /**
+     * Show the key bindings screen
+     */
+    showKeybindings() {
+        this.rebindingAction = null;
+
+        this.keybindingsMenu.setSelectedIndex(0);
+        this.keybindingsMenu.show();
+        this.refreshKeybindings();
+    }
+
+    /**
+     * Hide the key bindings screen
+     */
+    hideKeybindings() {
+        this.rebindingAction = null;
+        this.keybindingsMenu.hide();
+    }
+
+    /**
+     * Get the display name of an action
+     *
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     * @returns {string} Action name (e.g. 'Move up')
+     */
+    describeAction(action) {
+        const name = action.replace(/_/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Rebuild the key bindings rows from the input manager's keymap
+     */
+    refreshKeybindings() {
+        if (!this.keybindingsMenu.isVisible()) {
+            return;
+        }
+
+        const input = this.gameScene.inputManager;
+
+        if (this.rebindingAction) {
+            const actionName = this.describeAction(this.rebindingAction);
+            this.keybindingsMenu.setFooter(`Press a key for ${actionName}  ` +
+                `${CONFIG.game.input.cancelKey}: Cancel`);
+        } else {
+            this.keybindingsMenu.setFooter([
+                this.keyHint('Add key', CONSTANTS.ACTIONS.INTERACT),
+                this.keyHint('Remove key', CONSTANTS.ACTIONS.DROP),
+                this.keyHint('Close', CONSTANTS.ACTIONS.MENU)
+            ].join('  '));
+        }
+
+        // One row per action, followed by the reset option
+        const rows = Object.values(CONSTANTS.ACTIONS).map(action => ({
+            label: `${this.describeAction(action)}:  ${input.getKeysForAction(action).join(', ')}`,
+            detail: action === this.rebindingAction
+                ? 'Waiting for a key...'
+                : 'Keys taken from another action stop working for it.'
+        }));
+
+        rows.push({
+            label: 'Reset to defaults',
+            detail: 'Go back to the default keys for every action.'
+        });
+
+        this.keybindingsMenu.setItems(rows);
+    }
+
+    /**
+     * Wait for a key press and bind it to an action
+     *
+     * @param {string} action - Action getting the key
+     */
+    startRebinding(action) {
+        const input = this.gameScene.inputManager;
+
+        this.rebindingAction = action;
+        this.refreshKeybindings();
+
+        input.captureNextKey(keyName => {
+            this.rebindingAction = null;
+
+            if (keyName && !input.bindKey(action, keyName)) {
+                this.gameScene.showDialog({
+                    content: `${keyName} is the only key of another action.`,
+                    waitForInput: true
+                });
+            }
+
+            this.refreshKeybindings();
+        });
+    }
+
+    /**
+     * Handle key bindings screen input
+     */
+    updateKeybindings() {
+        const input = this.gameScene.inputManager;
+
+        // Key presses go to the rebinding while it waits for one
+        if (input.isCapturing()) {
+            return;
+        }
+
+        const index = this.keybindingsMenu.getSelectedIndex();
+        const action = Object.values(CONSTANTS.ACTIONS)[index];
+
+        if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_UP)) {
+            this.keybindingsMenu.moveCursor(-1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.MOVE_DOWN)) {
+            this.keybindingsMenu.moveCursor(1);
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.INTERACT)) {
+            // The row after the actions resets them
+            if (action) {
+                this.startRebinding(action);
+            } else {
+                input.resetKeymap();
+                this.refreshKeybindings();
+            }
+        } else if (input.wasActionJustPressed(CONSTANTS.ACTIONS.DROP) && action) {
+            // Remove the most recently added key
+            const keys = input.getKeysForAction(action);
+            if (!input.unbindKey(action, keys[keys.length - 1])) {
+                this.gameScene.showDialog({
+                    content: 'Every action needs at least one key.',
+                    waitForInput: true
+                });
+            }
+        } else if (this.wasClosePressed(CONSTANTS.ACTIONS.MENU)) {
+            this.gameScene.closeKeybindings();
+        }
+    }
+
     /**
      * Update UI elements
      *
@@ -231,6 +1441,26 @@ class UIScene extends Phaser.Scene {
      * @param {number} delta - Time since last update
      */
     update(time, delta) {
-        // Update UI animations or elements here
+        const gameState = this.gameScene.gameState;
+
+        // Handle overlay screen input, skipping the frame the game state changed so the
+        // key that opened the screen or closed a dialog isn't handled twice
+        if (gameState === CONSTANTS.GAME_STATES.PAUSED && this.lastGameState === gameState) {
+            if (this.interactionMenu.isVisible()) {
+                this.updateInteractionMenu();
+            } else if (this.containerMenu.isVisible()) {
+                this.updateContainer();
+            } else if (this.shopMenu.isVisible()) {
+                this.updateShop();
+            } else if (this.partyMenu.isVisible()) {
+                this.updateParty();
+            } else if (this.inventoryMenu.isVisible()) {
+                this.updateInventory();
+            } else if (this.keybindingsMenu.isVisible()) {
+                this.updateKeybindings();
+            }
+        }
+
+        this.lastGameState = gameState;
     }
 }
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * List Menu
+ * A framed, scrollable list with a cursor, used by the UI scene for overlay screens
+ */
+class ListMenu {
+    /**
+     * Create a new list menu
+     *
+     * @param {Object} scene - The scene to draw the menu in
+     * @param {Object} config - Menu configuration
+     * @param {number} config.x - Left position
+     * @param {number} config.y - Top position
+     * @param {number} config.width - Menu width
+     * @param {number} config.height - Menu height
+     * @param {string} [config.title] - Title text
+     * @param {string} [config.emptyText] - Text shown when the list is empty
+     * @param {number} [config.rowHeight] - Height of a row in pixels
+     * @param {number} [config.detailHeight] - Height reserved for the detail text
+     */
+    constructor(scene, config) {
+        this.scene = scene;
+        this.x = config.x;
+        this.y = config.y;
+        this.width = config.width;
+        this.height = config.height;
+        this.title = config.title || '';
+        this.emptyText = config.emptyText || 'Nothing here.';
+        this.rowHeight = config.rowHeight || 22;
+        this.detailHeight = config.detailHeight !== undefined ? config.detailHeight : 70;
+
+        // List state
+        this.items = [];
+        this.selectedIndex = 0;
+        this.scrollOffset = 0;
+        this.visible = false;
+
+        // Rows that fit between the title and the detail area
+        this.visibleRows = Math.max(1, Math.floor(
+            (this.height - 50 - this.detailHeight) / this.rowHeight
+        ));
+
+        this.create();
+        this.hide();
+    }
+
+    /**
+     * Create the menu's display objects
+     */
+    create() {
+        // Background and border
+        this.background = this.scene.add.graphics();
+        this.drawBackground();
+
+        // Title
+        this.titleText = this.scene.add.text(this.x + 15, this.y + 12, this.title, {
+            font: 'bold 18px Arial',
+            fill: '#ffffff'
+        });
+
+        // One text object per visible row
+        this.rowTexts = [];
+        for (let i = 0; i < this.visibleRows; i++) {
+            this.rowTexts.push(this.scene.add.text(
+                this.x + 15,
+                this.y + 45 + i * this.rowHeight,
+                '',
+                {
+                    font: '16px Arial',
+                    fill: '#ffffff'
+                }
+            ));
+        }
+
+        // Detail text for the selected row
+        this.detailText = this.scene.add.text(
+            this.x + 15,
+            this.y + this.height - this.detailHeight,
+            '',
+            {
+                font: '14px Arial',
+                fill: '#cccccc',
+                wordWrap: { width: this.width - 30 }
+            }
+        );
+
+        // Footer with key hints
+        this.footerText = this.scene.add.text(
+            this.x + this.width - 15,
+            this.y + 14,
+            '',
+            {
+                font: '12px Arial',
+                fill: '#aaaaaa'
+            }
+        ).setOrigin(1, 0);
+    }
+
+    /**
+     * Draw the menu background
+     */
+    drawBackground() {
+        this.background.clear();
+
+        // Semi-transparent panel
+        this.background.fillStyle(0x000000, 0.85);
+        this.background.fillRect(this.x, this.y, this.width, this.height);
+
+        // Border
+        this.background.lineStyle(2, 0xffffff, 0.8);
+        this.background.strokeRect(this.x, this.y, this.width, this.height);
+
+        // Separator above the detail area
+        if (this.detailHeight > 0) {
+            this.background.lineStyle(1, 0xffffff, 0.3);
+            this.background.lineBetween(
+                this.x + 10,
+                this.y + this.height - this.detailHeight - 8,
+                this.x + this.width - 10,
+                this.y + this.height - this.detailHeight - 8
+            );
+        }
+    }
+
+    /**
+     * Set the title text
+     *
+     * @param {string} title - New title
+     */
+    setTitle(title) {
+        this.title = title;
+        this.titleText.setText(title);
+    }
+
+    /**
+     * Set the key hint text
+     *
+     * @param {string} text - Footer text
+     */
+    setFooter(text) {
+        this.footerText.setText(text);
+    }
+
+    /**
+     * Replace the list contents, keeping the cursor in range
+     *
+     * @param {Array<Object>} items - Rows as {label, detail, disabled}
+     */
+    setItems(items) {
+        this.items = items || [];
+        const lastIndex = Math.max(0, this.items.length - 1);
+        this.selectedIndex = MathUtils.clamp(this.selectedIndex, 0, lastIndex);
+        this.refresh();
+    }
+
+    /**
+     * Move the cursor, wrapping around the ends of the list
+     *
+     * @param {number} delta - Rows to move (negative moves up)
+     */
+    moveCursor(delta) {
+        if (this.items.length === 0) {
+            return;
+        }
+
+        this.selectedIndex = (this.selectedIndex + delta + this.items.length) % this.items.length;
+        this.refresh();
+    }
+
+    /**
+     * Move the cursor to a row
+     *
+     * @param {number} index - Row index (clamped to the list)
+     */
+    setSelectedIndex(index) {
+        this.selectedIndex = MathUtils.clamp(index, 0, Math.max(0, this.items.length - 1));
+        this.refresh();
+    }
+
+    /**
+     * Get the index of the selected row
+     *
+     * @returns {number} Selected index, or -1 if the list is empty
+     */
+    getSelectedIndex() {
+        return this.items.length > 0 ? this.selectedIndex : -1;
+    }
+
+    /**
+     * Get the selected row
+     *
+     * @returns {Object|null} Selected row or null if the list is empty
+     */
+    getSelectedItem() {
+        return this.items[this.selectedIndex] || null;
+    }
+
+    /**
+     * Redraw the rows, scrolling so the cursor stays visible
+     */
+    refresh() {
+        // Keep the selected row inside the visible window
+        if (this.selectedIndex < this.scrollOffset) {
+            this.scrollOffset = this.selectedIndex;
+        } else if (this.selectedIndex >= this.scrollOffset + this.visibleRows) {
+            this.scrollOffset = this.selectedIndex - this.visibleRows + 1;
+        }
+
+        for (let i = 0; i < this.visibleRows; i++) {
+            const rowText = this.rowTexts[i];
+            const index = this.scrollOffset + i;
+            const item = this.items[index];
+
+            if (!item) {
+                rowText.setText(i === 0 && this.items.length === 0 ? this.emptyText : '');
+                rowText.setColor('#888888');
+                continue;
+            }
+
+            const selected = index === this.selectedIndex;
+            rowText.setText(`${selected ? '► ' : '   '}${item.label}`);
+
+            if (item.disabled) {
+                rowText.setColor('#777777');
+            } else {
+                rowText.setColor(selected ? '#ffff66' : '#ffffff');
+            }
+        }
+
+        const selectedItem = this.getSelectedItem();
+        this.detailText.setText(selectedItem && selectedItem.detail ? selectedItem.detail : '');
+    }
+
+    /**
+     * Show the menu
+     */
+    show() {
+        this.visible = true;
+        this.setVisible(true);
+        this.refresh();
+    }
+
+    /**
+     * Hide the menu
+     */
+    hide() {
+        this.visible = false;
+        this.setVisible(false);
+    }
+
+    /**
+     * Check if the menu is shown
+     *
+     * @returns {boolean} Whether the menu is visible
+     */
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * Set the visibility of all display objects
+     *
+     * @param {boolean} visible - Whether to show the objects
+     */
+    setVisible(visible) {
+        this.background.setVisible(visible);
+        this.titleText.setVisible(visible);
+        this.detailText.setVisible(visible);
+        this.footerText.setVisible(visible);
+        this.rowTexts.forEach(rowText => rowText.setVisible(visible));
+    }
+
+    /**
+     * Destroy all display objects
+     */
+    destroy() {
+        this.background.destroy();
+        this.titleText.destroy();
+        this.detailText.destroy();
+        this.footerText.destroy();
+        this.rowTexts.forEach(rowText => rowText.destroy());
+        this.rowTexts = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Touch Controls
+ * An on-screen d-pad and action buttons for touch screens, holding actions on the input manager
+ * while a finger is on them
+ */
+class TouchControls {
+    /**
+     * Create the touch controls
+     *
+     * @param {Object} scene - The scene to draw the controls in
+     * @param {InputManager} inputManager - Input manager whose actions the controls hold
+     */
+    constructor(scene, inputManager) {
+        this.scene = scene;
+        this.inputManager = inputManager;
+        this.config = CONFIG.game.input.touch;
+
+        // Buttons ({action, label, x, y, size, round}) and the action each pointer is holding
+        this.buttons = [];
+        this.pointers = {};
+        this.visible = false;
+
+        this.layout();
+        this.create();
+        this.hide();
+    }
+
+    /**
+     * Check if the device has a touch screen
+     *
+     * @returns {boolean} Whether touch input is available
+     */
+    static isTouchDevice() {
+        return Helpers.isMobileDevice() ||
+            (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+    }
+
+    /**
+     * Work out where the buttons go: the d-pad in the bottom left corner and the
+     * action buttons in a two-column block in the bottom right corner
+     */
+    layout() {
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const margin = this.config.margin;
+        const size = this.config.dpadButtonSize;
+        const radius = this.config.buttonRadius;
+
+        // D-pad arrows around an empty centre
+        const centerX = margin + size * 1.5;
+        const centerY = height - margin - size * 1.5;
+        const arrows = [
+            { action: CONSTANTS.ACTIONS.MOVE_UP, label: '▲', dx: 0, dy: -1 },
+            { action: CONSTANTS.ACTIONS.MOVE_DOWN, label: '▼', dx: 0, dy: 1 },
+            { action: CONSTANTS.ACTIONS.MOVE_LEFT, label: '◀', dx: -1, dy: 0 },
+            { action: CONSTANTS.ACTIONS.MOVE_RIGHT, label: '▶', dx: 1, dy: 0 }
+        ];
+
+        this.buttons = arrows.map(arrow => ({
+            action: arrow.action,
+            label: arrow.label,
+            x: centerX + arrow.dx * size,
+            y: centerY + arrow.dy * size,
+            size: size,
+            round: false
+        }));
+
+        // Action buttons, filling each row from the right
+        const spacing = radius * 2 + 12;
+        this.config.buttons.forEach((button, index) => {
+            this.buttons.push({
+                action: button.action,
+                label: button.label,
+                x: width - margin - radius - (index % 2) * spacing,
+                y: height - margin - radius - Math.floor(index / 2) * spacing,
+                size: radius * 2,
+                round: true
+            });
+        });
+    }
+
+    /**
+     * Create the controls' display objects
+     */
+    create() {
+        this.graphics = this.scene.add.graphics();
+
+        this.labels = this.buttons.map(button => {
+            const style = {
+                font: button.round ? 'bold 14px Arial' : 'bold 18px Arial',
+                fill: '#ffffff'
+            };
+            return this.scene.add.text(button.x, button.y, button.label, style).setOrigin(0.5, 0.5);
+        });
+
+        this.draw();
+    }
+
+    /**
+     * Draw the buttons, highlighting the held ones
+     */
+    draw() {
+        const held = Object.values(this.pointers);
+
+        this.graphics.clear();
+
+        this.buttons.forEach(button => {
+            const alpha = held.includes(button.action)
+                ? Math.min(1, this.config.alpha * 2)
+                : this.config.alpha;
+            const half = button.size / 2;
+
+            this.graphics.fillStyle(0x000000, alpha);
+            this.graphics.lineStyle(2, 0xffffff, alpha);
+
+            if (button.round) {
+                this.graphics.fillCircle(button.x, button.y, half);
+                this.graphics.strokeCircle(button.x, button.y, half);
+            } else {
+                const left = button.x - half;
+                const top = button.y - half;
+                this.graphics.fillRect(left, top, button.size, button.size);
+                this.graphics.strokeRect(left, top, button.size, button.size);
+            }
+        });
+
+        this.labels.forEach(label => label.setAlpha(Math.min(1, this.config.alpha * 2)));
+    }
+
+    /**
+     * Get the button under a point on the screen
+     *
+     * @param {number} x - Screen X position
+     * @param {number} y - Screen Y position
+     * @returns {Object|null} Button or null if there is none
+     */
+    getButtonAt(x, y) {
+        return this.buttons.find(button => {
+            const half = button.size / 2;
+
+            if (button.round) {
+                return (x - button.x) ** 2 + (y - button.y) ** 2 <= half * half;
+            }
+
+            return Math.abs(x - button.x) <= half && Math.abs(y - button.y) <= half;
+        }) || null;
+    }
+
+    /**
+     * Press the button under a pointer that went down
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went down
+     * @returns {boolean} Whether the pointer landed on a button
+     */
+    handlePointerDown(pointer) {
+        if (!this.visible) {
+            return false;
+        }
+
+        const button = this.getButtonAt(pointer.x, pointer.y);
+        if (!button) {
+            return false;
+        }
+
+        this.hold(pointer.id, button.action);
+        return true;
+    }
+
+    /**
+     * Follow a pointer sliding between buttons, so a thumb can roll around the d-pad
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that moved
+     */
+    handlePointerMove(pointer) {
+        if (!(pointer.id in this.pointers)) {
+            return;
+        }
+
+        const button = this.getButtonAt(pointer.x, pointer.y);
+        const action = button ? button.action : null;
+
+        if (action !== this.pointers[pointer.id]) {
+            this.release(pointer.id);
+            if (action) {
+                this.hold(pointer.id, action);
+            }
+        }
+    }
+
+    /**
+     * Release the button held by a pointer that went up
+     *
+     * @param {Phaser.Input.Pointer} pointer - Pointer that went up
+     */
+    handlePointerUp(pointer) {
+        this.release(pointer.id);
+    }
+
+    /**
+     * Hold an action for a pointer
+     *
+     * @param {number} pointerId - Pointer ID
+     * @param {string} action - Action (CONSTANTS.ACTIONS)
+     */
+    hold(pointerId, action) {
+        this.pointers[pointerId] = action;
+        this.inputManager.setTouchAction(action, true);
+        this.draw();
+    }
+
+    /**
+     * Release the action held by a pointer, unless another pointer still holds it
+     *
+     * @param {number} pointerId - Pointer ID
+     */
+    release(pointerId) {
+        const action = this.pointers[pointerId];
+        if (!action) {
+            return;
+        }
+
+        delete this.pointers[pointerId];
+
+        if (!Object.values(this.pointers).includes(action)) {
+            this.inputManager.setTouchAction(action, false);
+        }
+
+        this.draw();
+    }
+
+    /**
+     * Release every held button
+     */
+    releaseAll() {
+        this.pointers = {};
+        this.inputManager.releaseTouchActions();
+        this.draw();
+    }
+
+    /**
+     * Show the controls
+     */
+    show() {
+        this.setVisible(true);
+    }
+
+    /**
+     * Hide the controls, letting go of any held buttons
+     */
+    hide() {
+        this.releaseAll();
+        this.setVisible(false);
+    }
+
+    /**
+     * Check if the controls are visible
+     *
+     * @returns {boolean} Whether the controls are visible
+     */
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * Set the visibility of every display object
+     *
+     * @param {boolean} visible - Whether the controls are visible
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.graphics.setVisible(visible);
+        this.labels.forEach(label => label.setVisible(visible));
+    }
+
+    /**
+     * Destroy the controls' display objects
+     */
+    destroy() {
+        this.releaseAll();
+        this.graphics.destroy();
+        this.labels.forEach(label => label.destroy());
+    }
+}
\ No newline at end of file
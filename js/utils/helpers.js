@@ -134,5 +134,15 @@ const Helpers = {
             clearTimeout(timeout);
             timeout = setTimeout(() => func.apply(context, args), wait);
         };
+    },
+
+    /**
+     * Check if the game is running on a mobile device
+     *
+     * @returns {boolean} Whether the user agent is a mobile one
+     */
+    isMobileDevice: function() {
+        const mobileAgents = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+        return typeof navigator !== 'undefined' && mobileAgents.test(navigator.userAgent);
     }
 };
\ No newline at end of file
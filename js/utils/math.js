@@ -26,6 +26,71 @@ const MathUtils = {
         return Math.random() * (max - min) + min;
     },
 
+    /**
+     * Turn a number or string into a 32-bit seed
+     *
+     * @param {number|string} value - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    hashSeed: function(value) {
+        if (typeof value === 'number') {
+            return value >>> 0;
+        }
+
+        // FNV-1a hash of the string
+        let hash = 2166136261;
+        for (let i = 0; i < String(value).length; i++) {
+            hash ^= String(value).charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * The same seed always produces the same sequence
+     *
+     * @param {number|string} seed - Seed value
+     * @returns {Function} Function returning a random float between 0 (inclusive) and 1 (exclusive)
+     */
+    createRandom: function(seed) {
+        let state = MathUtils.hashSeed(seed);
+
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Pick an entry from a list using each entry's weight
+     *
+     * @param {Array<Object>} entries - Entries with a numeric weight property (defaults to 1)
+     * @param {Function} [random=Math.random] - Random number generator
+     * @returns {Object|null} Picked entry or null if the list is empty
+     */
+    weightedPick: function(entries, random = Math.random) {
+        const weightOf = entry => (entry.weight !== undefined ? entry.weight : 1);
+        const total = entries.reduce((sum, entry) => sum + weightOf(entry), 0);
+
+        if (total <= 0) {
+            return null;
+        }
+
+        let roll = random() * total;
+        for (const entry of entries) {
+            roll -= weightOf(entry);
+            if (roll < 0) {
+                return entry;
+            }
+        }
+
+        return entries[entries.length - 1];
+    },
+
     /**
      * Clamp a value between min and max
      *
@@ -16,6 +16,9 @@ class Grid {
         this.tileSize = config.tileSize || CONSTANTS.TILE_SIZE;
         this.defaultTileType = config.defaultTileType || CONSTANTS.TILE_TYPES.GRASS;
 
+        // Bumped on every tile change so data cached from the tiles can tell it is stale
+        this.version = 0;
+
         // Initialize the grid with default tiles
         this.tiles = [];
         this.reset();
@@ -26,6 +29,7 @@ class Grid {
      */
     reset() {
         this.tiles = [];
+        this.version++;
 
         // Initialize with default tiles
         for (let y = 0; y < this.height; y++) {
@@ -116,6 +120,7 @@ class Grid {
         }
 
         this.tiles[y][x] = tile;
+        this.version++;
         return true;
     }
 
@@ -135,6 +140,41 @@ class Grid {
         };
     }
 
+    /**
+     * Get the tiles in a straight line from coordinates, not including the starting tile
+     * The line ends early at the edge of the grid
+     *
+     * @param {number} x - Starting X coordinate
+     * @param {number} y - Starting Y coordinate
+     * @param {string} direction - Direction of the line (see CONSTANTS.DIRECTIONS)
+     * @param {number} length - Maximum number of tiles
+     * @returns {Array} Tiles ordered by distance from the start
+     */
+    getTilesInLine(x, y, direction, length) {
+        const steps = {
+            [CONSTANTS.DIRECTIONS.NORTH]: { x: 0, y: -1 },
+            [CONSTANTS.DIRECTIONS.EAST]: { x: 1, y: 0 },
+            [CONSTANTS.DIRECTIONS.SOUTH]: { x: 0, y: 1 },
+            [CONSTANTS.DIRECTIONS.WEST]: { x: -1, y: 0 }
+        };
+        const step = steps[direction];
+        const result = [];
+
+        if (!step) {
+            return result;
+        }
+
+        for (let i = 1; i <= length; i++) {
+            const tile = this.getTileAt(x + step.x * i, y + step.y * i);
+            if (!tile) {
+                break;
+            }
+            result.push(tile);
+        }
+
+        return result;
+    }
+
     /**
      * Get all tiles of a specific type
      *
@@ -0,0 +1,298 @@
+/**
+ * Pathfinder class
+ * Finds paths over the scene's grid, weighting tiles by their movement cost
+ */
+class Pathfinder {
+    /**
+     * Create a new pathfinder
+     *
+     * @param {Object} scene - The scene whose grid and entities are searched
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // Movement costs of the current grid, rebuilt when the grid changes
+        this.layer = null;
+    }
+
+    /**
+     * Get the navigation layer for the current grid, rebuilding it if the grid changed
+     *
+     * @returns {Object|null} Layer ({grid, version, costs}) or null if there is no grid
+     */
+    getNavigationLayer() {
+        const grid = this.scene.grid;
+        if (!grid) {
+            return null;
+        }
+
+        if (!this.layer || this.layer.grid !== grid || this.layer.version !== grid.version) {
+            this.layer = this.buildNavigationLayer(grid);
+        }
+
+        return this.layer;
+    }
+
+    /**
+     * Build the movement costs of every tile of a grid
+     *
+     * @param {Grid} grid - Grid to build the layer for
+     * @returns {Object} Layer ({grid, version, costs}); costs are indexed [y][x]
+     */
+    buildNavigationLayer(grid) {
+        const costs = [];
+
+        for (let y = 0; y < grid.height; y++) {
+            costs[y] = [];
+            for (let x = 0; x < grid.width; x++) {
+                costs[y][x] = this.getMovementCost(grid.getTileAt(x, y));
+            }
+        }
+
+        return {
+            grid: grid,
+            version: grid.version,
+            costs: costs
+        };
+    }
+
+    /**
+     * Drop the navigation layer so it is rebuilt on the next search
+     * Tile changes through Grid.setTileAt are picked up without this; call it after
+     * changing a tile's properties or tags in place
+     */
+    invalidate() {
+        this.layer = null;
+    }
+
+    /**
+     * Get the cost of stepping onto a tile
+     * A movementCost property on the tile wins over the one in its tile definition;
+     * without either, 'slow' tiles cost CONFIG.game.pathfinding.slowCost
+     *
+     * @param {Tile} tile - Tile to check
+     * @returns {number} Movement cost (at least 1)
+     */
+    getMovementCost(tile) {
+        let cost = tile.getProperty('movementCost', undefined);
+
+        if (cost === undefined) {
+            const dataManager = this.scene.dataManager;
+            const definition = dataManager ? dataManager.tiles[tile.type] : null;
+            cost = definition && definition.properties
+                ? definition.properties.movementCost
+                : undefined;
+        }
+
+        if (typeof cost !== 'number') {
+            cost = Helpers.hasTag(tile, CONSTANTS.TAGS.SLOW) ? CONFIG.game.pathfinding.slowCost : 1;
+        }
+
+        // Blocking tiles have a cost of 0 in the data;
+        // whether a tile can be entered is up to isWalkable
+        return Math.max(1, cost);
+    }
+
+    /**
+     * Check if a tile can be stepped onto
+     *
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @param {Object} [options] - Search options
+     * @param {Entity} [options.entity] - Entity that is moving
+     *                                    (its canPassTile decides which tiles it can enter)
+     * @param {boolean} [options.ignoreEntities] - Whether blocking entities are ignored
+     * @returns {boolean} Whether the tile can be stepped onto
+     */
+    isWalkable(x, y, options = {}) {
+        const tile = this.scene.grid ? this.scene.grid.getTileAt(x, y) : null;
+        if (!tile) {
+            return false;
+        }
+
+        const entity = options.entity || null;
+        const passable = entity
+            ? entity.canPassTile(tile)
+            : Helpers.hasTag(tile, CONSTANTS.TAGS.PASSABLE);
+
+        if (!passable) {
+            return false;
+        }
+
+        if (options.ignoreEntities) {
+            return true;
+        }
+
+        return !this.scene.getEntitiesAt(x, y).some(other =>
+            other !== entity && Helpers.hasTag(other, CONSTANTS.TAGS.BLOCKING)
+        );
+    }
+
+    /**
+     * Find the cheapest path between two positions with A*
+     *
+     * @param {Object} start - Starting position {x, y}
+     * @param {Object} goal - Goal position {x, y}
+     * @param {Object} [options] - Search options (also see isWalkable)
+     * @param {boolean} [options.adjacent] - Stop next to the goal instead of on it
+     *                                       (e.g. to talk to an NPC)
+     * @param {number} [options.maxCost] - Most a path may cost
+     * @returns {Array<Object>|null} Positions {x, y} to step through, not including the start,
+     *                               or null if there is no path
+     */
+    findPath(start, goal, options = {}) {
+        const layer = this.getNavigationLayer();
+        if (!layer || !layer.grid.isInBounds(goal.x, goal.y)) {
+            return null;
+        }
+
+        const grid = layer.grid;
+        const key = (x, y) => y * grid.width + x;
+        const distance = (x, y) => Math.abs(x - goal.x) + Math.abs(y - goal.y);
+        const isGoal = (x, y) => options.adjacent ? distance(x, y) === 1 : distance(x, y) === 0;
+
+        // Every step costs at least 1, so the remaining distance never overestimates
+        const estimate = (x, y) => Math.max(0, distance(x, y) - (options.adjacent ? 1 : 0));
+
+        const open = [{ x: start.x, y: start.y, cost: 0, total: estimate(start.x, start.y) }];
+        const costs = new Map([[key(start.x, start.y), 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+
+        while (open.length > 0 && closed.size < CONFIG.game.pathfinding.maxSearchNodes) {
+            // Expand the open tile with the lowest estimated total
+            // (grids are small, so a scan will do)
+            let best = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].total < open[best].total) {
+                    best = i;
+                }
+            }
+
+            const current = open.splice(best, 1)[0];
+            const currentKey = key(current.x, current.y);
+            if (closed.has(currentKey)) {
+                continue;
+            }
+            closed.add(currentKey);
+
+            if (isGoal(current.x, current.y)) {
+                return this.buildPath(cameFrom, current, key);
+            }
+
+            Object.values(grid.getNeighbors(current.x, current.y)).forEach(tile => {
+                if (!tile || closed.has(key(tile.x, tile.y)) ||
+                    !this.isWalkable(tile.x, tile.y, options)) {
+                    return;
+                }
+
+                const cost = current.cost + layer.costs[tile.y][tile.x];
+                const tileKey = key(tile.x, tile.y);
+
+                if ((options.maxCost !== undefined && cost > options.maxCost) ||
+                    (costs.has(tileKey) && costs.get(tileKey) <= cost)) {
+                    return;
+                }
+
+                costs.set(tileKey, cost);
+                cameFrom.set(tileKey, current);
+                const total = cost + estimate(tile.x, tile.y);
+                open.push({ x: tile.x, y: tile.y, cost: cost, total: total });
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk back from the end of a search to its start
+     *
+     * @param {Map} cameFrom - Search node each tile was reached from, by tile key
+     * @param {Object} end - Last search node
+     * @param {Function} key - Function turning a position into a tile key
+     * @returns {Array<Object>} Positions {x, y}, not including the start
+     */
+    buildPath(cameFrom, end, key) {
+        const path = [];
+        let node = end;
+
+        while (cameFrom.has(key(node.x, node.y))) {
+            path.unshift({ x: node.x, y: node.y });
+            node = cameFrom.get(key(node.x, node.y));
+        }
+
+        return path;
+    }
+
+    /**
+     * Find every tile reachable from a position with a breadth-first flood fill
+     * Movement costs are ignored; tiles are counted in steps
+     *
+     * @param {Object} start - Starting position {x, y}
+     * @param {Object} [options] - Search options (also see isWalkable)
+     * @param {number} [options.maxSteps] - Furthest a tile may be, in steps
+     * @returns {Array<Object>} Reachable positions {x, y, steps}, nearest first,
+     *                          including the start
+     */
+    floodFill(start, options = {}) {
+        const grid = this.scene.grid;
+        if (!grid || !grid.isInBounds(start.x, start.y)) {
+            return [];
+        }
+
+        const reached = [{ x: start.x, y: start.y, steps: 0 }];
+        const seen = new Set([start.y * grid.width + start.x]);
+
+        // The reached list doubles as the queue
+        for (let i = 0; i < reached.length; i++) {
+            const current = reached[i];
+            if (options.maxSteps !== undefined && current.steps >= options.maxSteps) {
+                continue;
+            }
+
+            Object.values(grid.getNeighbors(current.x, current.y)).forEach(tile => {
+                const tileKey = tile ? tile.y * grid.width + tile.x : null;
+                if (!tile || seen.has(tileKey) || !this.isWalkable(tile.x, tile.y, options)) {
+                    return;
+                }
+
+                seen.add(tileKey);
+                reached.push({ x: tile.x, y: tile.y, steps: current.steps + 1 });
+            });
+        }
+
+        return reached;
+    }
+
+    /**
+     * Get the total movement cost of a path
+     *
+     * @param {Array<Object>} path - Positions {x, y}, not including the start
+     * @returns {number} Sum of the tiles' movement costs
+     */
+    getPathCost(path) {
+        const layer = this.getNavigationLayer();
+        if (!layer) {
+            return 0;
+        }
+
+        return path.reduce((total, step) => total + layer.costs[step.y][step.x], 0);
+    }
+
+    /**
+     * Turn a path into the directions to move in, for moveInDirection
+     *
+     * @param {Object} start - Starting position {x, y}
+     * @param {Array<Object>} path - Positions {x, y}, not including the start
+     * @returns {Array<string>} Directions, one per step
+     */
+    getDirections(start, path) {
+        let previous = start;
+
+        return path.map(step => {
+            const direction = Helpers.getDirection(previous, step);
+            previous = step;
+            return direction;
+        });
+    }
+}
\ No newline at end of file
@@ -13,7 +13,7 @@ class Tile {
         this.y = config.y || 0;
         this.type = config.type || CONSTANTS.TILE_TYPES.GRASS;
         this.properties = config.properties || {};
-        this.tags = config.tags || [];
+        this.tags = config.tags ? [...config.tags] : [];
 
         // Set default properties based on type
         this.setDefaultPropertiesByType();
@@ -27,27 +27,42 @@ class Tile {
         switch (this.type) {
             case CONSTANTS.TILE_TYPES.GRASS:
                 this.color = this.properties.color || '#7CFC00'; // Light green
-                this.tags = this.tags.concat(['passable', 'natural']);
+                this.addDefaultTags(['passable', 'natural']);
                 break;
 
             case CONSTANTS.TILE_TYPES.FOREST:
                 this.color = this.properties.color || '#228B22'; // Forest green
-                this.tags = this.tags.concat(['passable', 'natural', 'slow']);
+                this.addDefaultTags(['passable', 'natural', 'slow']);
                 break;
 
             case CONSTANTS.TILE_TYPES.WATER:
                 this.color = this.properties.color || '#1E90FF'; // Dodger blue
-                this.tags = this.tags.concat(['blocking', 'natural', 'water']);
+                this.addDefaultTags(['blocking', 'natural', 'water']);
                 break;
 
             case CONSTANTS.TILE_TYPES.ROCK:
                 this.color = this.properties.color || '#A9A9A9'; // Dark gray
-                this.tags = this.tags.concat(['blocking', 'natural']);
+                this.addDefaultTags(['blocking', 'natural']);
                 break;
 
             case CONSTANTS.TILE_TYPES.TELEPORTER:
                 this.color = this.properties.color || '#800080'; // Purple
-                this.tags = this.tags.concat(['passable', 'teleporter']);
+                this.addDefaultTags(['passable', 'teleporter']);
+                break;
+
+            case CONSTANTS.TILE_TYPES.SWAMP:
+                this.color = this.properties.color || '#556B2F'; // Dark olive green
+                this.addDefaultTags(['passable', 'natural', 'slow']);
+                break;
+
+            case CONSTANTS.TILE_TYPES.ICE:
+                this.color = this.properties.color || '#B0E0E6'; // Powder blue
+                this.addDefaultTags(['passable', 'natural', 'ice']);
+                break;
+
+            case CONSTANTS.TILE_TYPES.CONVEYOR:
+                this.color = this.properties.color || '#708090'; // Slate gray
+                this.addDefaultTags(['passable', 'conveyor']);
                 break;
 
             default:
@@ -57,6 +72,16 @@ class Tile {
         }
     }
 
+    /**
+     * Add the default tags for this tile type
+     * Skips tags that are already present (e.g. when restoring a serialized tile)
+     *
+     * @param {Array<string>} defaultTags - Tags to add
+     */
+    addDefaultTags(defaultTags) {
+        defaultTags.forEach(tag => this.addTag(tag));
+    }
+
     /**
      * Check if this tile has a specific tag
      *
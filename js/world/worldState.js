@@ -0,0 +1,82 @@
+/**
+ * World State
+ * Remembers how each visited zone differs from its zone data so changes survive zone transitions
+ */
+class WorldState {
+    /**
+     * Create a new world state registry
+     *
+     * @param {Object} scene - The scene this registry belongs to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.zoneDeltas = {};
+    }
+
+    /**
+     * Record the current state of a zone
+     *
+     * @param {Zone} zone - Zone to record
+     */
+    storeZone(zone) {
+        if (!zone) {
+            return;
+        }
+
+        this.zoneDeltas[zone.id] = zone.createDelta();
+    }
+
+    /**
+     * Get the recorded delta for a zone
+     *
+     * @param {string} zoneId - Zone ID
+     * @returns {Object|null} Zone delta or null if the zone has not been recorded
+     */
+    getZoneDelta(zoneId) {
+        return this.zoneDeltas[zoneId] || null;
+    }
+
+    /**
+     * Check if a zone has been recorded
+     *
+     * @param {string} zoneId - Zone ID
+     * @returns {boolean} Whether the zone has been visited and recorded
+     */
+    hasZone(zoneId) {
+        return this.zoneDeltas.hasOwnProperty(zoneId);
+    }
+
+    /**
+     * Forget the recorded state of a zone so it loads from its zone data again
+     *
+     * @param {string} zoneId - Zone ID
+     */
+    resetZone(zoneId) {
+        delete this.zoneDeltas[zoneId];
+    }
+
+    /**
+     * Forget the recorded state of all zones
+     */
+    clear() {
+        this.zoneDeltas = {};
+    }
+
+    /**
+     * Generate a serializable representation of all recorded zones
+     *
+     * @returns {Object} Zone deltas keyed by zone ID
+     */
+    serialize() {
+        return Helpers.deepClone(this.zoneDeltas);
+    }
+
+    /**
+     * Replace the recorded zones with serialized data
+     *
+     * @param {Object} zoneDeltas - Zone deltas keyed by zone ID (see serialize)
+     */
+    restore(zoneDeltas) {
+        this.zoneDeltas = zoneDeltas ? Helpers.deepClone(zoneDeltas) : {};
+    }
+}
\ No newline at end of file
@@ -14,6 +14,9 @@ class Zone {
         this.id = config.id || 'unknown';
         this.displayName = config.displayName || 'Unknown Zone';
 
+        // Wild encounter tables ({rate, table, tileTypes}), if any
+        this.encounters = config.encounters || null;
+
         // Create the grid for this zone
         this.grid = new Grid(scene, {
             width: config.width || 20,
@@ -33,6 +36,9 @@ class Zone {
         if (config.entities) {
             this.loadEntities(config.entities);
         }
+
+        // Remember the state defined by the zone data so changes can be detected later
+        this.baseline = this.captureState();
     }
 
     /**
@@ -46,7 +52,7 @@ class Zone {
             return;
         }
 
-        entitiesData.forEach(entityData => {
+        entitiesData.forEach((entityData, index) => {
             // Skip entities with missing required fields
             if (entityData.type === undefined ||
                 entityData.x === undefined ||
@@ -55,38 +61,66 @@ class Zone {
                 return;
             }
 
-            // Create the entity based on its type
-            let entity;
+            // Give entities without an id a stable one so they can be tracked across reloads;
+            // entityId names the definition when several entities share one (e.g. chests)
+            const entity = this.createEntity({
+                ...this.getEntityDefinition(entityData.entityId || entityData.id),
+                ...entityData,
+                id: entityData.id || `${this.id}_entity_${index}`
+            });
+
+            if (entity) {
+                this.addEntity(entity);
+            }
+        });
+    }
+
+    /**
+     * Get a copy of the entity definition a zone entity refers to
+     *
+     * @param {string} entityId - Entity definition ID
+     * @returns {Object} Copy of the entity definition, or an empty object if there is none
+     */
+    getEntityDefinition(entityId) {
+        const dataManager = this.scene.dataManager;
 
-            switch (entityData.type) {
-                case CONSTANTS.ENTITY_TYPES.PLAYER:
-                    // Player is typically created separately and not from zone data
-                    console.warn('Zone.loadEntities: Player entity should be created separately');
-                    break;
+        if (!entityId || !dataManager || !dataManager.entities[entityId]) {
+            return {};
+        }
 
-                case CONSTANTS.ENTITY_TYPES.NPC:
-                    entity = new NPC(this.scene, entityData);
-                    break;
+        return Helpers.deepClone(dataManager.getEntity(entityId));
+    }
 
-                case CONSTANTS.ENTITY_TYPES.ITEM:
-                    entity = new Item(this.scene, entityData);
-                    break;
+    /**
+     * Create an entity instance from entity data
+     *
+     * @param {Object} entityData - Entity data (from zone data or a serialized entity)
+     * @returns {Entity|null} The created entity or null if it should not be created
+     */
+    createEntity(entityData) {
+        switch (entityData.type) {
+            case CONSTANTS.ENTITY_TYPES.PLAYER:
+                // Player is typically created separately and not from zone data
+                console.warn('Zone.createEntity: Player entity should be created separately');
+                return null;
 
-                case CONSTANTS.ENTITY_TYPES.FURNITURE:
-                    // Furniture might be a separate class, or just use the base Entity
-                    entity = new Entity(this.scene, entityData);
-                    break;
+            case CONSTANTS.ENTITY_TYPES.NPC:
+                return new NPC(this.scene, entityData);
 
-                default:
-                    // For unknown types, create a base entity
-                    entity = new Entity(this.scene, entityData);
-                    break;
-            }
+            case CONSTANTS.ENTITY_TYPES.ITEM:
+                return new Item(this.scene, entityData);
 
-            if (entity) {
-                this.addEntity(entity);
-            }
-        });
+            case CONSTANTS.ENTITY_TYPES.CONTAINER:
+                return new Container(this.scene, entityData);
+
+            case CONSTANTS.ENTITY_TYPES.FURNITURE:
+                // Furniture might be a separate class, or just use the base Entity
+                return new Entity(this.scene, entityData);
+
+            default:
+                // For unknown types, create a base entity
+                return new Entity(this.scene, entityData);
+        }
     }
 
     /**
@@ -183,6 +217,13 @@ class Zone {
         });
     }
 
+    /**
+     * Release the resources held by the zone's entities
+     */
+    destroy() {
+        this.entities.forEach(entity => entity.destroy());
+    }
+
     /**
      * Find all teleporters in this zone
      *
@@ -203,6 +244,113 @@ class Zone {
         return this.grid.isInBounds(x, y);
     }
 
+    /**
+     * Capture the current tile and entity state of the zone
+     *
+     * @returns {Object} Serialized tiles keyed by "x,y" and entities keyed by id
+     */
+    captureState() {
+        const state = {
+            tiles: {},
+            entities: {}
+        };
+
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                const tile = this.grid.getTileAt(x, y);
+                if (tile) {
+                    state.tiles[`${x},${y}`] = JSON.stringify(tile.serialize());
+                }
+            }
+        }
+
+        this.entities.forEach(entity => {
+            state.entities[entity.id] = JSON.stringify(entity.serialize());
+        });
+
+        return state;
+    }
+
+    /**
+     * Create a delta describing how this zone differs from its zone data
+     *
+     * @returns {Object} Delta with changed tiles, changed or added entities and removed entity ids
+     */
+    createDelta() {
+        const delta = {
+            tiles: [],
+            entities: [],
+            removedEntities: []
+        };
+
+        // Tiles that no longer match the zone data
+        for (let y = 0; y < this.grid.height; y++) {
+            for (let x = 0; x < this.grid.width; x++) {
+                const tile = this.grid.getTileAt(x, y);
+                if (tile && JSON.stringify(tile.serialize()) !== this.baseline.tiles[`${x},${y}`]) {
+                    delta.tiles.push(tile.serialize());
+                }
+            }
+        }
+
+        // Entities that were changed or added
+        const currentIds = new Set();
+        this.entities.forEach(entity => {
+            currentIds.add(entity.id);
+
+            const entityData = entity.serialize();
+            if (JSON.stringify(entityData) !== this.baseline.entities[entity.id]) {
+                delta.entities.push(entityData);
+            }
+        });
+
+        // Entities from the zone data that are gone
+        Object.keys(this.baseline.entities).forEach(id => {
+            if (!currentIds.has(id)) {
+                delta.removedEntities.push(id);
+            }
+        });
+
+        return delta;
+    }
+
+    /**
+     * Apply a delta created by createDelta to this zone
+     *
+     * @param {Object} delta - Zone delta to apply
+     */
+    applyDelta(delta) {
+        if (!delta) {
+            return;
+        }
+
+        // Restore changed tiles
+        (delta.tiles || []).forEach(tileData => {
+            this.grid.setTileAt(tileData.x, tileData.y, new Tile(tileData));
+        });
+
+        // Remove entities that no longer exist
+        (delta.removedEntities || []).forEach(id => {
+            const removed = this.removeEntity(id);
+            if (removed) {
+                removed.destroy();
+            }
+        });
+
+        // Replace changed entities and add new ones
+        (delta.entities || []).forEach(entityData => {
+            const replaced = this.removeEntity(entityData.id);
+            if (replaced) {
+                replaced.destroy();
+            }
+
+            const entity = this.createEntity(entityData);
+            if (entity) {
+                this.addEntity(entity);
+            }
+        });
+    }
+
     /**
      * Generate a serializable representation of this zone
      *